@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * Copies data/news.json into news.html (the <script id="news-data"> block),
+ * after checking it against data/news.schema.json, and regenerates the
+ * feeds next to it (feed.xml, atom.xml, feed.json; see feeds.mjs).
+ *
+ * Usage (from news/):
+ *   node scripts/build_news_page.mjs            (validate and update news.html and the feeds)
+ *   node scripts/build_news_page.mjs --check    (exit 1 if any of them is out of date)
+ */
+
+import { loadNewsData, buildNewsPage } from "./news_data.mjs";
+import { writeFeeds } from "./feeds.mjs";
+
+const CHECK = process.argv.includes("--check");
+
+async function main() {
+	const data = await loadNewsData();
+	const pageChanged = await buildNewsPage(data, { check: CHECK });
+	const feedsChanged = await writeFeeds(data, { check: CHECK });
+	const changed = [...(pageChanged ? ["news.html"] : []), ...feedsChanged];
+
+	const counts = `${data.items.length} items, ${Object.values(data.localLinks).flat().length} local links`;
+	if (CHECK) {
+		if (changed.length) {
+			console.error(`${changed.join(", ")} out of date with data/news.json (${counts}). Run node scripts/build_news_page.mjs`);
+			process.exitCode = 1;
+			return;
+		}
+		console.log(`news.html and feeds are up to date (${counts}).`);
+		return;
+	}
+	console.log(changed.length ? `Updated ${changed.join(", ")} (${counts}).` : `news.html and feeds already up to date (${counts}).`);
+}
+
+main().catch((err) => {
+	console.error(err.message || err);
+	process.exitCode = 1;
+});
@@ -0,0 +1,148 @@
+/**
+ * Decides whether a story is local (Florida), nation (elsewhere in the US)
+ * or international, for the news page's tabs.
+ *
+ * The outlet database (data/outlets.json) is the authority: a known outlet
+ * is classified by where it is, with full confidence. Anything else gets a
+ * scored guess from the hostname, the URL path, the title and the
+ * description, matched on whole words ("lee county", never "fleet").
+ * Guesses under REVIEW_BELOW are worth a human look (--review), and
+ * usually a new line in outlets.json.
+ */
+
+export const HOME_COUNTRY = "US";
+export const HOME_REGION = "FL";
+
+export const REVIEW_BELOW = 0.7;
+const MAX_GUESS_CONFIDENCE = 0.9;
+
+// Whole words or phrases, after lowercasing and turning punctuation into spaces ("St. Pete" -> "st pete").
+const FLORIDA_TERMS = [
+	"florida", "fla", "tampa", "tampa bay", "st pete", "st petersburg", "saint petersburg", "pinellas",
+	"hillsborough", "pasco", "clearwater", "gulfport", "dunedin", "largo", "ybor", "sarasota", "bradenton",
+	"manatee county", "lakeland", "miami", "orlando", "jacksonville", "tallahassee", "gainesville",
+	"fort myers", "lee county", "cape coral", "naples", "collier county", "west palm beach", "palm beach", "broward",
+	"fort lauderdale", "boca raton", "delray beach", "duval", "st augustine", "pensacola", "ocala",
+	"daytona", "port st lucie", "key west", "monroe county",
+];
+
+const FOREIGN_TERMS = [
+	"uk", "united kingdom", "england", "london", "scotland", "glasgow", "edinburgh", "wales", "ireland",
+	"dublin", "canada", "toronto", "australia", "new zealand", "europe", "paris", "berlin", "tokyo",
+];
+
+// Only distinctive names, since hostnames have no word boundaries to lean on.
+const FLORIDA_HOST_PARTS = [
+	"florida", "tampa", "stpete", "petersburg", "pinellas", "clearwater", "gulfport", "sarasota", "miami",
+	"orlando", "jacksonville", "tallahassee", "pensacola", "floridian",
+];
+
+// Country codes that are sold as generic names (.tv, .io, .fm...) and say nothing about location.
+const GENERIC_CCTLDS = ["co", "io", "tv", "fm", "me", "ly", "ai", "gg", "to", "am", "cc", "ws"];
+
+const US_ONLY_TLDS = ["us", "gov", "edu", "mil"];
+
+function splitUrl(url) {
+	try {
+		const u = new URL(url);
+		return { hostname: u.hostname.toLowerCase().replace(/^www\./, ""), pathname: u.pathname };
+	} catch {
+		return { hostname: "", pathname: "" };
+	}
+}
+
+function words(text) {
+	return ` ${String(text || "").toLowerCase().replaceAll(/[^a-z0-9]+/g, " ").trim()} `;
+}
+
+// Distinct terms found as whole words, leaving out ones inside a longer match ("tampa" in "tampa bay").
+function matchTerms(haystack, terms) {
+	const found = terms.filter((t) => haystack.includes(` ${t} `));
+	return found.filter((t) => !found.some((other) => other !== t && ` ${other} `.includes(` ${t} `)));
+}
+
+/**
+ * The outlets.json entry for url, as { key, name, country, region, media },
+ * or null. Subdomains match their parent ("m.tampabay.com"), and the
+ * longest key wins, so "bizjournals.com/tampabay" beats "bizjournals.com".
+ */
+export function findOutlet(url, outlets) {
+	const { hostname, pathname } = splitUrl(url);
+	if (!hostname) return null;
+	let best = null;
+	for (const key of Object.keys(outlets)) {
+		const slash = key.indexOf("/");
+		const host = slash === -1 ? key : key.slice(0, slash);
+		const prefix = slash === -1 ? "" : key.slice(slash);
+		if (hostname !== host && !hostname.endsWith(`.${host}`)) continue;
+		if (prefix && pathname !== prefix && !pathname.startsWith(`${prefix}/`)) continue;
+		if (!best || key.length > best.key.length) best = { key, ...outlets[key] };
+	}
+	return best;
+}
+
+function groupForOutlet(outlet) {
+	if (outlet.country !== HOME_COUNTRY) return "international";
+	return outlet.region === HOME_REGION ? "local" : "nation";
+}
+
+/**
+ * { group, confidence, reason, outlet } for a story.
+ * confidence runs 0..1: 1 for outlets in the database, otherwise the share
+ * of the evidence behind the winning group, at most 0.9 (0.3 when there is
+ * none at all).
+ */
+export function classifySource(url, { title = "", description = "" } = {}, outlets = {}) {
+	const outlet = findOutlet(url, outlets);
+	if (outlet && outlet.media !== "platform") {
+		return { group: groupForOutlet(outlet), confidence: 1, reason: `outlet database: ${outlet.name}`, outlet };
+	}
+
+	const { hostname, pathname } = splitUrl(url);
+	const labels = hostname.split(".");
+	const tld = labels.length > 1 ? labels[labels.length - 1] : "";
+	const score = { local: 0, international: 0, nation: 0 };
+	const reasons = [];
+	let hostSignal = false;
+
+	// A platform's hostname is YouTube's, not the outlet's; only the story itself counts.
+	if (!outlet) {
+		const hostPart = FLORIDA_HOST_PARTS.find((p) => labels.slice(0, -1).some((l) => l.includes(p)));
+		if (hostPart) {
+			hostSignal = true;
+			score.local += 3;
+			reasons.push(`hostname has "${hostPart}"`);
+		}
+		if (tld.length === 2 && !US_ONLY_TLDS.includes(tld) && !GENERIC_CCTLDS.includes(tld)) {
+			hostSignal = true;
+			score.international += 3;
+			reasons.push(`.${tld} domain`);
+		} else if (US_ONLY_TLDS.includes(tld)) {
+			hostSignal = true;
+			score.nation += 2;
+			reasons.push(`.${tld} domain`);
+		}
+	}
+
+	const text = words(`${pathname} ${title} ${description}`);
+	const local = matchTerms(text, FLORIDA_TERMS);
+	const foreign = matchTerms(text, FOREIGN_TERMS);
+	score.local += local.length;
+	score.international += foreign.length;
+	if (local.length) reasons.push(`mentions ${local.join(", ")}`);
+	if (foreign.length) reasons.push(`mentions ${foreign.join(", ")}`);
+
+	const evidence = score.local + score.international + score.nation;
+	const suffix = outlet ? ` (on ${outlet.name})` : "";
+	if (evidence === 0) {
+		return { group: "nation", confidence: 0.3, reason: `no local or foreign signals${suffix}`, outlet };
+	}
+
+	// a story mentioning places, on a site that says nothing about itself, is as likely national as not
+	if (!hostSignal) score.nation += 1;
+	const total = score.local + score.international + score.nation;
+	const group = ["local", "international", "nation"].reduce((best, g) => (score[g] > score[best] ? g : best));
+	// a guess is never as sure as the database
+	const confidence = Math.min(MAX_GUESS_CONFIDENCE, Math.round((score[group] / total) * 100) / 100);
+	return { group, confidence, reason: `${reasons.join("; ")}${suffix}`, outlet };
+}
@@ -0,0 +1,252 @@
+/**
+ * Builds feeds of the press coverage for partners and the newsletter tool:
+ * feed.xml (RSS 2.0), atom.xml (Atom 1.0) and feed.json (JSON Feed 1.1),
+ * written next to news.html. Every card and local link becomes an entry,
+ * linked the way the page links it (the archived copy once it's dead).
+ *
+ * Only a story's own "date" is published as one (pubDate, Atom
+ * <published>, date_published); undated stories go out without. Atom
+ * needs an <updated> on every entry, so those fall back on the day the
+ * entry was "added" to data/news.json (set by the scraper), or failing
+ * that on the newest date in the feed. Everything comes from the data, so
+ * rebuilding unchanged data gives identical files.
+ */
+
+import fs from "node:fs/promises";
+
+export const FEED_TITLE = "FloridaRAMA News";
+export const FEED_DESCRIPTION = "Press coverage of FloridaRAMA and Fairgrounds St. Pete.";
+export const FEED_AUTHOR = "FloridaRAMA";
+// The page news.html is embedded in, and where the feed files are published.
+export const SITE_URL = "https://www.floridarama.art/news";
+export const FEED_BASE_URL = "https://www.floridarama.art/news/";
+
+export const FEED_DIR = new URL("../", import.meta.url);
+export const FEED_FILES = ["feed.xml", "atom.xml", "feed.json"];
+
+const IMAGE_TYPES = { jpg: "image/jpeg", jpeg: "image/jpeg", png: "image/png", gif: "image/gif", webp: "image/webp", avif: "image/avif" };
+
+function youTubeThumb(url) {
+	try {
+		const u = new URL(url);
+		const id = u.hostname.includes("youtu.be") ? u.pathname.slice(1) : u.hostname.includes("youtube.com") ? u.searchParams.get("v") : null;
+		return id ? `https://img.youtube.com/vi/${id}/hqdefault.jpg` : null;
+	} catch {
+		return null;
+	}
+}
+
+// Image CDNs often drop the extension; those are nearly always JPEGs.
+function imageType(url) {
+	const ext = new URL(url).pathname.split(".").pop().toLowerCase();
+	return IMAGE_TYPES[ext] || "image/jpeg";
+}
+
+function homepage(url) {
+	try {
+		return `${new URL(url).origin}/`;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * One entry per card and local link, cards first (dated ones newest first,
+ * as on the page): { id, url, title, source, author, tags, summary, image, date, added }.
+ * id is the original URL, so an entry keeps its identity when its link
+ * moves to an archived copy; local links repeating a card are left out.
+ */
+export function feedEntries(data) {
+	const entries = [];
+	const seen = new Set();
+	const add = (entry) => {
+		if (seen.has(entry.id)) return;
+		seen.add(entry.id);
+		entries.push(entry);
+	};
+	const link = (entry) => (entry.deadSince && entry.archiveUrl ? entry.archiveUrl : entry.url);
+
+	const cards = data.items.map((item, idx) => ({ item, idx }));
+	cards.sort((a, b) => (b.item.date || "").localeCompare(a.item.date || "") || a.idx - b.idx);
+	for (const { item } of cards) {
+		add({
+			id: item.url,
+			url: link(item),
+			title: item.title,
+			source: item.source || null,
+			author: item.author || null,
+			tags: [item.tag, item.group].filter(Boolean),
+			summary: item.description || null,
+			image: (item.thumb && item.thumb.trim()) || (item.type === "video" ? youTubeThumb(item.url) : null),
+			date: item.date || null,
+			added: item.added || null,
+		});
+	}
+	for (const [source, links] of Object.entries(data.localLinks)) {
+		for (const l of links) {
+			add({ id: l.url, url: link(l), title: l.title || source, source, author: null, tags: ["local"], summary: null, image: null, date: null, added: l.added || null });
+		}
+	}
+	return entries;
+}
+
+// the feeds' updated time when no entry has a date at all
+const NO_DATE = "1970-01-01T00:00:00Z";
+
+function midnight(day) {
+	return day ? `${day}T00:00:00Z` : null;
+}
+
+/**
+ * entries with "published" (their date at midnight UTC, or null) and
+ * "updated" (published, else the day they were added, else null), sorted
+ * newest first by updated. Entries with neither keep their order at the
+ * end.
+ */
+export function datedEntries(entries) {
+	return entries
+		.map((entry, idx) => ({ ...entry, idx, published: midnight(entry.date), updated: midnight(entry.date || entry.added) }))
+		.sort((a, b) => (b.updated || "").localeCompare(a.updated || "") || a.idx - b.idx)
+		.map(({ idx, ...entry }) => entry);
+}
+
+function escapeXml(value) {
+	return String(value)
+		.replaceAll(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, "")
+		.replaceAll("&", "&amp;")
+		.replaceAll("<", "&lt;")
+		.replaceAll(">", "&gt;")
+		.replaceAll('"', "&quot;")
+		.replaceAll("'", "&apos;");
+}
+
+function xmlLines(lines) {
+	return `<?xml version="1.0" encoding="utf-8"?>\n${lines.filter((l) => l !== null).join("\n")}\n`;
+}
+
+function rfc822(iso) {
+	return new Date(iso).toUTCString();
+}
+
+// <source> in RSS and Atom names the feed an entry came from, which we don't
+// have for the outlets; the outlet's name goes in dc:publisher instead.
+export function renderRss(entries, { updated }) {
+	const items = entries.map((e) => [
+		"\t\t<item>",
+		`\t\t\t<title>${escapeXml(e.title)}</title>`,
+		`\t\t\t<link>${escapeXml(e.url)}</link>`,
+		`\t\t\t<guid isPermaLink="false">${escapeXml(e.id)}</guid>`,
+		e.published ? `\t\t\t<pubDate>${rfc822(e.published)}</pubDate>` : null,
+		e.author ? `\t\t\t<dc:creator>${escapeXml(e.author)}</dc:creator>` : null,
+		e.source ? `\t\t\t<dc:publisher>${escapeXml(e.source)}</dc:publisher>` : null,
+		...e.tags.map((t) => `\t\t\t<category>${escapeXml(t)}</category>`),
+		e.summary ? `\t\t\t<description>${escapeXml(e.summary)}</description>` : null,
+		e.image ? `\t\t\t<enclosure url="${escapeXml(e.image)}" length="0" type="${imageType(e.image)}"/>` : null,
+		"\t\t</item>",
+	]);
+	return xmlLines([
+		'<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+		"\t<channel>",
+		`\t\t<title>${escapeXml(FEED_TITLE)}</title>`,
+		`\t\t<link>${escapeXml(SITE_URL)}</link>`,
+		`\t\t<description>${escapeXml(FEED_DESCRIPTION)}</description>`,
+		"\t\t<language>en-us</language>",
+		`\t\t<lastBuildDate>${rfc822(updated)}</lastBuildDate>`,
+		`\t\t<atom:link href="${escapeXml(`${FEED_BASE_URL}feed.xml`)}" rel="self" type="application/rss+xml"/>`,
+		...items.flat(),
+		"\t</channel>",
+		"</rss>",
+	]);
+}
+
+export function renderAtom(entries, { updated }) {
+	const items = entries.map((e) => [
+		"\t<entry>",
+		`\t\t<id>${escapeXml(e.id)}</id>`,
+		`\t\t<title>${escapeXml(e.title)}</title>`,
+		`\t\t<link rel="alternate" type="text/html" href="${escapeXml(e.url)}"/>`,
+		e.published ? `\t\t<published>${e.published}</published>` : null,
+		`\t\t<updated>${e.updated || updated}</updated>`,
+		e.author || e.source ? `\t\t<author><name>${escapeXml(e.author || e.source)}</name></author>` : null,
+		e.source ? `\t\t<dc:publisher>${escapeXml(e.source)}</dc:publisher>` : null,
+		...e.tags.map((t) => `\t\t<category term="${escapeXml(t)}"/>`),
+		e.summary ? `\t\t<summary>${escapeXml(e.summary)}</summary>` : null,
+		e.image ? `\t\t<link rel="enclosure" type="${imageType(e.image)}" href="${escapeXml(e.image)}"/>` : null,
+		"\t</entry>",
+	]);
+	return xmlLines([
+		'<feed xmlns="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xml:lang="en-us">',
+		`\t<id>${escapeXml(SITE_URL)}</id>`,
+		`\t<title>${escapeXml(FEED_TITLE)}</title>`,
+		`\t<subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>`,
+		`\t<updated>${updated}</updated>`,
+		`\t<author><name>${escapeXml(FEED_AUTHOR)}</name></author>`,
+		`\t<link rel="alternate" type="text/html" href="${escapeXml(SITE_URL)}"/>`,
+		`\t<link rel="self" type="application/atom+xml" href="${escapeXml(`${FEED_BASE_URL}atom.xml`)}"/>`,
+		...items.flat(),
+		"</feed>",
+	]);
+}
+
+export function renderJsonFeed(entries) {
+	const feed = {
+		version: "https://jsonfeed.org/version/1.1",
+		title: FEED_TITLE,
+		home_page_url: SITE_URL,
+		feed_url: `${FEED_BASE_URL}feed.json`,
+		description: FEED_DESCRIPTION,
+		language: "en-US",
+		authors: [{ name: FEED_AUTHOR }],
+		items: entries.map((e) => {
+			const item = { id: e.id, url: e.url, title: e.title, content_text: e.summary || e.title };
+			if (e.summary) item.summary = e.summary;
+			if (e.image) item.image = e.image;
+			if (e.published) item.date_published = e.published;
+			if (e.author || e.source) item.authors = [{ name: e.author || e.source }];
+			if (e.tags.length) item.tags = e.tags;
+			// JSON Feed has no field for the outlet; extension keys start with "_"
+			if (e.source) item._source = { name: e.source, url: homepage(e.id) };
+			return item;
+		}),
+	};
+	return JSON.stringify(feed, null, "\t") + "\n";
+}
+
+/**
+ * The three feeds for data, as { "feed.xml": text, ... }. The feeds'
+ * updated time is the newest entry's; in Atom, an entry with neither a
+ * date nor an added day takes that too.
+ */
+export function buildFeeds(data) {
+	const entries = datedEntries(feedEntries(data));
+	const updated = (entries[0] && entries[0].updated) || NO_DATE;
+	return {
+		"feed.xml": renderRss(entries, { updated }),
+		"atom.xml": renderAtom(entries, { updated }),
+		"feed.json": renderJsonFeed(entries),
+	};
+}
+
+async function readOrEmpty(file) {
+	try {
+		return await fs.readFile(file, "utf8");
+	} catch {
+		return "";
+	}
+}
+
+/**
+ * Rewrites the feed files in dir with the current data. Returns the names
+ * of the files that changed; with check: true nothing is written.
+ */
+export async function writeFeeds(data, { dir = FEED_DIR, check = false } = {}) {
+	const feeds = buildFeeds(data);
+	const changed = [];
+	for (const name of FEED_FILES) {
+		const file = new URL(name, dir);
+		if ((await readOrEmpty(file)) === feeds[name]) continue;
+		changed.push(name);
+		if (!check) await fs.writeFile(file, feeds[name], "utf8");
+	}
+	return changed;
+}
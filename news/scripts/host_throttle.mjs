@@ -0,0 +1,58 @@
+/**
+ * Runs fetches a few at a time while keeping a polite gap between requests
+ * to the same site. A dozen Tampa Bay Times links still go out a second
+ * apart, but they no longer hold up the YouTube and WFLA ones behind them.
+ */
+
+export const CONCURRENCY = 4;
+export const HOST_DELAY_MS = 1000;
+
+function defaultSleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Hands out start times per host, delayMs apart. wait(host) resolves when
+ * that host's next slot comes up; readyAt(host) says when that will be
+ * without claiming it. now and sleep are injectable for tests.
+ */
+export function createHostGate(delayMs = HOST_DELAY_MS, { now = Date.now, sleep = defaultSleep } = {}) {
+	const nextSlot = new Map();
+	return {
+		readyAt(host) {
+			return nextSlot.get(host) ?? 0;
+		},
+		async wait(host) {
+			const t = now();
+			const start = Math.max(t, nextSlot.get(host) ?? t);
+			nextSlot.set(host, start + delayMs);
+			if (start > t) await sleep(start - t);
+		},
+	};
+}
+
+/**
+ * worker(item, index) for every item, at most concurrency at a time, each
+ * started only when gate lets its host (hostOf(item)) through. Free workers
+ * take whichever pending item's host is ready soonest. Resolves to the
+ * results in input order; worker should catch its own errors.
+ */
+export async function mapPolitely(items, worker, { hostOf, concurrency = CONCURRENCY, gate = createHostGate() } = {}) {
+	const results = new Array(items.length);
+	const pending = items.map((_, i) => i);
+
+	async function run() {
+		while (pending.length > 0) {
+			let pick = 0;
+			for (let j = 1; j < pending.length; j++) {
+				if (gate.readyAt(hostOf(items[pending[j]])) < gate.readyAt(hostOf(items[pending[pick]]))) pick = j;
+			}
+			const [i] = pending.splice(pick, 1);
+			await gate.wait(hostOf(items[i]));
+			results[i] = await worker(items[i], i);
+		}
+	}
+
+	await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, run));
+	return results;
+}
@@ -0,0 +1,114 @@
+/**
+ * Reads the URL lists the PR team hands over, for --import:
+ *   - text or CSV files (spreadsheet exports): every http(s) URL in them
+ *   - saved Google Alert emails (.eml or .html): the article links, with
+ *     Google's redirect wrappers and feedback links removed
+ *   - RSS 2.0 and Atom feeds (Google Alerts can deliver to a feed), from a
+ *     file or a URL; these also carry a title and date per link
+ *
+ * Everything comes back as [{ url, title, date }], title and date null
+ * when the source doesn't say.
+ */
+
+import fs from "node:fs/promises";
+
+import { decodeHtmlEntities, normalizeDate } from "./metadata.mjs";
+import { USER_AGENT } from "./link_check.mjs";
+
+// Commas end a URL so CSV cells split cleanly; real article URLs almost never contain one.
+const URL_PATTERN = /https?:\/\/[^\s"'<>,]+/gi;
+
+// Google's own pages in an alert email (settings, feedback, logos), not press hits.
+const GOOGLE_HOSTS = /(^|\.)(google\.[a-z.]+|gstatic\.com|googleusercontent\.com)$/i;
+
+/**
+ * The article behind a Google redirect ("https://www.google.com/url?...&url=<article>"),
+ * or url unchanged.
+ */
+export function unwrapRedirect(url) {
+	try {
+		const u = new URL(url);
+		if (GOOGLE_HOSTS.test(u.hostname) && u.pathname === "/url") {
+			return u.searchParams.get("url") || u.searchParams.get("q") || url;
+		}
+	} catch {
+		// ignore
+	}
+	return url;
+}
+
+function decodeQuotedPrintable(text) {
+	return text.replaceAll(/=\r?\n/g, "").replaceAll(/=([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/** Article URLs found anywhere in a text, CSV, email or HTML file, in order, without repeats. */
+export function parseUrlList(text) {
+	let body = String(text);
+	if (/content-transfer-encoding:\s*quoted-printable/i.test(body)) body = decodeQuotedPrintable(body);
+
+	const seen = new Set();
+	const out = [];
+	for (const [raw] of body.matchAll(URL_PATTERN)) {
+		const url = unwrapRedirect(raw.replaceAll("&amp;", "&").replace(/[).;:!?\]]+$/, ""));
+		let hostname;
+		try {
+			hostname = new URL(url).hostname;
+		} catch {
+			continue;
+		}
+		if (GOOGLE_HOSTS.test(hostname) || seen.has(url)) continue;
+		seen.add(url);
+		out.push({ url, title: null, date: null });
+	}
+	return out;
+}
+
+function tagText(block, name) {
+	const m = block.match(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, "i"));
+	if (!m) return null;
+	const raw = m[1].replace(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/, "$1");
+	// Atom titles are often escaped HTML ("&lt;b&gt;FloridaRAMA&lt;/b&gt;"): decode, then drop the tags
+	return decodeHtmlEntities(decodeHtmlEntities(raw).replaceAll(/<[^>]+>/g, "")) || null;
+}
+
+function atomLink(entry) {
+	const links = [...entry.matchAll(/<link\b[^>]*>/gi)].map((m) => ({
+		href: (m[0].match(/\bhref=["']([^"']+)["']/i) || [])[1],
+		rel: (m[0].match(/\brel=["']([^"']+)["']/i) || [])[1] || "alternate",
+	}));
+	const link = links.find((l) => l.href && l.rel === "alternate") || links.find((l) => l.href);
+	return link ? decodeHtmlEntities(link.href) : null;
+}
+
+export function isFeed(text) {
+	return /^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<(rss|feed|rdf:RDF)\b/i.test(text);
+}
+
+/** Links in an RSS 2.0 or Atom feed, with their titles and dates. */
+export function parseFeed(xml) {
+	const out = [];
+	for (const [item] of xml.matchAll(/<item\b[\s\S]*?<\/item>/gi)) {
+		const link = tagText(item, "link") || tagText(item, "guid");
+		if (!link) continue;
+		out.push({ url: unwrapRedirect(link), title: tagText(item, "title"), date: normalizeDate(tagText(item, "pubDate") || tagText(item, "dc:date")) });
+	}
+	for (const [entry] of xml.matchAll(/<entry\b[\s\S]*?<\/entry>/gi)) {
+		const link = atomLink(entry);
+		if (!link) continue;
+		out.push({ url: unwrapRedirect(link), title: tagText(entry, "title"), date: normalizeDate(tagText(entry, "published") || tagText(entry, "updated")) });
+	}
+	return out.filter((e) => /^https?:\/\//i.test(e.url));
+}
+
+/** Reads source (a file path or an http(s) URL) and parses it as a feed or a URL list. */
+export async function readImportSource(source) {
+	let text;
+	if (/^https?:\/\//i.test(source)) {
+		const res = await fetch(source, { headers: { "user-agent": USER_AGENT }, signal: AbortSignal.timeout(30000) });
+		if (!res.ok) throw new Error(`${source}: HTTP ${res.status}`);
+		text = await res.text();
+	} else {
+		text = await fs.readFile(source, "utf8");
+	}
+	return isFeed(text) ? parseFeed(text) : parseUrlList(text);
+}
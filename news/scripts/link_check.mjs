@@ -0,0 +1,165 @@
+/**
+ * Link health for the news data: is each item and local link still there,
+ * did it move, or is a bot check standing in front of it? Used by
+ * scrape_news_titles.mjs --check-links.
+ *
+ * Verdicts:
+ *   ok          page answered 2xx at the same address
+ *   redirected  page answered 2xx somewhere else (finalUrl)
+ *   blocked     bot check, paywall or 401/402/403/429; the page may be fine
+ *   dead        404/410, unknown host, or redirected to the site's homepage
+ *   error       timeouts, 5xx, pages that stall or drop mid-body, and other
+ *               failures worth retrying later
+ *
+ * Only "dead" marks an entry (deadSince); news.html then links to its
+ * archiveUrl, if it has one.
+ */
+
+import { extractTitle } from "./metadata.mjs";
+
+export const USER_AGENT =
+	"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36";
+
+export const WAYBACK_ENDPOINT = "https://archive.org/wayback/available";
+
+// Titles of interstitial pages (Cloudflare, Akamai, Incapsula...) rather than the article.
+const BOT_CHECK_TITLES = [/^(verifying device|just a moment)\b/i, /checking your browser/i, /attention required/i, /access denied/i];
+
+const BLOCKED_STATUSES = [401, 402, 403, 429];
+const GONE_STATUSES = [404, 410];
+
+export function isBotCheckTitle(title) {
+	return Boolean(title) && BOT_CHECK_TITLES.some((re) => re.test(title));
+}
+
+function comparable(url) {
+	const u = new URL(url);
+	return `${u.hostname.replace(/^www\./, "")}${u.pathname.replace(/\/+$/, "")}${u.search}`;
+}
+
+function isHomepage(url) {
+	return new URL(url).pathname.replace(/\/+$/, "") === "";
+}
+
+/**
+ * Fetches url and returns { url, status, finalUrl, title, verdict, note }.
+ * finalUrl is set only when redirects led somewhere meaningfully different
+ * (not just http -> https or a trailing slash). Never throws.
+ */
+export async function checkLink(url, { timeoutMs = 15000 } = {}) {
+	const result = { url, status: null, finalUrl: null, title: null, verdict: "error", note: "" };
+
+	let res;
+	let html = null;
+	try {
+		res = await fetch(url, {
+			redirect: "follow",
+			headers: { "user-agent": USER_AGENT, accept: "text/html,application/xhtml+xml" },
+			signal: AbortSignal.timeout(timeoutMs),
+		});
+		// the body is read under the same timeout: a page can stall or drop halfway through
+		const contentType = (res.headers.get("content-type") || "").toLowerCase();
+		if (contentType.includes("text/html")) html = await res.text();
+		else await res.body?.cancel();
+	} catch (e) {
+		const code = e.cause?.code;
+		if (res) {
+			const note = e.name === "TimeoutError" ? `page still loading after ${timeoutMs} ms` : `page cut off: ${code || e.cause?.message || e.message}`;
+			return { ...result, status: res.status, note };
+		}
+		if (code === "ENOTFOUND") return { ...result, verdict: "dead", note: "host not found" };
+		if (e.name === "TimeoutError") return { ...result, note: `no answer after ${timeoutMs} ms` };
+		return { ...result, note: code || e.cause?.message || e.message };
+	}
+
+	result.status = res.status;
+	if (res.url && comparable(res.url) !== comparable(url)) result.finalUrl = res.url;
+	if (html !== null) result.title = extractTitle(html);
+
+	if (res.headers.get("cf-mitigated") === "challenge" || isBotCheckTitle(result.title)) {
+		return { ...result, verdict: "blocked", note: "bot check" };
+	}
+	if (BLOCKED_STATUSES.includes(res.status)) {
+		return { ...result, verdict: "blocked", note: res.status === 402 ? "paywall" : `HTTP ${res.status}` };
+	}
+	if (GONE_STATUSES.includes(res.status)) {
+		return { ...result, verdict: "dead", note: `HTTP ${res.status}` };
+	}
+	if (!res.ok) {
+		return { ...result, note: `HTTP ${res.status}` };
+	}
+	if (result.finalUrl && isHomepage(result.finalUrl) && !isHomepage(url)) {
+		// the usual way a CMS says "gone" without a 404
+		return { ...result, verdict: "dead", note: "redirects to the homepage" };
+	}
+	if (result.finalUrl) {
+		return { ...result, verdict: "redirected", note: `-> ${result.finalUrl}` };
+	}
+	return { ...result, verdict: "ok" };
+}
+
+/**
+ * Closest Wayback Machine snapshot of url that was captured with a 2xx, or
+ * null when there is none (or archive.org can't be reached).
+ */
+export async function findArchiveUrl(url, { endpoint = WAYBACK_ENDPOINT, timeoutMs = 15000 } = {}) {
+	try {
+		const res = await fetch(`${endpoint}?url=${encodeURIComponent(url)}`, { signal: AbortSignal.timeout(timeoutMs) });
+		if (!res.ok) return null;
+		const closest = (await res.json())?.archived_snapshots?.closest;
+		if (!closest || !closest.available || !String(closest.status).startsWith("2")) return null;
+		return String(closest.url).replace(/^http:\/\//, "https://");
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Every link in the data, items first, as { entry, label } where entry is
+ * the object in data (so results can be written back onto it).
+ */
+export function linkEntries(data) {
+	const out = data.items.map((entry, i) => ({ entry, label: `items[${i}]` }));
+	for (const [source, links] of Object.entries(data.localLinks)) {
+		for (const entry of links) out.push({ entry, label: `localLinks[${JSON.stringify(source)}]` });
+	}
+	return out;
+}
+
+/**
+ * Records a check result on an item or local link: sets deadSince the
+ * first time it's seen dead, clears it once the page is back. blocked and
+ * error results say nothing either way and leave the entry alone.
+ * Returns true when the entry changed.
+ */
+export function markLinkHealth(entry, result, today) {
+	if (result.verdict === "dead" && !entry.deadSince) {
+		entry.deadSince = today;
+		return true;
+	}
+	if ((result.verdict === "ok" || result.verdict === "redirected") && entry.deadSince) {
+		delete entry.deadSince;
+		return true;
+	}
+	return false;
+}
+
+const REPORT_ORDER = ["dead", "error", "blocked", "redirected"];
+
+// Plain-text summary of checkLink results (each may carry a label), worst first.
+export function formatLinkReport(results) {
+	const counts = Object.fromEntries(["ok", ...REPORT_ORDER].map((v) => [v, 0]));
+	for (const r of results) counts[r.verdict]++;
+
+	const lines = [`Checked ${results.length} links: ${Object.entries(counts).map(([v, n]) => `${n} ${v}`).join(", ")}`];
+	for (const verdict of REPORT_ORDER) {
+		const matching = results.filter((r) => r.verdict === verdict);
+		if (matching.length === 0) continue;
+		lines.push("", `${verdict.toUpperCase()} (${matching.length})`);
+		for (const r of matching) {
+			lines.push(`  ${r.url}${r.label ? `  [${r.label}]` : ""}`);
+			if (r.note) lines.push(`    ${r.note}`);
+		}
+	}
+	return lines.join("\n");
+}
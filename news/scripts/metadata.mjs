@@ -0,0 +1,221 @@
+/**
+ * Pulls what the news page needs out of an article's HTML: title,
+ * description, publish date, author, outlet name and image.
+ *
+ * Sources, best first: schema.org JSON-LD (NewsArticle and friends, as
+ * Yoast, Arc and most TV station sites emit), then Open Graph / article:
+ * meta tags, then plain <meta name> and <time datetime>. Regex-based on
+ * purpose (no DOM in plain Node); tested against saved pages in
+ * test/fixtures.
+ */
+
+const NAMED_ENTITIES = {
+	amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+	rsquo: "’", lsquo: "‘", rdquo: "”", ldquo: "“", ndash: "–", mdash: "—", hellip: "…",
+};
+
+// schema.org types that describe the story itself (not the site or the author)
+const ARTICLE_TYPES = ["NewsArticle", "Article", "ReportageNewsArticle", "AnalysisNewsArticle", "BlogPosting", "VideoObject", "WebPage"];
+
+export function decodeHtmlEntities(str) {
+	return String(str)
+		.replaceAll(/&#x([0-9a-fA-F]+);/g, (_, hex) => {
+			try {
+				return String.fromCodePoint(parseInt(hex, 16));
+			} catch {
+				return _;
+			}
+		})
+		.replaceAll(/&#([0-9]+);/g, (_, dec) => {
+			try {
+				return String.fromCodePoint(parseInt(dec, 10));
+			} catch {
+				return _;
+			}
+		})
+		.replaceAll(/&([a-z]+);/gi, (_, name) => NAMED_ENTITIES[name.toLowerCase()] ?? _)
+		.replaceAll(/\s+/g, " ")
+		.trim();
+}
+
+export function extractTitle(html) {
+	const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+	if (!match) return null;
+	return decodeHtmlEntities(match[1]);
+}
+
+function parseAttributes(tag) {
+	const attrs = {};
+	for (const m of tag.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+		attrs[m[1].toLowerCase()] = decodeHtmlEntities(m[2] ?? m[3] ?? m[4] ?? "");
+	}
+	return attrs;
+}
+
+// every <meta> tag's attributes, in page order
+export function parseMetaTags(html) {
+	return [...html.matchAll(/<meta\b[^>]*>/gi)].map((m) => parseAttributes(m[0]));
+}
+
+function metaLookup(metas, attrName, attrValue) {
+	const want = attrValue.toLowerCase();
+	const found = metas.find((m) => (m[attrName] || "").toLowerCase() === want && m.content);
+	return found ? found.content : null;
+}
+
+export function extractMetaContent(html, attrName, attrValue) {
+	// Example: <meta property="og:image" content="..."> (attributes in any order)
+	return metaLookup(parseMetaTags(html), attrName, attrValue);
+}
+
+// property= or name=, since sites mix them up
+function meta(metas, key) {
+	return metaLookup(metas, "property", key) || metaLookup(metas, "name", key) || metaLookup(metas, "itemprop", key);
+}
+
+export function extractFirstImageSrc(html) {
+	// Very simple: first <img ... src="...">
+	const m = html.match(/<img[^>]+src=["']([^"']+)["'][^>]*>/i);
+	return m ? decodeHtmlEntities(m[1]) : null;
+}
+
+export function absolutizeMaybe(url, baseUrl) {
+	try {
+		return new URL(url, baseUrl).toString();
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Every JSON-LD object on the page, with @graph and top-level arrays
+ * flattened. Blocks that don't parse are skipped; plenty of CMSes emit
+ * trailing commas.
+ */
+export function extractJsonLd(html) {
+	const out = [];
+	const visit = (node) => {
+		if (Array.isArray(node)) return node.forEach(visit);
+		if (!node || typeof node !== "object") return;
+		out.push(node);
+		if (node["@graph"]) visit(node["@graph"]);
+	};
+	for (const m of html.matchAll(/<script\b[^>]*type=["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi)) {
+		try {
+			visit(JSON.parse(m[1].trim()));
+		} catch {
+			// ignore
+		}
+	}
+	return out;
+}
+
+function hasType(node, types) {
+	return [].concat(node["@type"] || []).some((t) => types.includes(t));
+}
+
+// "Jane Doe", { name }, or a list of either -> "Jane Doe, John Roe"
+function personNames(value, graph) {
+	const names = [].concat(value || []).map((p) => {
+		if (typeof p === "string") return p;
+		if (p && p.name) return p.name;
+		// Yoast points at a Person elsewhere in the @graph
+		const ref = p && p["@id"] && graph.find((n) => n["@id"] === p["@id"] && n.name);
+		return ref ? ref.name : null;
+	});
+	const clean = names.filter((n) => n && !/^https?:\/\//i.test(n)).map((n) => decodeHtmlEntities(n));
+	return clean.length ? [...new Set(clean)].join(", ") : null;
+}
+
+function imageUrl(value) {
+	const first = [].concat(value || [])[0];
+	if (!first) return null;
+	return typeof first === "string" ? first : first.url || first.contentUrl || null;
+}
+
+// 2024-02-29 yes, 2024-13-40 and 2025-02-29 no
+function isCalendarDate(year, month, day) {
+	const d = new Date(Date.UTC(year, month - 1, day));
+	return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+/**
+ * A publish date as YYYY-MM-DD, taken as written on the page (so an
+ * evening story in Florida doesn't roll over to the next UTC day).
+ * null when the page's date isn't a real day.
+ */
+export function normalizeDate(value) {
+	if (!value) return null;
+	const s = String(value).trim();
+	const iso = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+	if (iso) return isCalendarDate(Number(iso[1]), Number(iso[2]), Number(iso[3])) ? `${iso[1]}-${iso[2]}-${iso[3]}` : null;
+	const t = Date.parse(s);
+	if (Number.isNaN(t)) return null;
+	return new Date(t).toISOString().slice(0, 10);
+}
+
+// url resolved against baseUrl, or null unless that gives an http(s) URL
+function httpUrlMaybe(url, baseUrl) {
+	const absolute = absolutizeMaybe(url, baseUrl);
+	return absolute && /^https?:\/\//i.test(absolute) ? absolute : null;
+}
+
+/**
+ * The story's image as an absolute http(s) URL: og:image, then
+ * twitter:image, the JSON-LD image, the first <img>. Candidates that
+ * aren't http(s) (data: placeholders from lazy loaders, javascript:) are
+ * skipped.
+ */
+export function extractBestImageFromHtml(html, pageUrl) {
+	const candidates = [
+		() => extractMetaContent(html, "property", "og:image") || extractMetaContent(html, "name", "og:image"),
+		() => extractMetaContent(html, "name", "twitter:image") || extractMetaContent(html, "property", "twitter:image"),
+		() => extractJsonLd(html).filter((n) => hasType(n, ARTICLE_TYPES)).map((n) => imageUrl(n.image || n.thumbnailUrl)).find(Boolean),
+		() => extractFirstImageSrc(html),
+	];
+	for (const candidate of candidates) {
+		const url = candidate();
+		const image = url ? httpUrlMaybe(url, pageUrl) : null;
+		if (image) return image;
+	}
+	return null;
+}
+
+/**
+ * { title, description, date, author, siteName, image } for a page; any
+ * of them null when the page doesn't say. title is the <title> text (what
+ * cleanTitle expects), falling back to og:title / the JSON-LD headline.
+ */
+export function extractMetadata(html, pageUrl) {
+	const metas = parseMetaTags(html);
+	const graph = extractJsonLd(html);
+	// the story node: prefer a real article type over a generic WebPage
+	const article =
+		graph.find((n) => hasType(n, ARTICLE_TYPES.filter((t) => t !== "WebPage"))) ||
+		graph.find((n) => hasType(n, ["WebPage"])) ||
+		{};
+	const site = graph.find((n) => hasType(n, ["WebSite"])) || {};
+	const publisher = [].concat(article.publisher || [])[0] || {};
+	const publisherNode = (publisher["@id"] && graph.find((n) => n["@id"] === publisher["@id"] && n.name)) || publisher;
+	const timeTag = html.match(/<time\b[^>]*\bdatetime=["']([^"']+)["']/i);
+
+	const text = (value) => (value ? decodeHtmlEntities(value) || null : null);
+
+	return {
+		title: extractTitle(html) || meta(metas, "og:title") || text(article.headline),
+		description: text(article.description) || meta(metas, "og:description") || meta(metas, "description") || meta(metas, "twitter:description"),
+		date: normalizeDate(
+			article.datePublished ||
+				article.uploadDate ||
+				meta(metas, "article:published_time") ||
+				meta(metas, "datePublished") ||
+				meta(metas, "pubdate") ||
+				meta(metas, "publish-date") ||
+				meta(metas, "date") ||
+				(timeTag && timeTag[1])
+		),
+		author: personNames(article.author, graph) || personNames([meta(metas, "author"), meta(metas, "article:author")].filter(Boolean), graph),
+		siteName: meta(metas, "og:site_name") || text(publisherNode.name) || text(site.name) || meta(metas, "application-name"),
+		image: extractBestImageFromHtml(html, pageUrl),
+	};
+}
@@ -0,0 +1,226 @@
+/**
+ * The news items and local links live in data/news.json (checked against
+ * data/news.schema.json). news.html carries a copy of that file in
+ * <script type="application/json" id="news-data">, because the Wix embed
+ * can't fetch anything on its own; injectNewsData() refreshes that copy.
+ * data/outlets.json (the outlet database behind classify_source.mjs) is
+ * loaded and checked the same way.
+ *
+ * Shared by scrape_news_titles.mjs and build_news_page.mjs.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const DATA_FILE = new URL("../data/news.json", import.meta.url);
+export const SCHEMA_FILE = new URL("../data/news.schema.json", import.meta.url);
+export const PAGE_FILE = new URL("../news.html", import.meta.url);
+export const OUTLETS_FILE = new URL("../data/outlets.json", import.meta.url);
+export const OUTLETS_SCHEMA_FILE = new URL("../data/outlets.schema.json", import.meta.url);
+
+// Key order for items in news.json, so diffs stay readable.
+export const ITEM_KEYS = ["type", "group", "tag", "title", "source", "author", "date", "added", "url", "archiveUrl", "deadSince", "thumb", "description"];
+
+const DATA_TAG = /(<script\b[^>]*\bid=["']news-data["'][^>]*>)([\s\S]*?)(<\/script>)/i;
+
+function typeOf(value) {
+	if (value === null) return "null";
+	if (Array.isArray(value)) return "array";
+	if (Number.isInteger(value)) return "integer";
+	return typeof value;
+}
+
+function isHttpUrl(value) {
+	try {
+		const u = new URL(value);
+		return u.protocol === "http:" || u.protocol === "https:";
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Checks value against the small slice of JSON Schema that news.schema.json
+ * uses: local $ref, type, const, enum, anyOf, required, properties,
+ * additionalProperties, items, pattern and format "uri" (http/https only).
+ * Returns a list of "path: problem" strings; empty means valid.
+ */
+export function validateAgainstSchema(value, schema, path = "$", root = schema) {
+	const problems = [];
+	const check = (entry, sub, at) => validateAgainstSchema(entry, sub, at, root);
+
+	if (schema.$ref) {
+		const target = schema.$ref.replace(/^#\//, "").split("/").reduce((node, key) => node && node[key], root);
+		if (!target) throw new Error(`Schema $ref ${schema.$ref} does not resolve`);
+		return check(value, target, path);
+	}
+
+	if (schema.anyOf) {
+		const ok = schema.anyOf.some((sub) => check(value, sub, path).length === 0);
+		if (!ok) problems.push(`${path}: ${schema.description || "does not match any allowed form"}`);
+		return problems;
+	}
+	if ("const" in schema && value !== schema.const) {
+		problems.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+		return problems;
+	}
+	if (schema.type) {
+		const types = [].concat(schema.type);
+		const actual = typeOf(value);
+		if (!types.includes(actual) && !(actual === "integer" && types.includes("number"))) {
+			problems.push(`${path}: must be ${types.join(" or ")}, got ${actual}`);
+			return problems;
+		}
+	}
+	if (schema.enum && !schema.enum.includes(value)) {
+		problems.push(`${path}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+	}
+	if (typeof value === "string" && schema.format === "uri" && !isHttpUrl(value)) {
+		problems.push(`${path}: must be an http(s) URL`);
+	}
+	if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern, "u").test(value)) {
+		problems.push(`${path}: ${schema.description || `must match ${schema.pattern}`}`);
+	}
+	if (Array.isArray(value) && schema.items) {
+		value.forEach((entry, i) => problems.push(...check(entry, schema.items, `${path}[${i}]`)));
+	}
+	if (typeOf(value) === "object") {
+		for (const key of schema.required || []) {
+			if (!(key in value)) problems.push(`${path}: missing "${key}"`);
+		}
+		for (const [key, entry] of Object.entries(value)) {
+			const sub = schema.properties && schema.properties[key];
+			if (sub) {
+				problems.push(...check(entry, sub, `${path}.${key}`));
+			} else if (schema.additionalProperties === false) {
+				problems.push(`${path}: unknown field "${key}"`);
+			} else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+				problems.push(...check(entry, schema.additionalProperties, `${path}[${JSON.stringify(key)}]`));
+			}
+		}
+	}
+	return problems;
+}
+
+const schemaCache = new Map();
+
+export async function loadSchema(file = SCHEMA_FILE) {
+	const key = String(file);
+	if (!schemaCache.has(key)) schemaCache.set(key, JSON.parse(await fs.readFile(file, "utf8")));
+	return schemaCache.get(key);
+}
+
+export async function validateNewsData(data) {
+	return validateAgainstSchema(data, await loadSchema());
+}
+
+function displayPath(file) {
+	return path.relative(process.cwd(), file instanceof URL ? fileURLToPath(file) : String(file));
+}
+
+function assertValid(problems, file, what = "news data") {
+	if (problems.length === 0) return;
+	const shown = problems.slice(0, 20).map((p) => `  ${p}`);
+	if (problems.length > shown.length) shown.push(`  ...and ${problems.length - shown.length} more`);
+	throw new Error(`${file} is not valid ${what}:\n${shown.join("\n")}`);
+}
+
+async function readJson(file) {
+	const text = await fs.readFile(file, "utf8");
+	try {
+		return JSON.parse(text);
+	} catch (e) {
+		throw new Error(`${displayPath(file)}: ${e.message}`);
+	}
+}
+
+export async function loadNewsData(file = DATA_FILE) {
+	const data = await readJson(file);
+	assertValid(await validateNewsData(data), displayPath(file));
+	return data;
+}
+
+// The outlet database: { "tampabay.com": { name, country, region, media }, ... }
+export async function loadOutlets(file = OUTLETS_FILE) {
+	const data = await readJson(file);
+	assertValid(validateAgainstSchema(data, await loadSchema(OUTLETS_SCHEMA_FILE)), displayPath(file), "outlet data");
+	return data.outlets;
+}
+
+function orderItem(item) {
+	const out = {};
+	for (const key of ITEM_KEYS) {
+		if (item[key] !== undefined) out[key] = item[key];
+	}
+	// anything newer than ITEM_KEYS keeps its place after the known fields
+	for (const [key, value] of Object.entries(item)) {
+		if (!(key in out) && value !== undefined) out[key] = value;
+	}
+	return out;
+}
+
+export function formatNewsData(data) {
+	const ordered = { ...data, items: data.items.map(orderItem) };
+	return JSON.stringify(ordered, null, "\t") + "\n";
+}
+
+/**
+ * Puts back (or removes) the optional fields of a scraped item that don't
+ * pass the schema, so one odd page costs a field instead of the whole
+ * --write batch. previous is the item as it was before a refresh; its
+ * value is kept when it had one. Returns the names of the fields fixed.
+ */
+export async function dropInvalidFields(item, previous = {}) {
+	const schema = await loadSchema();
+	const def = schema.$defs.item;
+	const dropped = [];
+	for (const [key, value] of Object.entries(item)) {
+		if (def.required.includes(key) || !def.properties[key]) continue;
+		if (validateAgainstSchema(value, def.properties[key], key, schema).length === 0) continue;
+		if (previous[key] !== undefined) item[key] = previous[key];
+		else delete item[key];
+		dropped.push(key);
+	}
+	return dropped;
+}
+
+export async function saveNewsData(data, file = DATA_FILE) {
+	assertValid(await validateNewsData(data), "news data");
+	await fs.writeFile(file, formatNewsData(data), "utf8");
+}
+
+/**
+ * Returns pageHtml with the news-data script's contents replaced by data.
+ * Throws if the page has no such script tag.
+ */
+export function injectNewsData(pageHtml, data) {
+	const match = pageHtml.match(DATA_TAG);
+	if (!match) throw new Error('Could not find <script type="application/json" id="news-data"> in news.html');
+
+	// Indent to sit inside the tag, and keep "</script" and "<!--" in titles from ending it early.
+	const lineStart = pageHtml.lastIndexOf("\n", match.index) + 1;
+	const indent = pageHtml.slice(lineStart, match.index).match(/^\s*/)[0];
+	const { $schema, ...pageData } = data;
+	const json = JSON.stringify({ ...pageData, items: pageData.items.map(orderItem) }, null, "\t")
+		.replaceAll(/<\/(script)/gi, "<\\/$1")
+		.replaceAll("<!--", "\\u003c!--")
+		.split("\n")
+		.map((line) => `${indent}\t${line}`)
+		.join("\n");
+
+	const body = `\n${json}\n${indent}`;
+	return pageHtml.slice(0, match.index) + match[1] + body + match[3] + pageHtml.slice(match.index + match[0].length);
+}
+
+/**
+ * Rewrites news.html with the current data. Returns true when the page
+ * changed; with check: true nothing is written.
+ */
+export async function buildNewsPage(data, { pageFile = PAGE_FILE, check = false } = {}) {
+	const before = await fs.readFile(pageFile, "utf8");
+	const after = injectNewsData(before, data);
+	if (after === before) return false;
+	if (!check) await fs.writeFile(pageFile, after, "utf8");
+	return true;
+}
@@ -1,84 +1,50 @@
 #!/usr/bin/env node
 /**
- * Local helper to fetch real page titles for the URLs in news.html.
+ * Local helper to fetch real page titles for the items in data/news.json.
  *
  * Why local:
  * - Wix embedded HTML runs in a browser and is blocked by CORS from scraping other sites.
  *
- * Usage (from repo root):
- *   node scripts/scrape_news_titles.mjs            (dry-run, prints proposed titles)
- *   node scripts/scrape_news_titles.mjs --write    (rewrites news.html ITEMS titles)
+ * Usage (from news/):
+ *   node scripts/scrape_news_titles.mjs                        (dry-run, prints proposed titles)
+ *   node scripts/scrape_news_titles.mjs --write                (updates titles and thumbs, fills in missing
+ *                                                              description / source / date / author)
+ *   node scripts/scrape_news_titles.mjs --fix-international    (regroups items from foreign outlets)
+ *   node scripts/scrape_news_titles.mjs --review               (lists items whose group is a low-confidence
+ *                                                              guess or disagrees with data/outlets.json)
+ *   node scripts/scrape_news_titles.mjs <url> [--write]        (adds one item or local link)
+ *   node scripts/scrape_news_titles.mjs --import <file|url> [--import ...] [--write]
+ *       (adds every new link from a text/CSV list, a saved Google Alert email, or an RSS/Atom feed)
+ *   node scripts/scrape_news_titles.mjs --check-links          (reports dead, blocked and redirected links)
+ *       [--archive]        (looks up Wayback Machine copies of dead links as archiveUrl)
+ *       [--report <file>]  (also saves the results as JSON)
+ *       [--write]          (records deadSince / archiveUrl so news.html links to the archive)
+ *   --timeout <ms>  (how long one page may take before it counts as failed; default 20000)
+ *
+ * --write saves data/news.json and rebuilds news.html and the feeds from it. Pages are
+ * fetched a few at a time, at most one request per site every
+ * HOST_DELAY_MS (see host_throttle.mjs).
  */
 
 import fs from "node:fs/promises";
 
-const NEWS_FILE = new URL("../news.html", import.meta.url);
+import { loadNewsData, loadOutlets, saveNewsData, buildNewsPage, dropInvalidFields } from "./news_data.mjs";
+import { extractMetadata } from "./metadata.mjs";
+import { classifySource, findOutlet, REVIEW_BELOW } from "./classify_source.mjs";
+import { mapPolitely } from "./host_throttle.mjs";
+import { writeFeeds } from "./feeds.mjs";
+import { readImportSource } from "./import_sources.mjs";
+import { USER_AGENT, isBotCheckTitle, checkLink, findArchiveUrl, linkEntries, markLinkHealth, formatLinkReport } from "./link_check.mjs";
 
 const SHOULD_WRITE = process.argv.includes("--write");
 const FIX_INTERNATIONAL = process.argv.includes("--fix-international");
-const REQUEST_DELAY_MS = 250;
-
-function sleep(ms) {
-	return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function decodeHtmlEntities(str) {
-	return String(str)
-		.replaceAll(/&#x([0-9a-fA-F]+);/g, (_, hex) => {
-			try {
-				return String.fromCodePoint(parseInt(hex, 16));
-			} catch {
-				return _;
-			}
-		})
-		.replaceAll(/&#([0-9]+);/g, (_, dec) => {
-			try {
-				return String.fromCodePoint(parseInt(dec, 10));
-			} catch {
-				return _;
-			}
-		})
-		.replaceAll(/&amp;/g, "&")
-		.replaceAll(/&lt;/g, "<")
-		.replaceAll(/&gt;/g, ">")
-		.replaceAll(/&quot;/g, '"')
-		.replaceAll(/&#39;/g, "'")
-		.replaceAll(/&#8217;/g, "’")
-		.replaceAll(/&#8211;/g, "–")
-		.replaceAll(/&#8212;/g, "—")
-		.replaceAll(/\s+/g, " ")
-		.trim();
-}
-
-function extractTitle(html) {
-	const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
-	if (!match) return null;
-	return decodeHtmlEntities(match[1]);
-}
-
-function extractMetaContent(html, attrName, attrValue) {
-	// Example: <meta property="og:image" content="...">
-	const re = new RegExp(
-		`<meta[^>]+${attrName}=["']${attrValue}["'][^>]+content=["']([^"']+)["'][^>]*>`,
-		"i"
-	);
-	const m = html.match(re);
-	return m ? decodeHtmlEntities(m[1]) : null;
-}
-
-function extractFirstImageSrc(html) {
-	// Very simple: first <img ... src="...">
-	const m = html.match(/<img[^>]+src=["']([^"']+)["'][^>]*>/i);
-	return m ? decodeHtmlEntities(m[1]) : null;
-}
-
-function absolutizeMaybe(url, baseUrl) {
-	try {
-		return new URL(url, baseUrl).toString();
-	} catch {
-		return null;
-	}
-}
+const CHECK_LINKS = process.argv.includes("--check-links");
+const REVIEW = process.argv.includes("--review");
+const ARCHIVE = process.argv.includes("--archive");
+const REPORT_FILE = process.argv.includes("--report") ? process.argv[process.argv.indexOf("--report") + 1] : null;
+const IMPORT_SOURCES = process.argv.flatMap((a, i, argv) => (a === "--import" && argv[i + 1] ? [argv[i + 1]] : []));
+// a stalled site would otherwise hold up the whole run; covers the body as well as the headers
+const FETCH_TIMEOUT_MS = process.argv.includes("--timeout") ? Number(process.argv[process.argv.indexOf("--timeout") + 1]) : 20000;
 
 function getHostname(url) {
 	try {
@@ -112,40 +78,6 @@ function extractYouTubeId(url) {
 	return null;
 }
 
-function classifySource(url, title) {
-	const hostname = getHostname(url).toLowerCase();
-
-	// Country-code TLDs (two-letter) other than 'us' are treated as international
-	try {
-		const parts = hostname.split(".");
-		const tld = parts[parts.length - 1];
-		if (tld.length === 2 && tld !== "us") return "international";
-	} catch {
-		// ignore
-	}
-
-	// Heuristic list of Florida cities / counties / keywords to consider 'local'
-	const floridaKeywords = [
-		"florida","miami","tampa","orlando","jacksonville","tallahassee",
-		"fortmyers","fort-myers","stpetersburg","st.-petersburg","st-petersburg",
-		// added St. Pete variants + explicit St. Pete Catalyst hostname
-		"stpete","st.-pete","st-pete","st.pete","st pete","stpetecatalyst",
-		"westpalm","west-palm","palmbeach","broward","duval","lee","sarasota",
-		"pensacola","naples","capecoral","ocala","daytona","portstlucie","manatee",
-		"pinellas","collier","hendry","monroe","lee-county","boca","delray","staugustine"
-	];
-
-	const hay = (url + " " + (title || "") + " " + hostname).toLowerCase();
-	for (const k of floridaKeywords) {
-		if (hay.includes(k)) return "local";
-	}
-
-	// If hostname explicitly ends with .us or is a known US government/edu domain, treat as nation
-	if (hostname.endsWith('.us') || hostname.endsWith('.gov') || hostname.endsWith('.edu')) return 'nation';
-
-	// Heuristic: assume .com/.org/.net without FL keywords is nation (US)
-	return 'nation';
-}
 function cleanTitle(title, url) {
 	if (!title) return null;
 	let t = String(title).trim();
@@ -159,14 +91,7 @@ function cleanTitle(title, url) {
 	t = t.replace(/\s+/g, " ").trim();
 
 	// Avoid writing obvious bot-check / access-block pages as titles.
-	if (
-		/^(verifying device|just a moment)\b/i.test(t) ||
-		/checking your browser/i.test(t) ||
-		/attention required/i.test(t) ||
-		/access denied/i.test(t)
-	) {
-		return null;
-	}
+	if (isBotCheckTitle(t)) return null;
 	return t;
 }
 
@@ -174,10 +99,10 @@ async function fetchTitleFromHtml(url) {
 	const res = await fetch(url, {
 		redirect: "follow",
 		headers: {
-			"user-agent":
-				"Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120 Safari/537.36",
+			"user-agent": USER_AGENT,
 			accept: "text/html,application/xhtml+xml",
 		},
+		signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
 	});
 
 	const contentType = res.headers.get("content-type") || "";
@@ -189,17 +114,20 @@ async function fetchTitleFromHtml(url) {
 	}
 
 	const html = await res.text();
-	const title = extractTitle(html);
-	return { title, ok: true, status: res.status, html };
+	// relative og:image etc. resolve against where redirects ended up
+	const meta = extractMetadata(html, res.url || url);
+	return { title: meta.title, ok: true, status: res.status, html, meta };
 }
 
 async function fetchYouTubeOEmbedTitle(url) {
 	// YouTube supports oEmbed without an API key.
 	const endpoint = `https://www.youtube.com/oembed?format=json&url=${encodeURIComponent(url)}`;
-	const res = await fetch(endpoint, { redirect: "follow" });
+	const res = await fetch(endpoint, { redirect: "follow", signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
 	if (!res.ok) return { title: null, ok: false, status: res.status, note: `oEmbed HTTP ${res.status}` };
 	const data = await res.json();
-	return { title: data?.title || null, ok: true, status: res.status };
+	// the channel is the outlet for press videos (e.g. "FOX 13 Tampa Bay")
+	const meta = { title: data?.title || null, siteName: data?.author_name || null };
+	return { title: meta.title, ok: true, status: res.status, meta };
 }
 
 async function fetchBestTitle(url) {
@@ -215,104 +143,249 @@ async function fetchBestTitle(url) {
 	return await fetchTitleFromHtml(url);
 }
 
-function extractBestImageFromHtml(html, pageUrl) {
-	const og = extractMetaContent(html, "property", "og:image") || extractMetaContent(html, "name", "og:image");
-	if (og) return absolutizeMaybe(og, pageUrl);
+// what a failed fetch is reported as
+function fetchError(e) {
+	return e.name === "TimeoutError" ? `no answer after ${FETCH_TIMEOUT_MS} ms` : String(e);
+}
 
-	const tw = extractMetaContent(html, "name", "twitter:image") || extractMetaContent(html, "property", "twitter:image");
-	if (tw) return absolutizeMaybe(tw, pageUrl);
+/**
+ * description / source / date / author for an item from a fetch result.
+ * source is the name from data/outlets.json, else the outlet's own name
+ * when the page gives one, else the hostname.
+ */
+function metadataFields(r, url, outlet) {
+	const meta = r.meta || {};
+	const fields = {
+		source: (outlet && outlet.media !== "platform" && outlet.name) || meta.siteName || getHostname(url),
+		description: meta.description || "",
+	};
+	if (meta.date) fields.date = meta.date;
+	if (meta.author) fields.author = meta.author;
+	return fields;
+}
 
-	const first = extractFirstImageSrc(html);
-	if (first) return absolutizeMaybe(first, pageUrl);
+// Normalized URLs of every item and local link, for duplicate checks.
+function existingUrls(data) {
+	return new Set([...data.items, ...Object.values(data.localLinks).flat()].map((e) => normalizeForCompare(e.url)));
+}
 
-	return null;
+/**
+ * A new item for url from its fetch result, plus how it was classified.
+ * hint ({ title, date } from a feed) fills in when the page itself won't say.
+ * Fields that wouldn't pass the schema are left out. added is today, which
+ * the feeds fall back on when there's no publish date.
+ */
+async function newEntryFor(url, r, outlets, hint = {}) {
+	const title = cleanTitle(r.title, url) || hint.title || "";
+	const thumb = !extractYouTubeId(url) && r.meta ? r.meta.image : null;
+	const fields = metadataFields(r, url, findOutlet(url, outlets));
+	if (!fields.date && hint.date) fields.date = hint.date;
+	const cls = classifySource(url, { title, description: fields.description }, outlets);
+	const item = {
+		type: "article",
+		group: cls.group,
+		tag: "",
+		title,
+		url,
+		thumb: thumb || "",
+		...fields,
+		added: new Date().toISOString().slice(0, 10),
+	};
+	warnDropped(url, await dropInvalidFields(item));
+	return { item, cls };
 }
 
-function parseItemsFromNewsHtml(fileText) {
-	const start = fileText.indexOf("const ITEMS");
-	if (start === -1) throw new Error("Could not find `const ITEMS` in news.html");
+function warnDropped(url, fields) {
+	for (const key of fields) process.stdout.write(`  (dropped invalid ${key} for ${url})\n`);
+}
 
-	const before = fileText.slice(0, start);
-	const afterStart = fileText.slice(start);
+/**
+ * Local stories go into localLinks under their outlet's name (returned as
+ * { source, url, title, added }); everything else is appended to items (returns null).
+ */
+function addEntry(data, item) {
+	if (item.group !== "local") {
+		data.items.push(item);
+		return null;
+	}
+	const source = item.source || getHostname(item.url) || item.url;
+	if (!data.localLinks[source]) data.localLinks[source] = [];
+	const link = { url: item.url, title: item.title || null, added: item.added };
+	data.localLinks[source].push(link);
+	return { source, ...link };
+}
 
-	const match = afterStart.match(/const\s+ITEMS\s*=\s*(\[[\s\S]*?\n\t\t\t\]);/);
-	if (!match) throw new Error("Could not extract the ITEMS array literal.");
+// Writes the data file, then regenerates the copy embedded in news.html and the feeds.
+async function persist(data) {
+	await saveNewsData(data);
+	const rebuilt = [...((await buildNewsPage(data)) ? ["news.html"] : []), ...(await writeFeeds(data))];
+	console.log(`Wrote data/news.json${rebuilt.length ? ` and rebuilt ${rebuilt.join(", ")}` : ""}.`);
+}
 
-	const arrayLiteral = match[1];
-	const arrayStart = start + match.index + match[0].indexOf(match[1]);
-	const arrayEnd = arrayStart + arrayLiteral.length;
+/**
+ * --check-links: visits every item and local link, prints a report and,
+ * with --write, marks dead entries (and their archive copies) in the data.
+ */
+async function checkLinks(data) {
+	const entries = linkEntries(data);
+	console.log(`Checking ${entries.length} links...`);
+
+	const results = await mapPolitely(
+		entries,
+		async ({ entry, label }) => {
+			const r = await checkLink(entry.url);
+			process.stdout.write(`- ${r.verdict.padEnd(10)} ${entry.url}${r.status ? ` (${r.status})` : ""}\n`);
+			return { ...r, label };
+		},
+		{ hostOf: ({ entry }) => getHostname(entry.url) }
+	);
 
-	// Evaluate the array literal. This is local-only tooling.
-	// eslint-disable-next-line no-new-func
-	const items = new Function(`return ${arrayLiteral};`)();
-	if (!Array.isArray(items)) throw new Error("ITEMS did not evaluate to an array.");
+	console.log(`\n${formatLinkReport(results)}\n`);
+	if (REPORT_FILE) {
+		await fs.writeFile(REPORT_FILE, JSON.stringify(results, null, "\t") + "\n", "utf8");
+		console.log(`Saved report to ${REPORT_FILE}`);
+	}
 
-	return { before, after: fileText.slice(arrayEnd), items, arrayLiteral, arrayStart, arrayEnd };
-}
+	// Without a network every host looks unknown; that's not 144 dead links.
+	if (!results.some((r) => r.status !== null)) {
+		console.log("No site answered (offline?); not marking anything dead.");
+		return;
+	}
 
-function parseLocalLinksFromNewsHtml(fileText) {
-	const start = fileText.indexOf("const LOCAL_LINKS");
-	if (start === -1) return null;
+	const today = new Date().toISOString().slice(0, 10);
+	let changed = 0;
+	for (const [i, { entry, label }] of entries.entries()) {
+		const wasDead = entry.deadSince;
+		if (!markLinkHealth(entry, results[i], today)) continue;
+		changed++;
+		console.log(`  ${label} ${wasDead ? "is back" : "marked dead"}: ${entry.url}`);
+	}
+
+	if (ARCHIVE) {
+		const missing = entries.filter(({ entry }) => entry.deadSince && !entry.archiveUrl);
+		// every lookup goes to archive.org, so these run one at a time
+		const archived = await mapPolitely(missing, ({ entry }) => findArchiveUrl(entry.url), { hostOf: () => "archive.org" });
+		for (const [i, { entry, label }] of missing.entries()) {
+			const archiveUrl = archived[i];
+			if (!archiveUrl) {
+				console.log(`  ${label} has no archived copy: ${entry.url}`);
+				continue;
+			}
+			entry.archiveUrl = archiveUrl;
+			changed++;
+			console.log(`  ${label} archiveUrl -> ${archiveUrl}`);
+		}
+	}
 
-	const before = fileText.slice(0, start);
-	const afterStart = fileText.slice(start);
+	console.log(`${changed} entries to update.`);
+	if (changed === 0) return;
+	if (!SHOULD_WRITE) {
+		console.log("Dry-run: re-run with --write to persist changes.");
+		return;
+	}
+	await persist(data);
+}
 
-	const match = afterStart.match(/const\s+LOCAL_LINKS\s*=\s*(\{[\s\S]*?\n\t\t\t\};)/);
-	if (!match) return null;
+/**
+ * --import: reads every source, skips links already on the page, fetches
+ * the rest (a few at a time, politely per site), adds them all and prints
+ * what happened. One write at the end.
+ */
+async function importUrls(data, outlets) {
+	const candidates = [];
+	for (const source of IMPORT_SOURCES) {
+		const found = await readImportSource(source);
+		console.log(`  ${source}: ${found.length} links`);
+		candidates.push(...found);
+	}
 
-	const objLiteral = match[1];
-	const objStart = start + match.index + match[0].indexOf(match[1]);
-	const objEnd = objStart + objLiteral.length;
+	const known = existingUrls(data);
+	const fresh = [];
+	for (const c of candidates) {
+		const key = normalizeForCompare(c.url);
+		if (known.has(key)) continue;
+		known.add(key);
+		fresh.push(c);
+	}
+	const duplicates = candidates.length - fresh.length;
+	console.log(`${fresh.length} new links (${duplicates} already on the page or listed twice).`);
+	if (fresh.length === 0) return;
 
-	// Evaluate locally
-	// eslint-disable-next-line no-new-func
-	const obj = new Function(`return ${objLiteral};`)();
-	return { before, after: fileText.slice(objEnd), obj, objLiteral, objStart, objEnd };
-}
+	const fetched = await mapPolitely(
+		fresh,
+		async ({ url }) => {
+			try {
+				const r = await fetchBestTitle(url);
+				process.stdout.write(`- fetched ${url}${r.note ? ` (${r.note})` : ""}\n`);
+				return r;
+			} catch (e) {
+				process.stdout.write(`- (failed) ${url}: ${fetchError(e)}\n`);
+				return { failed: fetchError(e) };
+			}
+		},
+		{ hostOf: ({ url }) => getHostname(url) }
+	);
 
-function formatItemsArray(items) {
-	// Match the style in news.html: tabs + 4-space-ish object formatting.
-	const indent1 = "\t\t\t"; // inside <script>
-	const indent2 = "\t\t\t\t";
-	const indent3 = "\t\t\t\t\t";
-
-	const lines = [];
-	lines.push("[");
-	for (const item of items) {
-		lines.push(`${indent2}{`);
-		for (const key of ["type", "group", "tag", "title", "source", "url", "thumb", "description"]) {
-			if (item[key] === undefined) continue;
-			const value = String(item[key]).replaceAll("\\", "\\\\").replaceAll('"', "\\\"");
-			lines.push(`${indent3}${key}: "${value}",`);
+	const added = [];
+	const skipped = [];
+	const failed = [];
+	for (const [i, c] of fresh.entries()) {
+		const r = fetched[i];
+		if (r.failed) {
+			failed.push({ url: c.url, note: r.failed });
+			continue;
 		}
-		lines.push(`${indent2}},`);
+		const { item, cls } = await newEntryFor(c.url, r, outlets, c);
+		if (!item.title) {
+			skipped.push({ url: c.url, note: r.note || "no title found" });
+			continue;
+		}
+		added.push({ item, cls, localLink: addEntry(data, item) });
+	}
+
+	const cards = added.filter((a) => !a.localLink);
+	console.log(
+		`\nImport summary: ${cards.length} cards, ${added.length - cards.length} local links, ${skipped.length} skipped, ${failed.length} failed, ${duplicates} duplicates.`
+	);
+	for (const { item, cls, localLink } of added) {
+		const flag = cls.confidence < REVIEW_BELOW ? `  [check group: ${cls.reason}]` : "";
+		console.log(`  + ${localLink ? `local link under "${localLink.source}"` : `${item.group} card`}: ${item.title}${flag}`);
+	}
+	for (const { url, note } of skipped) {
+		console.log(`  - skipped ${url}: ${note}`);
+	}
+	for (const { url, note } of failed) {
+		console.log(`  - failed ${url}: ${note}`);
+	}
+
+	if (added.length === 0) return;
+	if (!SHOULD_WRITE) {
+		console.log("\nDry-run: re-run with --write to persist changes.");
+		return;
 	}
-	lines.push(`${indent1}];`);
-	return lines.join("\n");
+	await persist(data);
 }
 
-function formatLocalLinksObject(obj) {
-	const indent1 = "\t\t\t"; // inside <script>
-	const indent2 = "\t\t\t\t";
-	const indent3 = "\t\t\t\t\t";
-
-	const lines = [];
-	lines.push("{");
-	for (const [source, links] of Object.entries(obj)) {
-		lines.push(`${indent2}"${String(source).replaceAll('"', '\\"')}": [`);
-		for (const l of links) {
-			const url = String(l.url || "").replaceAll('\\', '\\\\').replaceAll('"', '\\"');
-			const title = l.title === null || l.title === undefined ? null : String(l.title).replaceAll('\\', '\\\\').replaceAll('"', '\\"');
-			if (title === null) {
-				lines.push(`${indent3}{ url: "${url}", title: null },`);
-			} else {
-				lines.push(`${indent3}{ url: "${url}", title: "${title}" },`);
-			}
-		}
-		lines.push(`${indent2}],`);
+/**
+ * --review: classifies every item and local link from what's already in
+ * the data (no fetching) and lists the ones worth a second look.
+ */
+function review(data, outlets) {
+	// items without a group only show on Spotlight, so there's nothing to check
+	const entries = [
+		...data.items.filter((it) => it.group).map((it) => ({ entry: it, group: it.group })),
+		...Object.values(data.localLinks).flat().map((l) => ({ entry: l, group: "local" })),
+	];
+	let flagged = 0;
+	for (const { entry, group } of entries) {
+		const cls = classifySource(entry.url, { title: entry.title || "", description: entry.description || "" }, outlets);
+		if (cls.confidence >= REVIEW_BELOW && cls.group === group) continue;
+		flagged++;
+		console.log(`- ${entry.url}`);
+		console.log(`  ${group} -> ${cls.group} (confidence ${cls.confidence.toFixed(2)}): ${cls.reason}`);
 	}
-	lines.push(`${indent1};`);
-	return lines.join("\n");
+	console.log(`\n${flagged} of ${entries.length} links need review.`);
+	if (flagged) console.log("Fix the group in data/news.json, or add the outlet to data/outlets.json.");
 }
 
 async function main() {
@@ -320,22 +393,32 @@ async function main() {
 		throw new Error("This script requires Node 18+ (global fetch).");
 	}
 
-	const newsHtml = await fs.readFile(NEWS_FILE, "utf8");
-	const parsed = parseItemsFromNewsHtml(newsHtml);
+	const data = await loadNewsData();
+	const outlets = await loadOutlets();
 
-	console.log(`Found ${parsed.items.length} ITEMS in news.html`);
+	console.log(`Found ${data.items.length} items in data/news.json`);
+
+	if (REVIEW) {
+		review(data, outlets);
+		return;
+	}
+
+	if (CHECK_LINKS) {
+		await checkLinks(data);
+		return;
+	}
 
 	if (FIX_INTERNATIONAL) {
-		console.log("Running --fix-international: scanning ITEMS for international links...");
+		console.log("Running --fix-international: scanning items for international links...");
 		let changed = 0;
-		for (const it of parsed.items) {
+		for (const it of data.items) {
 			if (!it || !it.url) continue;
 			try {
-				const cls = classifySource(it.url, it.title || "");
-				if (cls === "international" && it.group !== "international") {
+				const cls = classifySource(it.url, { title: it.title || "", description: it.description || "" }, outlets);
+				if (cls.group === "international" && it.group !== "international") {
 					it.group = "international";
 					changed++;
-					console.log(`  updated -> international: ${it.url}`);
+					console.log(`  updated -> international: ${it.url} (${cls.reason})`);
 				}
 			} catch (e) {
 				// ignore
@@ -349,14 +432,15 @@ async function main() {
 			return;
 		}
 
-		const newArray = formatItemsArray(parsed.items);
-		const newFile = newsHtml.slice(0, parsed.arrayStart) + newArray + newsHtml.slice(parsed.arrayEnd);
-		await fs.writeFile(NEWS_FILE, newFile, "utf8");
-		console.log("Wrote updated ITEMS to news.html");
+		await persist(data);
+		return;
+	}
+
+	if (IMPORT_SOURCES.length > 0) {
+		await importUrls(data, outlets);
 		return;
 	}
 
-	const updated = [];
 	// Detect a single URL argument to add
 	const argUrl = process.argv.find((a) => a.startsWith('http://') || a.startsWith('https://')) || null;
 
@@ -364,114 +448,72 @@ async function main() {
 	// then append and optionally write. This avoids re-fetching every existing item as the list grows.
 	if (argUrl) {
 		process.stdout.write(`- Adding URL: ${argUrl}\n`);
-		const normArg = normalizeForCompare(argUrl);
-
-		// gather existing URLs from ITEMS and LOCAL_LINKS for duplicate detection
-		const existingItemUrls = parsed.items.map((it) => (it && it.url ? normalizeForCompare(it.url) : null)).filter(Boolean);
-		const localParsed = parseLocalLinksFromNewsHtml(newsHtml);
-		const existingLocalUrls = (localParsed && Object.values(localParsed.obj).flat().map((l) => normalizeForCompare(l.url))) || [];
-		const isDup = existingItemUrls.includes(normArg) || existingLocalUrls.includes(normArg);
-		if (isDup) {
-			console.log("Duplicate detected: URL already exists in ITEMS or LOCAL_LINKS. No changes made.");
+		if (existingUrls(data).has(normalizeForCompare(argUrl))) {
+			console.log("Duplicate detected: URL already exists in items or localLinks. No changes made.");
 			return;
 		}
 
 		try {
 			const r = await fetchBestTitle(argUrl);
-			const fetchedTitle = cleanTitle(r.title, argUrl) || '';
-			let fetchedThumb = null;
-			const isYouTube = Boolean(extractYouTubeId(argUrl));
-			const shouldTryThumb = !isYouTube;
-			if (shouldTryThumb && r.html) fetchedThumb = extractBestImageFromHtml(r.html, argUrl);
-			await sleep(REQUEST_DELAY_MS);
-
-			const group = classifySource(argUrl, fetchedTitle);
-			const newItem = {
-				type: 'article',
-				group,
-				tag: '',
-				title: fetchedTitle || '',
-				source: getHostname(argUrl),
-				url: argUrl,
-				thumb: fetchedThumb || '',
-				description: '',
-			};
-
-			console.log(`  -> classified as ${group}`);
-
-			if (group === 'local') {
-				// add into LOCAL_LINKS under the source hostname (create source if missing)
-				const lp = localParsed || { obj: {}, objStart: null, objEnd: null };
-				const srcKey = newItem.source || getHostname(argUrl) || argUrl;
-				if (!lp.obj[srcKey]) lp.obj[srcKey] = [];
-				lp.obj[srcKey].push({ url: argUrl, title: newItem.title || null });
-
-				if (!SHOULD_WRITE) {
-					console.log('\nDry-run: not writing changes. Re-run with --write to persist.');
-					console.log('Proposed local link:', JSON.stringify({ source: srcKey, url: argUrl, title: newItem.title || null }, null, 2));
-					return;
-				}
-
-				// Format and write updated LOCAL_LINKS section
-				const newLocal = formatLocalLinksObject(lp.obj);
-				let newFile;
-				if (localParsed && localParsed.objStart != null) {
-					newFile = newsHtml.slice(0, localParsed.objStart) + newLocal + newsHtml.slice(localParsed.objEnd);
-				} else {
-					// fallback: append a LOCAL_LINKS block before ITEMS arrayStart
-					const insertAt = parsed.arrayStart || newsHtml.length;
-					const block = `\n\t\t\tconst LOCAL_LINKS = ${newLocal}\n\n`;
-					newFile = newsHtml.slice(0, insertAt) + block + newsHtml.slice(insertAt);
-				}
+			const { item: newItem, cls } = await newEntryFor(argUrl, r, outlets);
 
-				await fs.writeFile(NEWS_FILE, newFile, 'utf8');
-				console.log('\nAdded local link and updated news.html LOCAL_LINKS.');
-				return;
+			console.log(`  -> classified as ${cls.group} (confidence ${cls.confidence.toFixed(2)}: ${cls.reason})`);
+			if (cls.confidence < REVIEW_BELOW) {
+				console.log('  -> low confidence: check the group, and consider adding the outlet to data/outlets.json');
 			}
+			console.log(`  -> ${newItem.source}${newItem.date ? `, ${newItem.date}` : ''}${newItem.author ? `, by ${newItem.author}` : ''}`);
 
-			// non-local: append into ITEMS
-			parsed.items.push(newItem);
-
+			const localLink = addEntry(data, newItem);
 			if (!SHOULD_WRITE) {
 				console.log('\nDry-run: not writing changes. Re-run with --write to persist.');
-				console.log('Proposed item:', JSON.stringify(newItem, null, 2));
+				if (localLink) console.log('Proposed local link:', JSON.stringify(localLink, null, 2));
+				else console.log('Proposed item:', JSON.stringify(newItem, null, 2));
 				return;
 			}
 
-			// Persist the updated ITEMS array (only formatting the array portion)
-			const newArray = formatItemsArray(parsed.items);
-			const newFile = newsHtml.slice(0, parsed.arrayStart) + newArray + newsHtml.slice(parsed.arrayEnd);
-			await fs.writeFile(NEWS_FILE, newFile, 'utf8');
-			console.log('\nAdded item and updated news.html ITEMS.');
+			await persist(data);
+			console.log(localLink ? 'Added local link.' : 'Added item.');
 			return;
 		} catch (e) {
-			process.stdout.write(`  (failed) ${String(e)}\n`);
+			process.stdout.write(`  (failed) ${fetchError(e)}\n`);
 			return;
 		}
 	}
 
-	for (const item of parsed.items) {
-		if (!item?.url) {
-			updated.push(item);
-			continue;
-		}
+	console.log(`Fetching metadata for ${data.items.length} items...`);
+	const fetched = await mapPolitely(
+		data.items,
+		async (item) => {
+			try {
+				return await fetchBestTitle(item.url);
+			} catch (e) {
+				return { error: e };
+			}
+		},
+		{ hostOf: (item) => getHostname(item.url) }
+	);
 
-		process.stdout.write(`- Fetching metadata: ${item.url}\n`);
+	const updated = [];
+	const failed = [];
+	for (const [i, item] of data.items.entries()) {
+		const r = fetched[i];
+		process.stdout.write(`- ${item.url}\n`);
 		let fetchedTitle = null;
 		let fetchedThumb = null;
-		try {
-			const r = await fetchBestTitle(item.url);
+		let fetchedFields = null;
+		if (r.error) {
+			failed.push(item.url);
+			process.stdout.write(`  (failed) ${fetchError(r.error)}\n`);
+		} else {
 			fetchedTitle = cleanTitle(r.title, item.url);
 			// Scrape thumbnails for articles, and for non-YouTube videos (FOX/etc).
 			const isYouTube = Boolean(extractYouTubeId(item.url));
 			const shouldTryThumb = item.type === "article" || (item.type === "video" && !isYouTube);
-			if (shouldTryThumb && r.html) {
-				fetchedThumb = extractBestImageFromHtml(r.html, item.url);
+			if (shouldTryThumb && r.meta) {
+				fetchedThumb = r.meta.image;
 			}
-		} catch (e) {
-			process.stdout.write(`  (failed) ${String(e)}\n`);
+			if (r.meta) fetchedFields = metadataFields(r, item.url, findOutlet(item.url, outlets));
 		}
-		await sleep(REQUEST_DELAY_MS);
 
 		const next = { ...item };
 		if (fetchedTitle) {
@@ -490,18 +532,33 @@ async function main() {
 			process.stdout.write(`  thumb -> (none)\n`);
 		}
 
+		// Fill in what's missing; hand-written descriptions and outlet names stay.
+		if (fetchedFields) {
+			if (!next.description && fetchedFields.description) next.description = fetchedFields.description;
+			if ((!next.source || next.source === getHostname(item.url)) && fetchedFields.source) next.source = fetchedFields.source;
+			if (!next.date && fetchedFields.date) next.date = fetchedFields.date;
+			if (!next.author && fetchedFields.author) next.author = fetchedFields.author;
+			for (const key of ["description", "source", "date", "author"]) {
+				if (next[key] !== item[key]) process.stdout.write(`  ${key} -> ${next[key]}\n`);
+			}
+		}
+		warnDropped(item.url, await dropInvalidFields(next, item));
+
 		updated.push(next);
 	}
 
+	if (failed.length) {
+		console.log(`\n${failed.length} of ${data.items.length} pages could not be fetched (kept as they were):`);
+		for (const url of failed) console.log(`  - ${url}`);
+	}
+
 	if (!SHOULD_WRITE) {
-		console.log("\nDry-run only. Re-run with --write to update news.html");
+		console.log("\nDry-run only. Re-run with --write to update data/news.json and news.html");
 		return;
 	}
 
-	const newArray = formatItemsArray(updated);
-	const newFile = newsHtml.slice(0, parsed.arrayStart) + newArray + newsHtml.slice(parsed.arrayEnd);
-	await fs.writeFile(NEWS_FILE, newFile, "utf8");
-	console.log("\nUpdated news.html ITEMS titles.");
+	data.items = updated;
+	await persist(data);
 }
 
 main().catch((err) => {
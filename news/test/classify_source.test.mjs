@@ -0,0 +1,97 @@
+/**
+ * classifySource: the outlet database first, then the scored guess.
+ *
+ * Run from news/:
+ *   node --test test/*.test.mjs
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { classifySource, findOutlet, REVIEW_BELOW } from "../scripts/classify_source.mjs";
+import { loadNewsData, loadOutlets } from "../scripts/news_data.mjs";
+
+const OUTLETS = {
+	"tampabay.com": { name: "Tampa Bay Times", country: "US", region: "FL", media: "newspaper" },
+	"afar.com": { name: "AFAR", country: "US", media: "magazine" },
+	"blooloop.com": { name: "blooloop", country: "GB", media: "online" },
+	"bizjournals.com": { name: "The Business Journals", country: "US", media: "newspaper" },
+	"bizjournals.com/tampabay": { name: "Tampa Bay Business Journal", country: "US", region: "FL", media: "newspaper" },
+	"youtube.com": { name: "YouTube", media: "platform" },
+};
+
+const groupOf = (url, text) => classifySource(url, text, OUTLETS).group;
+
+test('"lee" only counts as Lee County, not inside fleet or Kathleen', () => {
+	const fleet = classifySource("https://example.com/fleet-week-returns", { title: "Kathleen Ruiz on the fleet's big week" });
+	assert.equal(fleet.group, "nation");
+	assert.equal(fleet.reason, "no local or foreign signals");
+
+	const lee = classifySource("https://example.com/news/art-walk", { title: "Art walk returns to Lee County" });
+	assert.equal(lee.group, "local");
+	assert.equal(lee.reason, "mentions lee county");
+});
+
+test("Southwest Florida towns count as local, Naples included", () => {
+	const naples = classifySource("https://example.com/news/felt-store", { title: "Naples collectors drive up for the felt store" });
+	assert.equal(naples.group, "local");
+	assert.equal(naples.reason, "mentions naples");
+	assert.equal(groupOf("https://example.com/a", { title: "Cape Coral and Fort Myers families" }), "local");
+});
+
+test("other words hidden inside longer ones don't count either", () => {
+	assert.equal(groupOf("https://example.com/floridarama-opens", { title: "FloridaRAMA opens" }), "nation");
+	assert.equal(groupOf("https://example.com/a", { description: "a colonial-era ukulele" }), "nation");
+});
+
+test("outlets in the database win over keywords, with full confidence", () => {
+	// a national magazine writing about St. Pete is still national
+	const afar = classifySource("https://www.afar.com/magazine/st-petersburg-florida", { title: "Why St. Petersburg, Florida, is worth a trip" }, OUTLETS);
+	assert.deepEqual([afar.group, afar.confidence, afar.reason], ["nation", 1, "outlet database: AFAR"]);
+	assert.equal(groupOf("https://www.tampabay.com/news/2025/11/25/story/"), "local");
+});
+
+test("a .com outlet based abroad is international, not national", () => {
+	assert.equal(groupOf("https://blooloop.com/museum/in-depth/fairgrounds-st-pete/", { title: "Fairgrounds St. Pete" }), "international");
+});
+
+test("findOutlet matches subdomains and prefers the longest key", () => {
+	assert.equal(findOutlet("https://m.tampabay.com/story", OUTLETS).name, "Tampa Bay Times");
+	assert.equal(findOutlet("https://www.bizjournals.com/tampabay/news/2024/01/24/x.html", OUTLETS).name, "Tampa Bay Business Journal");
+	assert.equal(findOutlet("https://www.bizjournals.com/tampabayarea/news", OUTLETS).name, "The Business Journals");
+	assert.equal(findOutlet("https://nottampabay.com/", OUTLETS), null);
+	assert.equal(findOutlet("not a url", OUTLETS), null);
+});
+
+test("platforms fall through to the story's own words", () => {
+	const r = classifySource("https://www.youtube.com/watch?v=abc", { title: "Inside a felt store in St. Pete" }, OUTLETS);
+	assert.equal(r.group, "local");
+	assert.equal(r.reason, "mentions st pete (on YouTube)");
+	assert.ok(r.confidence < REVIEW_BELOW);
+});
+
+test("unknown outlets: hostname and country code carry more weight than a mention", () => {
+	const host = classifySource("https://stpeterising.com/arts/felt-store", { title: "A felt store in Tampa Bay" });
+	assert.equal(host.group, "local");
+	assert.ok(host.confidence >= REVIEW_BELOW, String(host.confidence));
+
+	const uk = classifySource("https://www.example.co.uk/travel/florida-review", { title: "Florida review" });
+	assert.equal(uk.group, "international");
+	assert.ok(uk.confidence >= REVIEW_BELOW, String(uk.confidence));
+
+	// .tv and .co are sold as generic names
+	assert.equal(groupOf("https://example.tv/shows/felt"), "nation");
+	assert.equal(groupOf("https://example.co/felt"), "nation");
+});
+
+test("a plain .com with nothing to go on is national, but flagged for review", () => {
+	const r = classifySource("https://example.com/article/123", { title: "Artist sews a grocery store" });
+	assert.equal(r.group, "nation");
+	assert.ok(r.confidence < REVIEW_BELOW);
+});
+
+test("data/outlets.json is valid and knows the outlet behind every card", async () => {
+	const outlets = await loadOutlets();
+	const data = await loadNewsData();
+	assert.deepEqual(data.items.filter((it) => !findOutlet(it.url, outlets)).map((it) => it.url), []);
+});
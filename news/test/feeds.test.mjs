@@ -0,0 +1,302 @@
+/**
+ * feed.xml, atom.xml and feed.json: well-formed, carrying what the RSS 2.0,
+ * Atom (RFC 4287) and JSON Feed 1.1 specs require, and stable across
+ * rebuilds.
+ *
+ * Run from news/:
+ *   node --test test/*.test.mjs
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { buildFeeds, feedEntries, writeFeeds, FEED_FILES } from "../scripts/feeds.mjs";
+import { loadNewsData } from "../scripts/news_data.mjs";
+
+const DATA = {
+	items: [
+		{
+			type: "article",
+			group: "local",
+			tag: "Press",
+			title: "Felt <store> & more",
+			source: "Tampa Bay Times",
+			author: "Jane Doe",
+			date: "2025-11-25",
+			url: "https://www.tampabay.com/felt/?a=1&b=2",
+			thumb: "https://img.example.com/felt.png",
+			description: "A store made of felt.",
+		},
+		{ type: "video", tag: "Video", title: "Walkthrough", url: "https://www.youtube.com/watch?v=abc123" },
+		{
+			type: "article",
+			title: "Gone but archived",
+			url: "https://example.com/gone",
+			added: "2025-10-01",
+			archiveUrl: "https://web.archive.org/web/2025/https://example.com/gone",
+			deadSince: "2026-01-02",
+		},
+	],
+	localLinks: {
+		"St. Pete Catalyst": [
+			{ url: "https://stpetecatalyst.com/felt/", title: null, added: "2025-09-15" },
+			{ url: "https://www.tampabay.com/felt/?a=1&b=2", title: "Repeat of the first card" },
+		],
+	},
+};
+
+/**
+ * Just enough of an XML parser to hold the feeds to XML 1.0: one root,
+ * matched and properly nested tags, quoted and unique attributes, and
+ * only the predefined or numeric entity references.
+ */
+function parseXml(text) {
+	const root = { name: "#document", attrs: {}, children: [], text: "" };
+	const stack = [root];
+	const body = text.replace(/^<\?xml[^?]*\?>\s*/, "");
+	const checkText = (t) => {
+		for (const [ref] of t.matchAll(/&[^;\s]*;?/g)) {
+			assert.match(ref, /^&(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);$/i, `bad entity ${ref}`);
+		}
+		assert.ok(!t.includes("<"), `stray < in ${t}`);
+		return t.replaceAll("&lt;", "<").replaceAll("&gt;", ">").replaceAll("&quot;", '"').replaceAll("&apos;", "'").replaceAll("&amp;", "&");
+	};
+	const tagPattern = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gy;
+	let pos = 0;
+	let m;
+	while ((m = tagPattern.exec(body))) {
+		pos = tagPattern.lastIndex;
+		const [, closing, name, attrText, selfClosing, text] = m;
+		const parent = stack[stack.length - 1];
+		if (text !== undefined) {
+			parent.text += checkText(text);
+			continue;
+		}
+		if (closing) {
+			assert.equal(name, parent.name, `</${name}> closes <${parent.name}>`);
+			stack.pop();
+			continue;
+		}
+		const attrs = {};
+		for (const [, key, value] of attrText.matchAll(/([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+			assert.ok(!(key in attrs), `duplicate attribute ${key}`);
+			attrs[key] = checkText(value ?? "");
+		}
+		const node = { name, attrs, children: [], text: "" };
+		parent.children.push(node);
+		if (!selfClosing) stack.push(node);
+	}
+	assert.equal(pos, body.length, `unparsed XML at ${body.slice(pos, pos + 40)}`);
+	assert.equal(stack.length, 1, `<${stack[stack.length - 1].name}> is never closed`);
+	assert.equal(root.children.length, 1, "exactly one root element");
+	assert.equal(root.text.trim(), "");
+	return root.children[0];
+}
+
+const kids = (node, name) => node.children.filter((c) => c.name === name);
+const kid = (node, name) => kids(node, name)[0];
+
+const RFC822 = /^(Mon|Tue|Wed|Thu|Fri|Sat|Sun), \d{2} (Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec) \d{4} \d{2}:\d{2}:\d{2} GMT$/;
+const RFC3339 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function assertAbsoluteUrl(value, what) {
+	assert.doesNotThrow(() => new URL(value), `${what}: ${value}`);
+}
+
+function assertValidRss(xml) {
+	const rss = parseXml(xml);
+	assert.equal(rss.name, "rss");
+	assert.equal(rss.attrs.version, "2.0");
+	const channels = kids(rss, "channel");
+	assert.equal(channels.length, 1);
+	const channel = channels[0];
+	for (const required of ["title", "link", "description"]) assert.ok(kid(channel, required)?.text, `channel <${required}>`);
+	assert.match(kid(channel, "lastBuildDate").text, RFC822);
+	const self = kid(channel, "atom:link");
+	assert.equal(rss.attrs["xmlns:atom"], "http://www.w3.org/2005/Atom");
+	assert.equal(self.attrs.rel, "self");
+
+	const guids = new Set();
+	for (const item of kids(channel, "item")) {
+		assert.ok(kid(item, "title") || kid(item, "description"), "an item needs a title or description");
+		assertAbsoluteUrl(kid(item, "link").text, "item link");
+		const guid = kid(item, "guid").text;
+		assert.ok(!guids.has(guid), `duplicate guid ${guid}`);
+		guids.add(guid);
+		if (kid(item, "pubDate")) assert.match(kid(item, "pubDate").text, RFC822);
+		// <source url> has to be the source's own RSS feed, which we never know
+		assert.equal(kid(item, "source"), undefined);
+		if (kid(item, "dc:creator") || kid(item, "dc:publisher")) assert.equal(rss.attrs["xmlns:dc"], "http://purl.org/dc/elements/1.1/");
+		const enclosures = kids(item, "enclosure");
+		assert.ok(enclosures.length <= 1);
+		for (const e of enclosures) {
+			assertAbsoluteUrl(e.attrs.url, "enclosure url");
+			assert.match(e.attrs.length, /^\d+$/);
+			assert.match(e.attrs.type, /^image\/[\w.+-]+$/);
+		}
+	}
+	return channel;
+}
+
+function assertValidAtom(xml) {
+	const feed = parseXml(xml);
+	assert.equal(feed.name, "feed");
+	assert.equal(feed.attrs.xmlns, "http://www.w3.org/2005/Atom");
+	for (const required of ["id", "title", "updated"]) assert.equal(kids(feed, required).length, 1, `feed <${required}>`);
+	assert.match(kid(feed, "updated").text, RFC3339);
+	assertAbsoluteUrl(kid(feed, "id").text, "feed id");
+	assert.ok(kids(feed, "link").some((l) => l.attrs.rel === "self"), "feed should link to itself");
+	const feedHasAuthor = kids(feed, "author").length > 0;
+
+	const ids = new Set();
+	for (const entry of kids(feed, "entry")) {
+		for (const required of ["id", "title", "updated"]) assert.equal(kids(entry, required).length, 1, `entry <${required}>`);
+		const id = kid(entry, "id").text;
+		assertAbsoluteUrl(id, "entry id");
+		assert.ok(!ids.has(id), `duplicate id ${id}`);
+		ids.add(id);
+		assert.match(kid(entry, "updated").text, RFC3339);
+		if (kid(entry, "published")) assert.match(kid(entry, "published").text, RFC3339);
+		assert.ok(feedHasAuthor || kids(entry, "author").length, "entries need an author when the feed has none");
+		for (const author of kids(entry, "author")) assert.ok(kid(author, "name")?.text);
+		const links = kids(entry, "link");
+		assert.equal(links.filter((l) => (l.attrs.rel || "alternate") === "alternate").length, 1, "one alternate link");
+		for (const l of links) assertAbsoluteUrl(l.attrs.href, "link href");
+		for (const c of kids(entry, "category")) assert.ok(c.attrs.term);
+		// <source> would describe the feed the entry was copied from
+		assert.equal(kid(entry, "source"), undefined);
+		if (kid(entry, "dc:publisher")) assert.equal(feed.attrs["xmlns:dc"], "http://purl.org/dc/elements/1.1/");
+	}
+	return feed;
+}
+
+function assertValidJsonFeed(text) {
+	const feed = JSON.parse(text);
+	assert.equal(feed.version, "https://jsonfeed.org/version/1.1");
+	assert.equal(typeof feed.title, "string");
+	assertAbsoluteUrl(feed.home_page_url, "home_page_url");
+	assertAbsoluteUrl(feed.feed_url, "feed_url");
+	assert.ok(Array.isArray(feed.items));
+	const ids = new Set();
+	for (const item of feed.items) {
+		assert.equal(typeof item.id, "string");
+		assert.ok(!ids.has(item.id), `duplicate id ${item.id}`);
+		ids.add(item.id);
+		assert.ok(typeof item.content_text === "string" || typeof item.content_html === "string", "content_text or content_html");
+		assertAbsoluteUrl(item.url, "item url");
+		if (item.image) assertAbsoluteUrl(item.image, "item image");
+		if ("date_published" in item) assert.match(item.date_published, RFC3339);
+		for (const author of item.authors || []) assert.equal(typeof author.name, "string");
+		const known = ["id", "url", "external_url", "title", "content_html", "content_text", "summary", "image", "banner_image", "date_published", "date_modified", "authors", "tags", "language", "attachments"];
+		for (const key of Object.keys(item)) assert.ok(known.includes(key) || /^_[a-z]/i.test(key), `unknown item field ${key}`);
+	}
+	return feed;
+}
+
+test("RSS 2.0: required channel and item elements, escaping, enclosures", () => {
+	const channel = assertValidRss(buildFeeds(DATA)["feed.xml"]);
+	const items = kids(channel, "item");
+	assert.deepEqual(
+		items.map((i) => kid(i, "title").text),
+		["Felt <store> & more", "Gone but archived", "St. Pete Catalyst", "Walkthrough"]
+	);
+	const [felt, gone, , video] = items;
+	assert.equal(kid(felt, "link").text, "https://www.tampabay.com/felt/?a=1&b=2");
+	assert.equal(kid(felt, "pubDate").text, "Tue, 25 Nov 2025 00:00:00 GMT");
+	assert.equal(kid(felt, "dc:publisher").text, "Tampa Bay Times");
+	assert.equal(kid(felt, "dc:creator").text, "Jane Doe");
+	assert.deepEqual(kid(felt, "enclosure").attrs, { url: "https://img.example.com/felt.png", length: "0", type: "image/png" });
+	assert.equal(kid(video, "enclosure").attrs.url, "https://img.youtube.com/vi/abc123/hqdefault.jpg");
+	assert.equal(kid(video, "pubDate"), undefined, "no date, no pubDate");
+	// dead links point at the archive, but keep their identity
+	assert.equal(kid(gone, "link").text, "https://web.archive.org/web/2025/https://example.com/gone");
+	assert.equal(kid(gone, "guid").text, "https://example.com/gone");
+	assert.equal(kid(channel, "lastBuildDate").text, "Tue, 25 Nov 2025 00:00:00 GMT");
+});
+
+test("Atom: ids, dates, authors and links per RFC 4287", () => {
+	const feed = assertValidAtom(buildFeeds(DATA)["atom.xml"]);
+	const [felt] = kids(feed, "entry");
+	assert.equal(kid(felt, "updated").text, "2025-11-25T00:00:00Z");
+	assert.equal(kid(kid(felt, "author"), "name").text, "Jane Doe");
+	assert.equal(kid(felt, "dc:publisher").text, "Tampa Bay Times");
+	assert.deepEqual(
+		kids(felt, "link").map((l) => l.attrs.rel),
+		["alternate", "enclosure"]
+	);
+	assert.deepEqual(
+		kids(felt, "category").map((c) => c.attrs.term),
+		["Press", "local"]
+	);
+	assert.equal(kid(feed, "updated").text, "2025-11-25T00:00:00Z");
+});
+
+test("JSON Feed 1.1: required fields, images and the _source extension", () => {
+	const feed = assertValidJsonFeed(buildFeeds(DATA)["feed.json"]);
+	assert.deepEqual(feed.items[0], {
+		id: "https://www.tampabay.com/felt/?a=1&b=2",
+		url: "https://www.tampabay.com/felt/?a=1&b=2",
+		title: "Felt <store> & more",
+		content_text: "A store made of felt.",
+		summary: "A store made of felt.",
+		image: "https://img.example.com/felt.png",
+		date_published: "2025-11-25T00:00:00Z",
+		authors: [{ name: "Jane Doe" }],
+		tags: ["Press", "local"],
+		_source: { name: "Tampa Bay Times", url: "https://www.tampabay.com/" },
+	});
+	assert.equal(feed.items[2].content_text, "St. Pete Catalyst");
+});
+
+test("local links become entries; ones repeating a card are left out", () => {
+	const entries = feedEntries(DATA);
+	assert.deepEqual(
+		entries.map((e) => e.id),
+		["https://www.tampabay.com/felt/?a=1&b=2", "https://www.youtube.com/watch?v=abc123", "https://example.com/gone", "https://stpetecatalyst.com/felt/"]
+	);
+	assert.equal(entries[3].source, "St. Pete Catalyst");
+});
+
+test("undated entries have no publish date; Atom falls back on the day they were added", () => {
+	const feeds = buildFeeds(DATA);
+	assert.deepEqual(buildFeeds(DATA), feeds, "rebuilds are identical");
+
+	const json = JSON.parse(feeds["feed.json"]);
+	assert.deepEqual(
+		json.items.map((i) => i.date_published),
+		["2025-11-25T00:00:00Z", undefined, undefined, undefined]
+	);
+
+	const [, gone, catalyst, video] = kids(assertValidAtom(feeds["atom.xml"]), "entry");
+	assert.equal(kid(gone, "published"), undefined);
+	assert.equal(kid(gone, "updated").text, "2025-10-01T00:00:00Z");
+	assert.equal(kid(catalyst, "updated").text, "2025-09-15T00:00:00Z");
+	// written by hand with neither: the feed's own updated time
+	assert.equal(kid(video, "updated").text, "2025-11-25T00:00:00Z");
+});
+
+test("writeFeeds writes only what changed, and check writes nothing", async () => {
+	const dir = await fs.mkdtemp(path.join(os.tmpdir(), "feeds-"));
+	const dirUrl = pathToFileURL(`${dir}/`);
+	try {
+		assert.deepEqual(await writeFeeds(DATA, { dir: dirUrl, check: true }), FEED_FILES);
+		assert.deepEqual(await fs.readdir(dir), []);
+		assert.deepEqual(await writeFeeds(DATA, { dir: dirUrl }), FEED_FILES);
+		assert.deepEqual(await writeFeeds(DATA, { dir: dirUrl }), []);
+	} finally {
+		await fs.rm(dir, { recursive: true, force: true });
+	}
+});
+
+test("the published feeds are valid and up to date with data/news.json", async () => {
+	const news = await loadNewsData();
+	assert.deepEqual(await writeFeeds(news, { check: true }), [], "run node scripts/build_news_page.mjs");
+	const dir = new URL("../", import.meta.url);
+	assertValidRss(await fs.readFile(new URL("feed.xml", dir), "utf8"));
+	assertValidAtom(await fs.readFile(new URL("atom.xml", dir), "utf8"));
+	assertValidJsonFeed(await fs.readFile(new URL("feed.json", dir), "utf8"));
+});
@@ -0,0 +1,133 @@
+/**
+ * --import sources (saved exports in test/fixtures) and the per-host
+ * throttle that paces the fetches.
+ *
+ * Run from news/:
+ *   node --test test/*.test.mjs
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { fileURLToPath } from "node:url";
+
+import { isFeed, parseFeed, parseUrlList, readImportSource, unwrapRedirect } from "../scripts/import_sources.mjs";
+import { createHostGate, mapPolitely } from "../scripts/host_throttle.mjs";
+
+const fixturePath = (name) => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+const urlsOf = (entries) => entries.map((e) => e.url);
+
+test("CSV export: every link cell, quoted or not, without repeats", async () => {
+	const entries = await readImportSource(fixturePath("press-hits.csv"));
+	assert.deepEqual(urlsOf(entries), [
+		"https://www.tampabay.com/life-culture/arts/visual-arts/2025/11/25/lucy-sparrow-quick-shop-st-petersburg-miami-florida-felt-floridarama/",
+		"https://www.cltampa.com/arts/felt-quick-shop-review-17201234?utm_source=newsletter",
+		"https://example.com/arts/felt-store.html",
+		"https://artblog.example.org/2025/12/felt/",
+	]);
+	assert.deepEqual(entries[0], { url: entries[0].url, title: null, date: null });
+});
+
+test("plain URL list: trailing punctuation is dropped", async () => {
+	const entries = await readImportSource(fixturePath("urls.txt"));
+	assert.deepEqual(urlsOf(entries), ["https://www.example.net/story-one", "https://www.example.net/story-two"]);
+});
+
+test("Google Alert email: quoted-printable decoded, redirects unwrapped, Google's own links dropped", async () => {
+	const entries = await readImportSource(fixturePath("google-alert.eml"));
+	assert.deepEqual(urlsOf(entries), [
+		"https://www.wfla.com/news/pinellas-county/floridarama-felt-store/",
+		"https://stpetecatalyst.com/floridarama-adds-felt-store/",
+	]);
+});
+
+test("Google Alerts Atom feed: article links, HTML titles flattened, dates", async () => {
+	const entries = await readImportSource(fixturePath("google-alerts-feed.xml"));
+	assert.deepEqual(entries, [
+		{ url: "https://www.afar.com/magazine/felt-store-st-pete", title: "Lucy Sparrow's FloridaRAMA Quick Shop & more", date: "2025-12-04" },
+		{ url: "https://www.tampabay.com/things-to-do/2025/12/03/fairgrounds-turns-two/", title: "Fairgrounds St. Pete turns two", date: "2025-12-03" },
+	]);
+});
+
+test("RSS feed: link or permalink guid, CDATA titles, pubDate and dc:date", async () => {
+	const entries = await readImportSource(fixturePath("outlet-rss.xml"));
+	assert.deepEqual(entries, [
+		{
+			url: "https://83degreesmedia.com/floridarama-showcases-lucy-sparrows-homage-to-convenience-stores/",
+			title: "FloridaRAMA showcases Lucy Sparrow's homage to convenience stores",
+			date: "2025-11-25",
+		},
+		{ url: "https://83degreesmedia.com/mermaids-fairgrounds/", title: "Mermaids take over the Fairgrounds", date: "2025-03-14" },
+	]);
+});
+
+test("feeds can be read from a URL", async () => {
+	const feed = `<?xml version="1.0"?><rss version="2.0"><channel><item><title>Felt</title><link>https://example.com/felt</link></item></channel></rss>`;
+	const server = http.createServer((req, res) => res.writeHead(200, { "content-type": "application/rss+xml" }).end(feed));
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	try {
+		const entries = await readImportSource(`http://127.0.0.1:${server.address().port}/feed.xml`);
+		assert.deepEqual(entries, [{ url: "https://example.com/felt", title: "Felt", date: null }]);
+	} finally {
+		server.close();
+	}
+});
+
+test("isFeed and unwrapRedirect", () => {
+	assert.equal(isFeed(`<?xml version="1.0"?>\n<!-- generator -->\n<rss version="2.0">`), true);
+	assert.equal(isFeed(`<feed xmlns="http://www.w3.org/2005/Atom">`), true);
+	assert.equal(isFeed("https://example.com/a\nhttps://example.com/b"), false);
+	assert.equal(isFeed("<html><body><a href='https://example.com/rss'>rss</a>"), false);
+	assert.equal(parseFeed("<rss></rss>").length, 0);
+	assert.deepEqual(urlsOf(parseUrlList("")), []);
+
+	assert.equal(unwrapRedirect("https://www.google.co.uk/url?q=https://example.com/a&sa=U"), "https://example.com/a");
+	assert.equal(unwrapRedirect("https://example.com/url?url=https://other.example/"), "https://example.com/url?url=https://other.example/");
+});
+
+test("host gate spaces requests to the same host and lets others through", async () => {
+	const t = 1000;
+	const slept = [];
+	const gate = createHostGate(500, { now: () => t, sleep: async (ms) => slept.push(ms) });
+	await gate.wait("a.com");
+	await gate.wait("b.com");
+	await gate.wait("a.com");
+	await gate.wait("a.com");
+	assert.deepEqual(slept, [500, 1000]);
+	assert.equal(gate.readyAt("a.com"), 2500);
+	assert.equal(gate.readyAt("c.com"), 0);
+});
+
+test("mapPolitely keeps input order and picks the host that is free soonest", async () => {
+	const started = [];
+	const gate = createHostGate(500, { now: () => 0, sleep: async () => {} });
+	const items = ["a.com/1", "a.com/2", "a.com/3", "b.com/1", "c.com/1"];
+	const results = await mapPolitely(
+		items,
+		async (item, i) => {
+			started.push(item);
+			return `${i}:${item}`;
+		},
+		{ hostOf: (item) => item.split("/")[0], concurrency: 1, gate }
+	);
+	assert.deepEqual(results, items.map((item, i) => `${i}:${item}`));
+	// after a.com/1, a.com is busy for 500 ms, so b.com and c.com go first
+	assert.deepEqual(started, ["a.com/1", "b.com/1", "c.com/1", "a.com/2", "a.com/3"]);
+});
+
+test("mapPolitely runs up to concurrency workers at once", async () => {
+	let running = 0;
+	let peak = 0;
+	const gate = createHostGate(0);
+	await mapPolitely(
+		Array.from({ length: 10 }, (_, i) => `host${i}.com`),
+		async () => {
+			running++;
+			peak = Math.max(peak, running);
+			await new Promise((resolve) => setTimeout(resolve, 5));
+			running--;
+		},
+		{ hostOf: (h) => h, concurrency: 3, gate }
+	);
+	assert.equal(peak, 3);
+});
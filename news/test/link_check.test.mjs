@@ -0,0 +1,173 @@
+/**
+ * --check-links against a stub HTTP server standing in for news sites and
+ * the Wayback Machine.
+ *
+ * Run from news/:
+ *   node --test test/*.test.mjs
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+
+import { checkLink, findArchiveUrl, formatLinkReport, linkEntries, markLinkHealth } from "../scripts/link_check.mjs";
+
+const page = (title) => `<!doctype html><html><head><title>${title}</title></head><body></body></html>`;
+
+const ROUTES = {
+	"/story": (req, res) => res.writeHead(200, { "content-type": "text/html; charset=utf-8" }).end(page("Felt store opens")),
+	"/old-story": (req, res) => res.writeHead(301, { location: "/story-renamed" }).end(),
+	"/story-renamed": (req, res) => res.writeHead(200, { "content-type": "text/html" }).end(page("Felt store opens")),
+	"/no-slash": (req, res) => res.writeHead(301, { location: "/no-slash/" }).end(),
+	"/no-slash/": (req, res) => res.writeHead(200, { "content-type": "text/html" }).end(page("Felt store opens")),
+	"/gone": (req, res) => res.writeHead(404, { "content-type": "text/html" }).end(page("Page not found")),
+	"/removed": (req, res) => res.writeHead(302, { location: "/" }).end(),
+	"/": (req, res) => res.writeHead(200, { "content-type": "text/html" }).end(page("Home")),
+	"/challenge": (req, res) => res.writeHead(403, { "content-type": "text/html", "cf-mitigated": "challenge" }).end(page("Just a moment...")),
+	"/interstitial": (req, res) => res.writeHead(200, { "content-type": "text/html" }).end(page("Attention Required! | Cloudflare")),
+	"/forbidden": (req, res) => res.writeHead(403).end(),
+	"/subscribe": (req, res) => res.writeHead(402).end(),
+	"/broken": (req, res) => res.writeHead(500).end(),
+	"/slow": () => {},
+	"/stall": (req, res) => res.writeHead(200, { "content-type": "text/html" }).write("<!doctype html><html><head><title>Felt"),
+	"/cut": (req, res) => {
+		res.writeHead(200, { "content-type": "text/html", "content-length": "5000" }).write("<!doctype html><html>");
+		setTimeout(() => res.destroy(), 20);
+	},
+	"/clip.pdf": (req, res) => res.writeHead(200, { "content-type": "application/pdf" }).end("%PDF-1.4"),
+	"/wayback": (req, res) => {
+		const url = new URL(req.url, "http://stub").searchParams.get("url");
+		const snapshots = {
+			"https://example.com/gone": { available: true, status: "200", url: "http://web.archive.org/web/20251126000000/https://example.com/gone" },
+			"https://example.com/error-page": { available: true, status: "404", url: "http://web.archive.org/web/2025/https://example.com/error-page" },
+		};
+		const closest = snapshots[url];
+		res.writeHead(200, { "content-type": "application/json" }).end(JSON.stringify({ url, archived_snapshots: closest ? { closest } : {} }));
+	},
+};
+
+let server;
+let base;
+
+before(async () => {
+	server = http.createServer((req, res) => (ROUTES[new URL(req.url, "http://stub").pathname] || ROUTES["/gone"])(req, res));
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+	server.closeAllConnections();
+	server.close();
+});
+
+test("a live page is ok", async () => {
+	const r = await checkLink(`${base}/story`);
+	assert.equal(r.verdict, "ok");
+	assert.equal(r.status, 200);
+	assert.equal(r.finalUrl, null);
+	assert.equal(r.title, "Felt store opens");
+});
+
+test("redirects report where they ended up", async () => {
+	const r = await checkLink(`${base}/old-story`);
+	assert.equal(r.verdict, "redirected");
+	assert.equal(r.finalUrl, `${base}/story-renamed`);
+});
+
+test("a trailing-slash redirect is not worth reporting", async () => {
+	const r = await checkLink(`${base}/no-slash`);
+	assert.equal(r.verdict, "ok");
+	assert.equal(r.finalUrl, null);
+});
+
+test("404 and redirects to the homepage are dead", async () => {
+	assert.deepEqual(await checkLink(`${base}/gone`).then((r) => [r.verdict, r.status, r.note]), ["dead", 404, "HTTP 404"]);
+	const removed = await checkLink(`${base}/removed`);
+	assert.equal(removed.verdict, "dead");
+	assert.equal(removed.finalUrl, `${base}/`);
+	assert.equal(removed.note, "redirects to the homepage");
+});
+
+test("bot checks and access errors are blocked, not dead", async () => {
+	for (const [path, note] of [
+		["/challenge", "bot check"],
+		["/interstitial", "bot check"],
+		["/forbidden", "HTTP 403"],
+		["/subscribe", "paywall"],
+	]) {
+		const r = await checkLink(`${base}${path}`);
+		assert.deepEqual([r.verdict, r.note], ["blocked", note], path);
+	}
+});
+
+test("server errors, timeouts, stalled or cut-off pages and refused connections are errors", async () => {
+	assert.deepEqual(await checkLink(`${base}/broken`).then((r) => [r.verdict, r.note]), ["error", "HTTP 500"]);
+	assert.deepEqual(await checkLink(`${base}/slow`, { timeoutMs: 200 }).then((r) => [r.verdict, r.note]), ["error", "no answer after 200 ms"]);
+
+	const stalled = await checkLink(`${base}/stall`, { timeoutMs: 200 });
+	assert.deepEqual([stalled.verdict, stalled.status, stalled.note], ["error", 200, "page still loading after 200 ms"]);
+	const cut = await checkLink(`${base}/cut`);
+	assert.deepEqual([cut.verdict, cut.status], ["error", 200]);
+	assert.match(cut.note, /^page cut off: /);
+
+	const closed = http.createServer();
+	await new Promise((resolve) => closed.listen(0, "127.0.0.1", resolve));
+	const port = closed.address().port;
+	await new Promise((resolve) => closed.close(resolve));
+	assert.deepEqual(await checkLink(`http://127.0.0.1:${port}/story`).then((r) => [r.verdict, r.note]), ["error", "ECONNREFUSED"]);
+});
+
+test("non-HTML links are checked by status alone", async () => {
+	const r = await checkLink(`${base}/clip.pdf`);
+	assert.equal(r.verdict, "ok");
+	assert.equal(r.title, null);
+});
+
+test("findArchiveUrl returns the closest good snapshot over https", async () => {
+	const endpoint = `${base}/wayback`;
+	assert.equal(await findArchiveUrl("https://example.com/gone", { endpoint }), "https://web.archive.org/web/20251126000000/https://example.com/gone");
+	assert.equal(await findArchiveUrl("https://example.com/error-page", { endpoint }), null);
+	assert.equal(await findArchiveUrl("https://example.com/never-saved", { endpoint }), null);
+	assert.equal(await findArchiveUrl("https://example.com/gone", { endpoint: `${base}/broken` }), null);
+});
+
+test("markLinkHealth sets deadSince once and clears it when the page is back", () => {
+	const entry = { url: "https://example.com/gone", title: "Felt store" };
+	assert.equal(markLinkHealth(entry, { verdict: "dead" }, "2026-01-05"), true);
+	assert.equal(markLinkHealth(entry, { verdict: "dead" }, "2026-02-01"), false);
+	assert.equal(entry.deadSince, "2026-01-05");
+	// a bot check can't tell us the page came back
+	assert.equal(markLinkHealth(entry, { verdict: "blocked" }, "2026-02-01"), false);
+	assert.equal(markLinkHealth(entry, { verdict: "ok" }, "2026-02-01"), true);
+	assert.equal("deadSince" in entry, false);
+});
+
+test("linkEntries covers items and local links, and the report lists the worst first", () => {
+	const data = {
+		items: [{ type: "article", title: "A", url: "https://example.com/a" }],
+		localLinks: { "Tampa Bay Times": [{ url: "https://example.com/b", title: null }] },
+	};
+	const entries = linkEntries(data);
+	assert.deepEqual(entries.map((e) => e.label), ["items[0]", 'localLinks["Tampa Bay Times"]']);
+	assert.equal(entries[1].entry, data.localLinks["Tampa Bay Times"][0]);
+
+	const report = formatLinkReport([
+		{ url: "https://example.com/a", verdict: "redirected", note: "-> https://example.com/a2", label: "items[0]" },
+		{ url: "https://example.com/b", verdict: "dead", note: "HTTP 404", label: entries[1].label },
+		{ url: "https://example.com/c", verdict: "ok", note: "" },
+	]);
+	assert.equal(
+		report,
+		[
+			"Checked 3 links: 1 ok, 1 dead, 0 error, 0 blocked, 1 redirected",
+			"",
+			"DEAD (1)",
+			'  https://example.com/b  [localLinks["Tampa Bay Times"]]',
+			"    HTTP 404",
+			"",
+			"REDIRECTED (1)",
+			"  https://example.com/a  [items[0]]",
+			"    -> https://example.com/a2",
+		].join("\n")
+	);
+});
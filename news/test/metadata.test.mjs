@@ -0,0 +1,112 @@
+/**
+ * Metadata extraction against saved article pages in test/fixtures.
+ *
+ * Run from news/:
+ *   node --test test/*.test.mjs
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+
+import { decodeHtmlEntities, extractBestImageFromHtml, extractMetaContent, extractMetadata, normalizeDate } from "../scripts/metadata.mjs";
+
+const fixture = (name) => fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+
+test("WordPress/Yoast @graph: author and publisher resolved through @id", async () => {
+	const html = await fixture("yoast-article.html");
+	const meta = extractMetadata(html, "https://www.fusedmagazine.co.uk/felt-fantasies-in-florida-lucy-sparrow-lands-at-floridarama/");
+	assert.deepEqual(meta, {
+		title: "FELT FANTASIES IN FLORIDA: LUCY SPARROW LANDS AT FLORIDARAMA – Fused Magazine",
+		description: "Lucy Sparrow's hand-sewn convenience store opens in St. Petersburg.",
+		date: "2025-12-03",
+		author: "Ava Reed",
+		siteName: "Fused Magazine",
+		image: "https://www.fusedmagazine.co.uk/wp-content/uploads/2025/12/2.png",
+	});
+});
+
+test("NewsArticle JSON-LD: author list, publisher name, local publish date", async () => {
+	const html = await fixture("tv-newsarticle.html");
+	const meta = extractMetadata(html, "https://www.wtsp.com/article/news/local/pinellascounty/floridarama-felt-grocery-store/67-98781345");
+	assert.equal(meta.title, "Artist builds felt grocery store pop-up in St. Petersburg | wtsp.com");
+	assert.equal(meta.description, "Everything on the shelves — from cereal to canned soup — is made of felt.");
+	// 21:30 in Florida is already the next day in UTC; keep the date the outlet printed
+	assert.equal(meta.date, "2025-11-25");
+	assert.equal(meta.author, "Jane Doe, John Roe");
+	assert.equal(meta.siteName, "10 Tampa Bay");
+	// og:image wins over the JSON-LD image, made absolute against the page
+	assert.equal(meta.image, "https://www.wtsp.com/assets/lead-image.jpg");
+});
+
+test("plain meta tags: single quotes, entities, <time datetime>, URL authors dropped", async () => {
+	const html = await fixture("plain-meta.html");
+	const meta = extractMetadata(html, "https://thegabber.example/things-to-do/");
+	assert.deepEqual(meta, {
+		title: "Things to do this week in Gulfport & St. Pete",
+		description: "It's a grocery store made of felt – and it’s open through March.",
+		date: "2024-05-06",
+		author: null,
+		siteName: null,
+		image: "https://thegabber.example/things-to-do/images/store.jpg",
+	});
+});
+
+test("JSON-LD that doesn't parse falls back to Open Graph and meta tags", async () => {
+	const html = await fixture("broken-jsonld.html");
+	const meta = extractMetadata(html, "https://tampabaydatenightguide.com/lucy-sparrow/");
+	assert.deepEqual(meta, {
+		title: "Lucy Sparrow at FloridaRAMA - Tampa Bay Date Night Guide",
+		description: "A date-night stop you can't eat: a whole store sewn from felt.",
+		date: "2025-12-02",
+		author: "Mia Torres",
+		siteName: "Tampa Bay Date Night Guide",
+		image: "https://tampabaydatenightguide.com/wp-content/uploads/sparrow.jpg",
+	});
+});
+
+test("extractMetaContent reads attributes in any order and quoting", () => {
+	const html = [
+		`<meta content="first" property="og:title">`,
+		`<meta property='og:image' content='https://example.com/a.jpg'>`,
+		`<meta name=author content=Someone>`,
+		`<meta property="og:description" content="">`,
+	].join("\n");
+	assert.equal(extractMetaContent(html, "property", "og:title"), "first");
+	assert.equal(extractMetaContent(html, "property", "OG:IMAGE"), "https://example.com/a.jpg");
+	assert.equal(extractMetaContent(html, "name", "author"), "Someone");
+	assert.equal(extractMetaContent(html, "property", "og:description"), null);
+});
+
+test("normalizeDate", () => {
+	assert.equal(normalizeDate("2025-12-03T14:22:10+00:00"), "2025-12-03");
+	assert.equal(normalizeDate("2025-11-25T21:30:00-05:00"), "2025-11-25");
+	assert.equal(normalizeDate("Tue, 02 Dec 2025 15:00:00 GMT"), "2025-12-02");
+	assert.equal(normalizeDate("2024-02-29"), "2024-02-29");
+	assert.equal(normalizeDate("2024-13-40"), null);
+	assert.equal(normalizeDate("2025-02-29T10:00:00Z"), null);
+	assert.equal(normalizeDate("2025-00-10"), null);
+	assert.equal(normalizeDate("sometime last week"), null);
+	assert.equal(normalizeDate(""), null);
+	assert.equal(normalizeDate(undefined), null);
+});
+
+test("extractBestImageFromHtml only returns absolute http(s) URLs", () => {
+	const page = "https://example.com/news/story";
+	const pixel = "data:image/gif;base64,R0lGODlhAQABAAAAACw=";
+	assert.equal(extractBestImageFromHtml(`<meta property="og:image" content="/img/a.jpg">`, page), "https://example.com/img/a.jpg");
+	assert.equal(extractBestImageFromHtml(`<img src="${pixel}">`, page), null);
+	assert.equal(
+		extractBestImageFromHtml(`<meta property="og:image" content="${pixel}"><meta name="twitter:image" content="//cdn.example.com/t.png">`, page),
+		"https://cdn.example.com/t.png"
+	);
+	assert.equal(extractBestImageFromHtml(`<meta property="og:image" content="javascript:alert(1)"><img src="b.jpg">`, page), "https://example.com/news/b.jpg");
+	assert.equal(extractBestImageFromHtml("<p>no images</p>", page), null);
+});
+
+test("decodeHtmlEntities decodes once", () => {
+	assert.equal(decodeHtmlEntities("Tom &amp; Jerry &#8211; &#x2014; &hellip;"), "Tom & Jerry – — …");
+	// an escaped entity stays escaped text, not a second decode
+	assert.equal(decodeHtmlEntities("&amp;lt;"), "&lt;");
+	assert.equal(decodeHtmlEntities("&bogus; &#99999999;"), "&bogus; &#99999999;");
+});
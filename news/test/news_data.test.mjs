@@ -0,0 +1,54 @@
+/**
+ * data/news.json against its schema, and news.html staying in sync with it.
+ *
+ * Run from news/:
+ *   node --test test/*.test.mjs
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildNewsPage, dropInvalidFields, injectNewsData, loadNewsData, validateNewsData } from "../scripts/news_data.mjs";
+
+const item = (extra) => ({ type: "article", title: "Felt store", url: "https://example.com/story", ...extra });
+const data = (...items) => ({ items, localLinks: {} });
+
+test("data/news.json is valid and news.html is up to date", async () => {
+	const news = await loadNewsData();
+	assert.equal(await buildNewsPage(news, { check: true }), false, "run node scripts/build_news_page.mjs");
+});
+
+test("date must be YYYY-MM-DD", async () => {
+	assert.deepEqual(await validateNewsData(data(item({ date: "2025-12-03" }))), []);
+	for (const date of ["2025-12-3", "12/03/2025", "2025-13-01", "2025-12-03T10:00:00Z"]) {
+		const problems = await validateNewsData(data(item({ date })));
+		assert.deepEqual(problems, ["$.items[0].date: publish date as YYYY-MM-DD"], date);
+	}
+});
+
+test("unknown item fields are rejected", async () => {
+	assert.deepEqual(await validateNewsData(data(item({ publishedAt: "2025-12-03" }))), ['$.items[0]: unknown field "publishedAt"']);
+});
+
+test("dropInvalidFields drops bad scraped fields, or keeps what was there", async () => {
+	const scraped = item({ date: "2024-02-3", thumb: "data:image/png;base64,AAAA", author: "Ava Reed" });
+	assert.deepEqual(await dropInvalidFields(scraped), ["date", "thumb"]);
+	assert.deepEqual(scraped, item({ author: "Ava Reed" }));
+	assert.deepEqual(await validateNewsData(data(scraped)), []);
+
+	const refreshed = item({ date: "2025-12-03", thumb: "ftp://example.com/a.png" });
+	assert.deepEqual(await dropInvalidFields(refreshed, item({ thumb: "https://example.com/a.png" })), ["thumb"]);
+	assert.deepEqual(refreshed, item({ date: "2025-12-03", thumb: "https://example.com/a.png" }));
+
+	const broken = item({ url: "not a url" });
+	assert.deepEqual(await dropInvalidFields(broken), [], "required fields are never dropped");
+});
+
+test("injectNewsData keeps titles from closing the script tag", () => {
+	const page = `<body>\n\t<script type="application/json" id="news-data"></script>\n</body>`;
+	const out = injectNewsData(page, data(item({ title: "Felt </script><!-- store" })));
+	assert.equal(out.match(/<\/script>/g).length, 1);
+	assert.ok(!out.includes("<!--"));
+	const json = out.match(/id="news-data">([\s\S]*?)<\/script>/)[1];
+	assert.equal(JSON.parse(json).items[0].title, "Felt </script><!-- store");
+});
@@ -0,0 +1,55 @@
+/**
+ * The scraper as a command: a dry-run --import against a stub site whose
+ * pages never finish, so a stalled host fails its link instead of hanging.
+ *
+ * Run from news/:
+ *   node --test test/*.test.mjs
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs/promises";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const SCRIPT = fileURLToPath(new URL("../scripts/scrape_news_titles.mjs", import.meta.url));
+
+let server;
+let base;
+
+before(async () => {
+	server = http.createServer((req, res) => {
+		// /slow never answers; /stall sends headers and half a page
+		if (req.url === "/stall") res.writeHead(200, { "content-type": "text/html" }).write("<!doctype html><html><head><title>Felt");
+	});
+	await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+	base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+	server.closeAllConnections();
+	server.close();
+});
+
+function run(args) {
+	return new Promise((resolve, reject) => {
+		execFile(process.execPath, [SCRIPT, ...args], { timeout: 30000 }, (err, stdout) => (err ? reject(err) : resolve(stdout)));
+	});
+}
+
+test("--import gives up on pages that stall and lists them as failed", async () => {
+	const dir = await fs.mkdtemp(path.join(os.tmpdir(), "import-"));
+	try {
+		const list = path.join(dir, "urls.txt");
+		await fs.writeFile(list, `${base}/slow\n${base}/stall\n`);
+		const out = await run(["--import", list, "--timeout", "300"]);
+		assert.match(out, /Import summary: 0 cards, 0 local links, 0 skipped, 2 failed, 0 duplicates\./);
+		assert.match(out, new RegExp(`- failed ${base}/slow: no answer after 300 ms`));
+		assert.match(out, new RegExp(`- failed ${base}/stall: no answer after 300 ms`));
+	} finally {
+		await fs.rm(dir, { recursive: true, force: true });
+	}
+});
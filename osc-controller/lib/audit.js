@@ -0,0 +1,155 @@
+/* === Nova Kukla === */
+/* === osc-controller: append-only OSC history === */
+
+const fs   = require('fs');
+const path = require('path');
+
+/*
+ * Every OSC send (and every cue run / cancel) is appended as one JSON line
+ * to data/history/history-YYYY-MM-DD.jsonl. A new file starts each day and
+ * files older than retainDays are deleted. Entries look like:
+ *
+ *   { "ts": "2026-10-19T14:02:11.418Z", "type": "send", "user": "ted", "ip": "10.1.4.60",
+ *     "source": "cue", "cue": "storm", "sequence": "storm-3",
+ *     "device": "resolume", "address": "/composition/layers/2/clear",
+ *     "args": [{ "type": "i", "value": 0 }], "result": "sent" }
+ *
+ * result is "sent", "error" (UDP send failed) or "rejected" (validation).
+ */
+const DEFAULT_RETAIN_DAYS = 30;
+const FILE_PATTERN = /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function dayOf(ms)
+{
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// blobs go in as base64 so the line stays plain JSON
+function serializeArgs(args)
+{
+  return (args || []).map((a) => ({ type: a.type, value: Buffer.isBuffer(a.value) ? a.value.toString('base64') : a.value }));
+}
+
+function createAuditLog({ dir, retainDays = DEFAULT_RETAIN_DAYS, now = Date.now })
+{
+  fs.mkdirSync(dir, { recursive: true });
+
+  let stream = null;
+  let streamDay = null;
+  let pending = 0;   // lines handed to a stream but not yet on disk
+  let idle = [];     // flush() callers waiting for pending to reach 0
+
+  function fileFor(day)
+  {
+    return path.join(dir, `history-${day}.jsonl`);
+  }
+
+  function rotate(day)
+  {
+    if (stream) { stream.end(); }
+    stream = fs.createWriteStream(fileFor(day), { flags: 'a' });
+    stream.on('error', (err) => console.error('History write error:', err.message));
+    streamDay = day;
+    prune(day);
+  }
+
+  function prune(today)
+  {
+    const cutoff = dayOf(Date.parse(today) - retainDays * 24 * 60 * 60 * 1000);
+    fs.readdir(dir, (err, files) =>
+    {
+      if (err) return;
+      for (const file of files)
+      {
+        const m = file.match(FILE_PATTERN);
+        if (m && m[1] < cutoff) { fs.unlink(path.join(dir, file), () => {}); }
+      }
+    });
+  }
+
+  function append(entry)
+  {
+    const at  = now();
+    const day = dayOf(at);
+    if (day !== streamDay) { rotate(day); }
+
+    const line = { ts: new Date(at).toISOString(), ...entry };
+    if (line.args) { line.args = serializeArgs(line.args); }
+    pending += 1;
+    stream.write(JSON.stringify(line) + '\n', () =>
+    {
+      pending -= 1;
+      if (pending === 0)
+      {
+        for (const resolve of idle) { resolve(); }
+        idle = [];
+      }
+    });
+  }
+
+  // resolves once every appended line is in its file, so a query right after a send sees it
+  function flush()
+  {
+    return pending === 0 ? Promise.resolve() : new Promise((resolve) => idle.push(resolve));
+  }
+
+  /*
+   * Filters: from / to (ms or ISO), device, address (prefix), user, source,
+   * type, result. Newest entries first, at most `limit`.
+   */
+  async function query({ from, to, device, address, user, source, type, result, limit = 200 } = {})
+  {
+    const fromMs  = from !== undefined ? toMs(from) : 0;
+    const untilMs  = to !== undefined ? toMs(to) : now();
+    if (Number.isNaN(fromMs) || Number.isNaN(untilMs)) { throw new Error('from / to must be ms timestamps or ISO dates'); }
+    await flush();
+
+    const files = (await fs.promises.readdir(dir))
+      .filter((f) => { const m = f.match(FILE_PATTERN); return m && m[1] >= dayOf(fromMs) && m[1] <= dayOf(untilMs); })
+      .sort()
+      .reverse();
+
+    const matches = [];
+    for (const file of files)
+    {
+      const lines = (await fs.promises.readFile(path.join(dir, file), 'utf8')).split('\n');
+      for (let i = lines.length - 1; i >= 0 && matches.length < limit; i--)
+      {
+        if (!lines[i]) continue;
+        let entry;
+        try { entry = JSON.parse(lines[i]); }
+        catch (e) { continue; }   // a torn last line after a crash
+
+        const at = Date.parse(entry.ts);
+        if (at < fromMs || at > untilMs) continue;
+        if (device  && entry.device !== device) continue;
+        if (address && !String(entry.address || '').startsWith(address)) continue;
+        if (user    && entry.user !== user) continue;
+        if (source  && entry.source !== source) continue;
+        if (type    && entry.type !== type) continue;
+        if (result  && entry.result !== result) continue;
+        matches.push(entry);
+      }
+      if (matches.length >= limit) break;
+    }
+    return matches;
+  }
+
+  function close()
+  {
+    if (stream) { stream.end(); }
+    stream = null;
+    streamDay = null;
+  }
+
+  return { append, flush, query, close };
+}
+
+function toMs(value)
+{
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(String(value))) return Number(value);
+  return Date.parse(value);
+}
+
+module.exports = { createAuditLog };
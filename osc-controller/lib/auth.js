@@ -0,0 +1,150 @@
+/* === Nova Kukla === */
+/* === osc-controller: logins, sessions and roles === */
+
+const fs     = require('fs');
+const crypto = require('crypto');
+
+/*
+ * Roles, lowest first. Each role can do everything the ones before it can:
+ *   floor  nudge eyes, stop a running cue
+ *   tech   fire cues, drive Resolume / cat caller
+ *   admin  edit the device config
+ */
+const ROLES = ['floor', 'tech', 'admin'];
+
+const SESSION_COOKIE = 'osc_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;   // one show day
+
+// failed logins per client before it has to wait
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS  = 30000;
+
+/* === PINs are stored as scrypt$<salt hex>$<hash hex> === */
+function hashPin(pin, salt = crypto.randomBytes(16))
+{
+  const hash = crypto.scryptSync(String(pin), salt, 32);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPin(pin, stored)
+{
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual   = crypto.scryptSync(String(pin), Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/*
+ * config/users.json (not committed; see users.example.json):
+ * { "users": { "nova": { "role": "admin", "pin": "scrypt$..." } } }
+ */
+function loadUsers(filePath)
+{
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const users = {};
+
+  for (const [name, def] of Object.entries(raw.users || {}))
+  {
+    if (!def || !ROLES.includes(def.role))
+    {
+      throw new Error(`User "${name}" needs a role: ${ROLES.join(', ')}`);
+    }
+    if (typeof def.pin !== 'string' || !def.pin.startsWith('scrypt$'))
+    {
+      throw new Error(`User "${name}" pin must be a scrypt hash (use npm run add-user)`);
+    }
+    users[name] = { name, role: def.role, pin: def.pin };
+  }
+  return users;
+}
+
+function hasRole(session, role)
+{
+  return Boolean(session) && ROLES.indexOf(session.role) >= ROLES.indexOf(role);
+}
+
+// a cookie with broken %-escapes (someone else's, or a forged one) is skipped, not fatal
+function parseCookies(header)
+{
+  const cookies = {};
+  for (const part of String(header || '').split(';'))
+  {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    try { cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim()); }
+    catch (e) { continue; }
+  }
+  return cookies;
+}
+
+/*
+ * Sessions live in memory, so a restart logs everyone out. With
+ * disabled: true every request is treated as an admin (local dev only).
+ */
+function createAuth({ users = {}, disabled = false, now = Date.now, ttlMs = SESSION_TTL_MS } = {})
+{
+  const sessions = new Map();   // token -> { id, user, role, expires }
+  const failures = new Map();   // client ip -> { count, until }
+
+  function login(username, pin, clientIp)
+  {
+    const fail = failures.get(clientIp);
+    if (fail && fail.until > now())
+    {
+      return { error: 'Too many failed logins, try again shortly', status: 429 };
+    }
+
+    const user = users[username];
+    if (!user || !verifyPin(pin, user.pin))
+    {
+      // the count starts over once a lockout has run out
+      const count = fail && fail.until === 0 ? fail.count + 1 : 1;
+      failures.set(clientIp, { count, until: count >= MAX_FAILED_LOGINS ? now() + LOGIN_LOCKOUT_MS : 0 });
+      return { error: 'Wrong username or PIN', status: 401 };
+    }
+
+    failures.delete(clientIp);
+    const token = crypto.randomBytes(24).toString('hex');
+    // id names the session to other people (control locks) without giving away the token
+    const session = { id: crypto.randomBytes(6).toString('hex'), user: user.name, role: user.role, expires: now() + ttlMs };
+    sessions.set(token, session);
+    return { token, session };
+  }
+
+  function logout(req)
+  {
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (token) { sessions.delete(token); }
+  }
+
+  function sessionFor(req)
+  {
+    if (disabled) return { id: 'local', user: 'local', role: 'admin', expires: null };
+
+    const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const session = token && sessions.get(token);
+    if (!session) return null;
+    if (session.expires <= now())
+    {
+      sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  function sessionCookie(token)
+  {
+    return `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${Math.floor(ttlMs / 1000)}`;
+  }
+
+  function clearedCookie()
+  {
+    return `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+  }
+
+  return { login, logout, sessionFor, sessionCookie, clearedCookie, disabled };
+}
+
+module.exports = { ROLES, hashPin, verifyPin, loadUsers, hasRole, parseCookies, createAuth };
@@ -0,0 +1,1325 @@
+/* === Nova Kukla === */
+/* === osc-controller: the bridge (HTTP routes, OSC out, feedback in) === */
+
+const http  = require('http');
+const fs    = require('fs');
+const path  = require('path');
+const dgram = require('dgram');
+
+const { loadDeviceRegistry, getDevice, checkDeviceChanges, saveDeviceOverrides } = require('./devices');
+const { loadCues, createCueEngine, cuesUsingChoreography } = require('./cues');
+const { normalizeArgs, encodeMessage, encodeBundle, decodePacket, packetMessages, formatArgs } = require('./osc');
+const { createFeedbackState } = require('./feedback');
+const { createEventHub } = require('./events');
+const { createHealthMonitor } = require('./health');
+const { loadUsers, hasRole, createAuth } = require('./auth');
+const { checkMessage, createCooldowns, createRateLimiter } = require('./validation');
+const { createAuditLog } = require('./audit');
+const { loadSchedule, saveSchedulePaused, createScheduler } = require('./schedule');
+const { createStaticHandler } = require('./static');
+const { loadControllers, renderControllerPage } = require('./controllers');
+const { loadPositionStreams, createPositionEngine } = require('./positions');
+const { createControlLocks } = require('./locks');
+const { createSimulator } = require('./simulator');
+const { sendJson, readJson, decodeSegment, isProtectedPage } = require('./http');
+const { decodeMidiMessage, loadMidiMappings, saveMidiMappings, createMidiMapper, openMidiInput, describeMessage } = require('./midi');
+const { NAME_PATTERN, validateChoreography, loadChoreographies, saveChoreographies, choreographySteps, canLoop, createRecorder } = require('./choreography');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+
+/*
+ * Everything server.js runs, as one object that can be started and
+ * stopped: tests build one per case with temp config files, port 0 for
+ * HTTP and OSC, and a fake clock (timers / now) to step through cue waits.
+ * Files default to config/, and what the bridge writes while it runs
+ * (stateDir, historyDir) to the gitignored data/; server.js maps the OSC_*
+ * environment onto these options.
+ *
+ * Returns { server, udpSocket, registry, auth, audit, cueEngine,
+ * scheduler, simulator, listen(httpPort), close() }.
+ */
+function createBridge({
+  devicesFile        = path.join(CONFIG_DIR, 'devices.json'),
+  usersFile          = path.join(CONFIG_DIR, 'users.json'),
+  authDisabled       = false,
+  cuesFile           = path.join(CONFIG_DIR, 'cues.json'),
+  choreographiesFile = path.join(CONFIG_DIR, 'choreographies.json'),
+  scheduleFile       = path.join(CONFIG_DIR, 'schedule.json'),
+  midiFile           = path.join(CONFIG_DIR, 'midi.json'),
+  stateDir           = path.join(__dirname, '..', 'data'),
+  historyDir         = path.join(stateDir, 'history'),
+  publicDir          = path.join(__dirname, '..', 'public'),
+  oscListenPort      = 9000,
+  targetIp           = null,
+  targetPort         = null,
+  midiInput          = null,
+  simulate           = false,
+  timers             = { setTimeout, clearTimeout, setInterval, clearInterval },
+  now                = Date.now,
+} = {})
+{
+  // device registry (snail, gator, panther, cat-caller, resolume), with the hub's edits from data/
+  const deviceOverridesFile = path.join(stateDir, 'devices.json');
+  const registry = loadDeviceRegistry(devicesFile, deviceOverridesFile);
+
+  // targetIp / targetPort still re-point the default device for one-off shows
+  if (registry.defaultDevice)
+  {
+    const fallback = registry.devices[registry.defaultDevice];
+    if (targetIp)   { fallback.ip   = targetIp; }
+    if (targetPort) { fallback.port = Number(targetPort); }
+  }
+
+  // smoothed XY pad / slider streams ("positions" per device), and the controller pages
+  // (/controllers/:device) built from each device's "controller" block
+  const positionStreams = loadPositionStreams(registry);
+  const controllers     = loadControllers(registry, positionStreams);
+
+  // logins: config/users.json (npm run add-user); authDisabled skips them for local dev
+  if (!authDisabled && !fs.existsSync(usersFile))
+  {
+    throw new Error(`No users file at ${usersFile}. Create one with: npm run add-user -- <name> <floor|tech|admin> <pin>`);
+  }
+  const auth = createAuth({ users: authDisabled ? {} : loadUsers(usersFile), disabled: authDisabled, now });
+
+  // /osc guards: per-address cooldowns and a token bucket per client (devices.json "rateLimit")
+  const cooldowns   = createCooldowns({ now });
+  const rateLimiter = createRateLimiter({ ...registry.rateLimit, now });
+
+  // append-only JSONL history of every send, one file per day
+  const audit = createAuditLog({ dir: historyDir });
+
+  const serveStatic = createStaticHandler({ root: publicDir, index: 'main.html' });
+
+  // UDP socket for OSC; it also listens (on oscListenPort), so devices can answer the port we send from
+  const udpSocket = dgram.createSocket('udp4');
+
+  // last-known device state, pushed to browsers over GET /events
+  const feedback = createFeedbackState(registry);
+  const eventHub = createEventHub();
+
+  // who is driving which device (devices.json "controlLock"); every tablet sees changes straight away
+  const controlLocks = createControlLocks({
+    ...registry.controlLock,
+    onChange: (snapshot) => eventHub.broadcast('locks', snapshot),
+    timers,
+    now,
+  });
+
+  // heartbeat pings for devices with a "health" block; only failures are logged
+  const healthMonitor = createHealthMonitor({
+    registry,
+    sendPing: (device, address) =>
+    {
+      sendDatagram(device, encodeMessage(address, []), (err) =>
+      {
+        if (err) { console.error('OSC ping error to', `${device.name} (${device.ip}:${device.port})`, err.message); }
+      });
+    },
+    onChange: (health) => eventHub.broadcast('health', health),
+    timers,
+    now,
+  });
+
+  /* === a packet from a device (or a virtual one): feedback, heartbeat replies === */
+  function handleIncoming(buf, rinfo)
+  {
+    let messages;
+    try { messages = packetMessages(decodePacket(buf)); }
+    catch (e)
+    {
+      console.error('Bad OSC packet from', `${rinfo.address}:${rinfo.port}`, e.message);
+      return;
+    }
+
+    for (const update of feedback.record(messages, rinfo))
+    {
+      if (healthMonitor.handleMessage(update.device, update.address)) continue;
+      eventHub.broadcast('osc', update);
+    }
+  }
+
+  // simulate: devices are virtual (lib/simulator.js) and nothing goes out on the LAN. They answer
+  // as if from the device's own address, so feedback is filed under the right name.
+  const simulator = simulate
+    ? createSimulator({
+      registry,
+      reply: (device, buf) => handleIncoming(buf, { address: device.ip, port: device.port }),
+      onChange: () => eventHub.broadcast('simulator', simulator.snapshot()),
+      timers,
+      now,
+    })
+    : null;
+
+  // every packet for a device goes through here
+  function sendDatagram(device, buf, callback)
+  {
+    if (simulator) { simulator.deliver(device, buf, callback); }
+    else { udpSocket.send(buf, 0, buf.length, device.port, device.ip, callback); }
+  }
+
+  udpSocket.on('message', handleIncoming);
+  udpSocket.on('error', (err) => { console.error('OSC socket error:', err); });
+
+  /*
+   * Send one OSC message (or bundle) to a named device. Each message is
+   * written to the history once the UDP send settles, and shown to every
+   * open page as a "command" event; context says where it came from:
+   * { source: 'manual' | 'cue' | 'replay', user, ip, cue, sequence }.
+   */
+  function sendPacket(device, buf, description, messages, context)
+  {
+    sendDatagram(device, buf, (err) =>
+    {
+      if (err) { console.error('OSC send error to', `${device.name} (${device.ip}:${device.port})`, description, err); }
+      else { console.log('OSC sent to', `${device.name} (${device.ip}:${device.port})`, description); }
+
+      for (const { address, args } of messages)
+      {
+        audit.append({
+          type: 'send', ...context, device: device.name, address, args,
+          result: err ? 'error' : 'sent', error: err ? err.message : undefined,
+        });
+        if (!err) { eventHub.broadcast('command', { device: device.name, address, args, source: context.source, user: context.user || null, at: now() }); }
+      }
+    });
+  }
+
+  /*
+   * Position streams send up to rateHz messages a second while a pad is
+   * dragged, so each message skips the console and the history; the engine
+   * reports one "position" entry when the move settles instead.
+   */
+  const positionEngine = createPositionEngine({
+    streams: positionStreams,
+    send: (deviceName, address, args) =>
+    {
+      const device = registry.devices[deviceName];
+      sendDatagram(device, encodeMessage(address, args), (err) =>
+      {
+        if (err) { console.error('OSC position send error to', `${device.name} (${device.ip}:${device.port})`, address, err.message); }
+      });
+    },
+    onSettle: (stream, { device, address, args, by }) =>
+    {
+      audit.append({ type: 'send', source: 'position', stream: stream.name, user: by, device, address, args, result: 'sent' });
+      eventHub.broadcast('command', { device, address, args, source: 'position', user: by, at: now() });
+    },
+    timers,
+    now,
+  });
+
+  function sendOscTo(device, address, args, context = {})
+  {
+    const typed = normalizeArgs(args);
+    sendPacket(device, encodeMessage(address, typed), `${address} ${formatArgs(typed)}`, [{ address, args: typed }], context);
+  }
+
+  function sendOscBundle(device, timetag, elements, messages, context = {})
+  {
+    sendPacket(device, encodeBundle(timetag, elements), `#bundle (${elements.length} elements)`, messages, { ...context, bundle: true });
+  }
+
+  /*
+   * Show cues (storm, ...) live in config/cues.json. The storm cue is the
+   * console equivalent of:
+   * oscsend 10.1.10.101 7070 /bkwt/van/cat-caller/win i 1
+   * oscsend 10.1.10.151 7000 /composition/layers/2/clear i 0
+   * oscsend 10.1.10.151 7000 /composition/layers/2/clips/1/connect i 1
+   * (wait 60s)
+   * oscsend 10.1.10.151 7000 /composition/layers/2/clear i 1
+   */
+
+  // recorded eye routines, from data/ once one has been saved; loaded first so cues can play them
+  const recordedChoreographiesFile = path.join(stateDir, 'choreographies.json');
+  const choreographies = loadChoreographies(fs.existsSync(recordedChoreographiesFile) ? recordedChoreographiesFile : choreographiesFile, registry);
+  const recorder = createRecorder({ now });
+
+  const cues      = loadCues(cuesFile, registry, choreographies);
+  const cueEngine = createCueEngine({
+    cues,
+    registry,
+    choreographies,
+    send: (device, address, args, { source, cue, sequence, by }) =>
+      sendOscTo(device, address, args, { source, cue, sequence, user: by }),
+    onChange: () => eventHub.broadcast('sequences', cueEngine.status()),
+    timers,
+    now,
+  });
+
+  /* === fire a cue and answer with what its retrigger policy did === */
+  function runCue(name, req, res, session)
+  {
+    const { result, sequence } = cueEngine.run(name, { by: session.user });
+    audit.append({ type: 'cue', action: 'run', cue: name, sequence: sequence.id, result, user: session.user, ip: req.socket.remoteAddress });
+    if (result === 'ignored')
+    {
+      sendJson(res, 409, { ok: false, error: `Cue ${name} is already running`, cue: name, result, sequence });
+      return;
+    }
+    sendJson(res, 200, { ok: true, cue: name, result, sequence });
+  }
+
+  // timed runs from config/schedule.json; see lib/schedule.js for the rule format
+  const scheduleStateFile = path.join(stateDir, 'schedule-state.json');
+  const scheduler = createScheduler({
+    schedule: loadSchedule(scheduleFile, cues, scheduleStateFile),
+    runCue: (rule) =>
+    {
+      const { result, sequence } = cueEngine.run(rule.cue, { source: 'schedule', by: 'schedule' });
+      audit.append({ type: 'cue', action: 'run', cue: rule.cue, sequence: sequence.id, result, source: 'schedule', rule: rule.id });
+      return result;
+    },
+    onChange: (schedule) => eventHub.broadcast('schedule', schedule),
+    timers,
+    now,
+  });
+
+  /* === the hub's "pause automation" switch; kept in data/schedule-state.json across restarts === */
+  function setAutomationPaused(paused, req, res, session)
+  {
+    try { saveSchedulePaused(scheduleStateFile, paused); }
+    catch (e)
+    {
+      console.error('Could not save the schedule state:', e.message);
+      sendJson(res, 500, { ok: false, error: `Could not save the pause switch: ${e.message}` });
+      return;
+    }
+    scheduler.setPaused(paused);
+    audit.append({ type: 'schedule', action: paused ? 'pause' : 'resume', user: session.user, ip: req.socket.remoteAddress });
+    sendJson(res, 200, { ok: true, paused });
+  }
+
+  /*
+   * MIDI pads and knobs (lib/midi.js). Pads on the booth controller come in
+   * either from midiInput on this box, trusted as a tech because you have
+   * to be standing at it, or via the hub page, as whoever is logged in.
+   */
+  const midiContext = { registry, cues };
+  const learnedMidiFile = path.join(stateDir, 'midi.json');
+  const midiMapper = createMidiMapper({
+    mappings: loadMidiMappings(fs.existsSync(learnedMidiFile) ? learnedMidiFile : midiFile, midiContext),
+    context: midiContext,
+    now,
+    onLearned: (mapping, by) =>
+    {
+      console.log(`MIDI learned: ${mapping.match.type} ${mapping.match.number} -> ${mapping.id}`);
+      audit.append({ type: 'midi', action: 'learn', mapping: mapping.id, match: mapping.match, user: by });
+    },
+  });
+
+  // writes mappings to data/midi.json; returns an error message rather than throwing
+  function saveMidi(mappings)
+  {
+    try { saveMidiMappings(learnedMidiFile, mappings); }
+    catch (e)
+    {
+      console.error('Could not save MIDI mappings:', e.message);
+      return `Could not save the MIDI mappings: ${e.message}`;
+    }
+    return null;
+  }
+
+  // who = { session, user, role, ip } (session: the login's id, for control locks); one result per action
+  function handleMidi(message, who)
+  {
+    const { learned, actions } = midiMapper.resolve(message);
+    if (learned)
+    {
+      eventHub.broadcast('midi', midiMapper.status());
+      const error = saveMidi(midiMapper.mappings);
+      return [error ? { learned: learned.id, saved: false, error } : { learned: learned.id }];
+    }
+    return actions.map(({ mapping, args }) => ({ mapping: mapping.id, ...runMidiAction(mapping.action, args, who) }));
+  }
+
+  function runMidiAction(action, args, who)
+  {
+    const session = { id: who.session, user: who.user, role: who.role };
+    const context = { source: 'midi', user: who.user, ip: who.ip };
+
+    switch (action.type)
+    {
+      case 'cue':
+      {
+        if (!hasRole(session, 'tech')) return { result: 'forbidden', error: 'Firing cues needs the tech role' };
+        const { result, sequence } = cueEngine.run(action.cue, { source: 'midi', by: who.user });
+        audit.append({ type: 'cue', action: 'run', cue: action.cue, sequence: sequence.id, result, ...context });
+        return { result };
+      }
+      case 'stop':
+      {
+        const stopped = cueEngine.status().active.filter((s) => s.cue === action.cue);
+        for (const sequence of stopped)
+        {
+          cueEngine.cancel(sequence.id, { by: who.user });
+          audit.append({ type: 'cue', action: 'cancel', cue: action.cue, sequence: sequence.id, ...context });
+        }
+        return { result: stopped.length > 0 ? 'cancelled' : 'idle' };
+      }
+      case 'osc':
+      {
+        const device = registry.devices[action.device];
+        if (!hasRole(session, device.role)) return { result: 'forbidden', error: `Sending to ${device.name} needs the ${device.role} role` };
+
+        const rejection = controlLocks.check(device.name, session) || checkMessage(device, action.address, args) || cooldowns.check(device, action.address);
+        if (rejection)
+        {
+          audit.append({ type: 'send', ...context, device: device.name, address: action.address, args, result: 'rejected', error: rejection.error });
+          return { result: 'rejected', error: rejection.error };
+        }
+        sendOscTo(device, action.address, args, context);
+        cooldowns.note(device, action.address);
+        return { result: 'sent' };
+      }
+    }
+    return { result: 'ignored' };
+  }
+
+  let midiPort = null;   // the ALSA input, opened by listen()
+
+  function onMidiInput(message)
+  {
+    for (const outcome of handleMidi(message, { session: 'midi', user: 'midi', role: 'tech', ip: null }))
+    {
+      if (outcome.error) { console.error(`MIDI ${describeMessage(message)}: ${outcome.error}`); }
+    }
+  }
+
+  function listChoreographies()
+  {
+    return Object.values(choreographies).map((c) => ({
+      name:       c.name,
+      label:      c.label,
+      device:     c.device,
+      steps:      c.steps.length,
+      durationMs: c.durationMs,
+      canLoop:    canLoop(c),
+      createdBy:  c.createdBy,
+      createdAt:  c.createdAt,
+      usedBy:     cuesUsingChoreography(c.name, cues),
+    }));
+  }
+
+  /*
+   * Play a choreography once or on loop. Anything else already dancing on
+   * the same device is stopped first so two routines don't fight over the
+   * motors.
+   */
+  function playChoreography(choreography, { loop = false } = {}, session)
+  {
+    if (loop && !canLoop(choreography)) { throw new Error(`${choreography.name} is too short to loop`); }
+
+    for (const active of cueEngine.status().active)
+    {
+      const other = active.source === 'choreography' && choreographies[active.cue];
+      if (other && other.device === choreography.device) { cueEngine.cancel(active.id, { by: session.user }); }
+    }
+
+    const { sequence } = cueEngine.runTimeline(choreography.name, choreographySteps(choreography), { source: 'choreography', by: session.user, loop });
+    return sequence;
+  }
+
+  /*
+   * /osc bodies carry either typed args ([{ "type": "f", "value": 0.5 }, "clip"])
+   * or the old single integer "value" the controller pages send.
+   */
+  function requestArgs(args, value)
+  {
+    if (args !== undefined)
+    {
+      if (!Array.isArray(args)) { throw new Error('args must be an array'); }
+      return normalizeArgs(args);
+    }
+
+    const intVal = parseInt(value);
+    if (isNaN(intVal)) { throw new Error('Invalid value'); }
+    return normalizeArgs([{ type: 'i', value: intVal }]);
+  }
+
+  // Normalize a bundle's elements (nested ones too), collecting every message for checks.
+  function readBundleElements(elements, messages)
+  {
+    if (!Array.isArray(elements) || elements.length === 0) { throw new Error('bundle.elements must be a non-empty array'); }
+
+    return elements.map((element) =>
+    {
+      if (Array.isArray(element.elements))
+      {
+        return { timetag: element.timetag, elements: readBundleElements(element.elements, messages) };
+      }
+      if (typeof element.address !== 'string') { throw new Error('Invalid address'); }
+
+      const message = { address: element.address, args: requestArgs(element.args, element.value) };
+      messages.push(message);
+      return message;
+    });
+  }
+
+  /*
+   * Rate limit (one token per message), then allowlist / range / cooldown
+   * for each message. Returns the first rejection, or null.
+   */
+  function checkOscRequest(req, session, device, messages)
+  {
+    const locked = controlLocks.check(device.name, session);
+    if (locked) return locked;
+
+    const limited = rateLimiter.take(req.socket.remoteAddress, messages.length);
+    if (limited) return limited;
+
+    for (const { address, args } of messages)
+    {
+      const problem = checkMessage(device, address, args) || cooldowns.check(device, address);
+      if (problem) return problem;
+    }
+    return null;
+  }
+
+  // entry is what would have been sent, recorded in the history as rejected
+  function sendRejection(res, rejection, entry)
+  {
+    if (rejection.retryAfterMs) { res.setHeader('Retry-After', String(Math.ceil(rejection.retryAfterMs / 1000))); }
+    console.error('OSC rejected:', rejection.error);
+    audit.append({ type: 'send', ...entry, result: 'rejected', error: rejection.error });
+    sendJson(res, rejection.status, { ok: false, error: rejection.error });
+  }
+
+  const HISTORY_QUERY_MAX = 1000;
+
+  /*
+   * Replay { from, to, device, target?, speed? }: every message that was
+   * sent to `device` in the window goes out again to `target` (default the
+   * same device) with the original spacing, divided by speed. A window with
+   * more than HISTORY_QUERY_MAX messages is refused rather than cut short.
+   */
+  async function replayHistory({ from, to, device: sourceName, target, speed = 1 }, session)
+  {
+    if (from === undefined || to === undefined) { throw new Error('from and to are required'); }
+    if (!Number.isFinite(speed) || speed <= 0) { throw new Error('speed must be a positive number'); }
+
+    const source = getDevice(registry, sourceName);
+    const device = getDevice(registry, target || source.name);
+    const entries = (await audit.query({ from, to, device: source.name, type: 'send', result: 'sent', limit: HISTORY_QUERY_MAX + 1 })).reverse();
+    if (entries.length === 0) { throw new Error('Nothing was sent to that device in that window'); }
+    if (entries.length > HISTORY_QUERY_MAX) { throw new Error(`More than ${HISTORY_QUERY_MAX} messages in that window; replay a shorter one`); }
+
+    const steps = [];
+    let last = Date.parse(entries[0].ts);
+    for (const entry of entries)
+    {
+      const at = Date.parse(entry.ts);
+      const args = normalizeArgs(entry.args);
+      const problem = checkMessage(device, entry.address, args);
+      if (problem) { throw new Error(`Cannot replay to ${device.name}: ${problem.error}`); }
+
+      if (at > last) { steps.push({ type: 'wait', ms: Math.round((at - last) / speed) }); }
+      steps.push({ type: 'send', device: device.name, address: entry.address, args });
+      last = at;
+    }
+
+    const { sequence } = cueEngine.runTimeline('replay', steps, { source: 'replay', by: session.user });
+    console.log(`Replaying ${entries.length} messages to ${device.name} as ${sequence.id}`);
+    return sequence;
+  }
+
+  /* === registry entries with their health and when we last heard from them === */
+  function listDevices()
+  {
+    const { devices: seen } = feedback.snapshot();
+    return Object.values(registry.devices).map((device) =>
+    {
+      const health = healthMonitor.get(device.name);
+      return {
+        name:      device.name,
+        label:     device.label,
+        ip:        device.ip,
+        port:      device.port,
+        status:    health.status,
+        latencyMs: health.latencyMs,
+        lastReply: health.lastReply,
+        lastSeen:  seen[device.name] ? seen[device.name].lastSeen : null,
+        controller: controllers[device.name] ? `/controllers/${encodeURIComponent(device.name)}` : null,
+      };
+    });
+  }
+
+  /* === 401 without a session, 403 below the role; returns the session otherwise === */
+  function requireRole(req, res, role)
+  {
+    const session = auth.sessionFor(req);
+    if (!session)
+    {
+      sendJson(res, 401, { ok: false, error: 'Login required' });
+      return null;
+    }
+    if (!hasRole(session, role))
+    {
+      sendJson(res, 403, { ok: false, error: `This needs the ${role} role (you are ${session.role})` });
+      return null;
+    }
+    return session;
+  }
+
+  const server = http.createServer((req, res) => 
+  {
+    if (req.method === 'POST' && req.url === '/osc') 
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+
+      readJson(req, res, ({ device: deviceName, address, value, args, bundle }) => 
+      {
+        try 
+        {
+          if (bundle)
+          {
+            const device = getDevice(registry, deviceName);
+            if (!hasRole(session, device.role))
+            {
+              sendJson(res, 403, { ok: false, error: `Sending to ${device.name} needs the ${device.role} role` });
+              return;
+            }
+            const messages = [];
+            const elements = readBundleElements(bundle.elements, messages);
+            const context = { source: 'manual', user: session.user, ip: req.socket.remoteAddress };
+            const rejection = checkOscRequest(req, session, device, messages);
+            if (rejection)
+            {
+              sendRejection(res, rejection, { ...context, device: device.name, bundle: true, address: messages[0].address, args: messages[0].args });
+              return;
+            }
+
+            sendOscBundle(device, bundle.timetag, elements, messages, context);
+            messages.forEach((m) =>
+            {
+              cooldowns.note(device, m.address);
+              recorder.capture(session.user, device.name, m.address, m.args);
+            });
+            sendJson(res, 200, { ok: true, device: device.name, elements: elements.length });
+            return;
+          }
+
+          if (typeof address !== 'string') { throw new Error('Invalid address'); }
+
+          // legacy hub button; same as POST /cues/storm/run
+          if (address === '/storm/trigger') 
+          {
+            if (!hasRole(session, 'tech'))
+            {
+              sendJson(res, 403, { ok: false, error: 'Firing cues needs the tech role' });
+              return;
+            }
+            runCue('storm', req, res, session);
+            return;
+          }
+
+          const device = getDevice(registry, deviceName);
+          if (!hasRole(session, device.role))
+          {
+            sendJson(res, 403, { ok: false, error: `Sending to ${device.name} needs the ${device.role} role` });
+            return;
+          }
+
+          const typed = requestArgs(args, value);
+          const context = { source: 'manual', user: session.user, ip: req.socket.remoteAddress };
+          const rejection = checkOscRequest(req, session, device, [{ address, args: typed }]);
+          if (rejection)
+          {
+            sendRejection(res, rejection, { ...context, device: device.name, address, args: typed });
+            return;
+          }
+
+          sendOscTo(device, address, typed, context);
+          cooldowns.note(device, address);
+          recorder.capture(session.user, device.name, address, typed);
+
+          sendJson(res, 200, { ok: true, device: device.name });
+        } 
+        catch (e) 
+        {
+          console.error('Request error:', e.message);
+          sendJson(res, 400, { ok: false, error: e.message });
+        }
+      });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/cues')
+    {
+      if (!requireRole(req, res, 'floor')) return;
+      sendJson(res, 200, { ok: true, cues: cueEngine.list() });
+      return;
+    }
+
+    const cueMatch = req.url.match(/^\/cues\/([^/]+)\/run$/);
+    if (req.method === 'POST' && cueMatch)
+    {
+      const session = requireRole(req, res, 'tech');
+      if (!session) return;
+      const name = decodeSegment(cueMatch[1]);
+      if (name === null)
+      {
+        sendJson(res, 400, { ok: false, error: 'Bad URL encoding in the cue name' });
+        return;
+      }
+      if (!cueEngine.has(name))
+      {
+        sendJson(res, 404, { ok: false, error: `Unknown cue: ${name}` });
+        return;
+      }
+      runCue(name, req, res, session);
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/events')
+    {
+      if (!requireRole(req, res, 'floor')) return;
+      eventHub.handle(req, res, [
+        ['state', feedback.snapshot()],
+        ['health', healthMonitor.snapshot()],
+        ['schedule', scheduler.snapshot()],
+        ['sequences', cueEngine.status()],
+        ['locks', controlLocks.snapshot()],
+        ...(simulator ? [['simulator', simulator.snapshot()]] : []),
+      ]);
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/devices')
+    {
+      if (!requireRole(req, res, 'floor')) return;
+      sendJson(res, 200, { ok: true, devices: listDevices() });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/state')
+    {
+      if (!requireRole(req, res, 'floor')) return;
+      sendJson(res, 200, { ok: true, ...feedback.snapshot() });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/sequences')
+    {
+      if (!requireRole(req, res, 'floor')) return;
+      sendJson(res, 200, { ok: true, ...cueEngine.status() });
+      return;
+    }
+
+    // body is optional: { "safeState": false } skips the cue's safe state sends
+    const cancelMatch = req.url.match(/^\/sequences\/([^/]+)\/cancel$/);
+    // floor staff can stop a cue (tour group in the room) even though they can't fire one
+    if (req.method === 'POST' && cancelMatch)
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+
+      readJson(req, res, (options) =>
+      {
+        const id = decodeSegment(cancelMatch[1]);
+        if (id === null)
+        {
+          sendJson(res, 400, { ok: false, error: 'Bad URL encoding in the sequence id' });
+          return;
+        }
+        const sequence = cueEngine.cancel(id, { safeState: options.safeState !== false, by: session.user });
+        if (!sequence)
+        {
+          sendJson(res, 404, { ok: false, error: `No active sequence ${id}` });
+          return;
+        }
+        audit.append({ type: 'cue', action: 'cancel', cue: sequence.cue, sequence: id, user: session.user, ip: req.socket.remoteAddress });
+        sendJson(res, 200, { ok: true, sequence });
+      }, { optional: true });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/schedule')
+    {
+      if (!requireRole(req, res, 'floor')) return;
+      sendJson(res, 200, { ok: true, ...scheduler.snapshot(), upcoming: scheduler.upcoming() });
+      return;
+    }
+
+    // like stopping a cue, anyone can pause automation; turning it back on is for tech
+    if (req.method === 'POST' && (req.url === '/schedule/pause' || req.url === '/schedule/resume'))
+    {
+      const paused = req.url === '/schedule/pause';
+      const session = requireRole(req, res, paused ? 'floor' : 'tech');
+      if (!session) return;
+      setAutomationPaused(paused, req, res, session);
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/midi')
+    {
+      if (!requireRole(req, res, 'tech')) return;
+      sendJson(res, 200, { ok: true, input: midiInput, ...midiMapper.status() });
+      return;
+    }
+
+    // Web MIDI from midi.html: { messages: [[0x99, 36, 100], ...] }, raw bytes as the browser got them
+    if (req.method === 'POST' && req.url === '/midi')
+    {
+      const session = requireRole(req, res, 'tech');
+      if (!session) return;
+
+      readJson(req, res, ({ messages }) =>
+      {
+        if (!Array.isArray(messages) || messages.some((m) => !Array.isArray(m) || m.some((b) => !Number.isInteger(b) || b < 0 || b > 255)))
+        {
+          sendJson(res, 400, { ok: false, error: 'messages must be arrays of MIDI bytes' });
+          return;
+        }
+        const limited = rateLimiter.take(req.socket.remoteAddress, messages.length);
+        if (limited)
+        {
+          sendRejection(res, limited, { source: 'midi', user: session.user, ip: req.socket.remoteAddress });
+          return;
+        }
+
+        const who = { session: session.id, user: session.user, role: session.role, ip: req.socket.remoteAddress };
+        const results = messages
+          .map(decodeMidiMessage)
+          .filter(Boolean)
+          .flatMap((message) => handleMidi(message, who));
+        const unsaved = results.find((r) => r.saved === false);
+        if (unsaved)
+        {
+          sendJson(res, 500, { ok: false, error: unsaved.error, results });
+          return;
+        }
+        sendJson(res, 200, { ok: true, results });
+      });
+      return;
+    }
+
+    // { action, label?, id? }: the next pad or knob touched gets mapped to action
+    if (req.method === 'POST' && req.url === '/midi/learn')
+    {
+      const session = requireRole(req, res, 'tech');
+      if (!session) return;
+
+      readJson(req, res, ({ action, label, id }) =>
+      {
+        try
+        {
+          const learning = midiMapper.learn(action || {}, { label, id, by: session.user });
+          eventHub.broadcast('midi', midiMapper.status());
+          sendJson(res, 200, { ok: true, learning });
+        }
+        catch (e)
+        {
+          sendJson(res, 400, { ok: false, error: e.message });
+        }
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/midi/learn/cancel')
+    {
+      if (!requireRole(req, res, 'tech')) return;
+      midiMapper.cancelLearn();
+      eventHub.broadcast('midi', midiMapper.status());
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+
+    const midiMappingMatch = req.url.match(/^\/midi\/mappings\/([\w-]+)$/);
+    if (req.method === 'DELETE' && midiMappingMatch)
+    {
+      const session = requireRole(req, res, 'tech');
+      if (!session) return;
+      const id = midiMappingMatch[1];
+      if (!midiMapper.mappings.some((m) => m.id === id))
+      {
+        sendJson(res, 404, { ok: false, error: `No MIDI mapping ${id}` });
+        return;
+      }
+      const error = saveMidi(midiMapper.mappings.filter((m) => m.id !== id));
+      if (error)
+      {
+        sendJson(res, 500, { ok: false, error });
+        return;
+      }
+      midiMapper.remove(id);
+      audit.append({ type: 'midi', action: 'delete', mapping: id, user: session.user, ip: req.socket.remoteAddress });
+      sendJson(res, 200, { ok: true, deleted: id });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/positions')
+    {
+      if (!requireRole(req, res, 'floor')) return;
+      sendJson(res, 200, { ok: true, streams: positionEngine.list() });
+      return;
+    }
+
+    // { value: [x, y] } in 0-1; the bridge eases the device there (see lib/positions.js).
+    // No token bucket here: however fast a pad posts, the device gets at most rateHz messages.
+    const positionMatch = req.url.match(/^\/positions\/([\w-]+)\/([\w-]+)$/);
+    if (req.method === 'POST' && positionMatch)
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+
+      readJson(req, res, ({ value }) =>
+      {
+        try
+        {
+          const device = getDevice(registry, positionMatch[1]);
+          if (!hasRole(session, device.role))
+          {
+            sendJson(res, 403, { ok: false, error: `Sending to ${device.name} needs the ${device.role} role` });
+            return;
+          }
+          const locked = controlLocks.check(device.name, session);
+          if (locked)
+          {
+            sendJson(res, locked.status, { ok: false, error: locked.error });
+            return;
+          }
+          sendJson(res, 200, { ok: true, ...positionEngine.set(device.name, positionMatch[2], value, session.user) });
+        }
+        catch (e)
+        {
+          sendJson(res, 400, { ok: false, error: e.message });
+        }
+      });
+      return;
+    }
+
+    // the virtual devices' state and logs; only there under --simulate
+    if (req.url === '/simulator' || req.url === '/simulator/reset')
+    {
+      const session = requireRole(req, res, req.method === 'GET' ? 'floor' : 'tech');
+      if (!session) return;
+      if (!simulator)
+      {
+        sendJson(res, 404, { ok: false, error: 'The bridge is not running with --simulate' });
+        return;
+      }
+      if (req.method === 'GET' && req.url === '/simulator')
+      {
+        sendJson(res, 200, { ok: true, ...simulator.snapshot() });
+        return;
+      }
+      if (req.method === 'POST' && req.url === '/simulator/reset')
+      {
+        readJson(req, res, ({ device }) =>
+        {
+          if (device && !simulator.has(device))
+          {
+            sendJson(res, 404, { ok: false, error: `Unknown device: ${device}` });
+            return;
+          }
+          simulator.reset(device || null);
+          sendJson(res, 200, { ok: true });
+        });
+        return;
+      }
+      sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/control')
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+      sendJson(res, 200, { ok: true, session: session.id, ...controlLocks.snapshot() });
+      return;
+    }
+
+    // take control of a device: { takeover: true } to take it from whoever has it
+    const controlMatch = req.url.match(/^\/control\/([\w-]+)(\/release)?$/);
+    if (req.method === 'POST' && controlMatch)
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+
+      readJson(req, res, ({ takeover }) =>
+      {
+        try
+        {
+          const device = getDevice(registry, controlMatch[1]);
+          if (!hasRole(session, device.role))
+          {
+            sendJson(res, 403, { ok: false, error: `Driving ${device.name} needs the ${device.role} role` });
+            return;
+          }
+
+          if (controlMatch[2])
+          {
+            if (!controlLocks.release(device.name, session))
+            {
+              sendJson(res, 409, { ok: false, error: `You don't have control of ${device.name}` });
+              return;
+            }
+            audit.append({ type: 'control', action: 'release', device: device.name, user: session.user, ip: req.socket.remoteAddress });
+            sendJson(res, 200, { ok: true, device: device.name });
+            return;
+          }
+
+          const result = controlLocks.acquire(device.name, session, { takeover: takeover === true });
+          if (!result.ok)
+          {
+            sendJson(res, result.status, { ok: false, error: result.error, lock: result.lock });
+            return;
+          }
+          audit.append({
+            type: 'control', action: result.previous ? 'takeover' : 'take', device: device.name,
+            from: result.previous ? result.previous.user : undefined, user: session.user, ip: req.socket.remoteAddress,
+          });
+          sendJson(res, 200, { ok: true, device: device.name, lock: result.lock, previous: result.previous });
+        }
+        catch (e)
+        {
+          sendJson(res, 400, { ok: false, error: e.message });
+        }
+      });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/choreographies')
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+      sendJson(res, 200, { ok: true, choreographies: listChoreographies(), recording: recorder.get(session.user) });
+      return;
+    }
+
+    // { name, device, label?, replace? }: from now on this user's presses on device are recorded
+    if (req.method === 'POST' && req.url === '/choreographies/record')
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+
+      readJson(req, res, ({ name, device: deviceName, label, replace }) =>
+      {
+        try
+        {
+          if (!NAME_PATTERN.test(String(name))) { throw new Error('name must be lowercase letters, digits and dashes'); }
+          if (cues[name]) { throw new Error(`${name} is already a cue name`); }
+          const device = getDevice(registry, deviceName);
+          if (!hasRole(session, device.role))
+          {
+            sendJson(res, 403, { ok: false, error: `Recording on ${device.name} needs the ${device.role} role` });
+            return;
+          }
+          if (choreographies[name] && !replace)
+          {
+            sendJson(res, 409, { ok: false, error: `${name} already exists; send replace: true to record over it` });
+            return;
+          }
+
+          const recording = recorder.start(session.user, { name, label, device: device.name });
+          console.log(`Recording choreography ${name} on ${device.name} (${session.user})`);
+          sendJson(res, 200, { ok: true, recording });
+        }
+        catch (e)
+        {
+          sendJson(res, 400, { ok: false, error: e.message });
+        }
+      });
+      return;
+    }
+
+    // { discard? }: ends this user's recording and saves it to data/choreographies.json
+    if (req.method === 'POST' && req.url === '/choreographies/record/stop')
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+
+      readJson(req, res, ({ discard }) =>
+      {
+        const recorded = recorder.stop(session.user);
+        if (!recorded)
+        {
+          sendJson(res, 404, { ok: false, error: 'You are not recording' });
+          return;
+        }
+        if (discard)
+        {
+          sendJson(res, 200, { ok: true, discarded: recorded.name });
+          return;
+        }
+
+        let choreography;
+        try { choreography = validateChoreography(recorded.name, recorded, registry); }
+        catch (e)
+        {
+          sendJson(res, 400, { ok: false, error: e.message });
+          return;
+        }
+
+        try { saveChoreographies(recordedChoreographiesFile, { ...choreographies, [choreography.name]: choreography }); }
+        catch (e)
+        {
+          console.error('Could not save choreographies:', e.message);
+          sendJson(res, 500, { ok: false, error: `Could not save ${choreography.name}: ${e.message}` });
+          return;
+        }
+        choreographies[choreography.name] = choreography;
+        audit.append({ type: 'choreography', action: 'record', name: choreography.name, device: choreography.device, steps: choreography.steps.length, user: session.user, ip: req.socket.remoteAddress });
+        sendJson(res, 200, { ok: true, choreography: listChoreographies().find((c) => c.name === choreography.name) });
+      });
+      return;
+    }
+
+    // { loop? }: plays through the cue engine, so POST /sequences/:id/cancel stops it
+    const playMatch = req.url.match(/^\/choreographies\/([^/]+)\/play$/);
+    if (req.method === 'POST' && playMatch)
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+
+      const name = decodeSegment(playMatch[1]);
+      if (name === null) { sendJson(res, 400, { ok: false, error: 'Bad URL encoding in the choreography name' }); return; }
+
+      readJson(req, res, (options) =>
+      {
+        const choreography = choreographies[name];
+        if (!choreography)
+        {
+          sendJson(res, 404, { ok: false, error: `Unknown choreography: ${name}` });
+          return;
+        }
+        if (!hasRole(session, registry.devices[choreography.device].role))
+        {
+          sendJson(res, 403, { ok: false, error: `Playing on ${choreography.device} needs the ${registry.devices[choreography.device].role} role` });
+          return;
+        }
+        const locked = controlLocks.check(choreography.device, session);
+        if (locked)
+        {
+          sendJson(res, locked.status, { ok: false, error: locked.error });
+          return;
+        }
+
+        try
+        {
+          const sequence = playChoreography(choreography, { loop: options.loop === true }, session);
+          audit.append({ type: 'choreography', action: 'play', name: choreography.name, sequence: sequence.id, loop: sequence.loop, user: session.user, ip: req.socket.remoteAddress });
+          sendJson(res, 200, { ok: true, sequence });
+        }
+        catch (e)
+        {
+          sendJson(res, 400, { ok: false, error: e.message });
+        }
+      });
+      return;
+    }
+
+    const choreographyMatch = req.url.match(/^\/choreographies\/([^/]+)$/);
+    if (req.method === 'DELETE' && choreographyMatch)
+    {
+      const session = requireRole(req, res, 'tech');
+      if (!session) return;
+
+      const name = decodeSegment(choreographyMatch[1]);
+      if (name === null) { sendJson(res, 400, { ok: false, error: 'Bad URL encoding in the choreography name' }); return; }
+      if (!choreographies[name])
+      {
+        sendJson(res, 404, { ok: false, error: `Unknown choreography: ${name}` });
+        return;
+      }
+      const usedBy = cuesUsingChoreography(name, cues);
+      if (usedBy.length > 0)
+      {
+        sendJson(res, 409, { ok: false, error: `${name} is used by ${usedBy.join(', ')} in cues.json` });
+        return;
+      }
+
+      const rest = { ...choreographies };
+      delete rest[name];
+      try { saveChoreographies(recordedChoreographiesFile, rest); }
+      catch (e)
+      {
+        console.error('Could not save choreographies:', e.message);
+        sendJson(res, 500, { ok: false, error: `Could not delete ${name}: ${e.message}` });
+        return;
+      }
+      delete choreographies[name];
+      audit.append({ type: 'choreography', action: 'delete', name, user: session.user, ip: req.socket.remoteAddress });
+      sendJson(res, 200, { ok: true, deleted: name });
+      return;
+    }
+
+    // GET /history?from=&to=&device=&address=&user=&source=&type=&result=&limit=
+    if (req.method === 'GET' && req.url.split('?')[0] === '/history')
+    {
+      if (!requireRole(req, res, 'tech')) return;
+
+      const params = Object.fromEntries(new URL(req.url, 'http://bridge').searchParams);
+      const limit = Math.min(Number(params.limit) || 200, HISTORY_QUERY_MAX);
+      audit.query({ ...params, limit })
+        .then((entries) => sendJson(res, 200, { ok: true, entries }))
+        .catch((e) => sendJson(res, 400, { ok: false, error: e.message }));
+      return;
+    }
+
+    // replays a window of sent messages as a cancellable sequence; see replayHistory
+    if (req.method === 'POST' && req.url === '/history/replay')
+    {
+      const session = requireRole(req, res, 'admin');
+      if (!session) return;
+
+      readJson(req, res, (options) =>
+      {
+        replayHistory(options, session)
+          .then((sequence) => sendJson(res, 200, { ok: true, sequence }))
+          .catch((e) => sendJson(res, 400, { ok: false, error: e.message }));
+      });
+      return;
+    }
+
+    const deviceMatch = req.url.match(/^\/devices\/([^/]+)$/);
+    if (req.method === 'PATCH' && deviceMatch)
+    {
+      if (!requireRole(req, res, 'admin')) return;
+
+      const name = decodeSegment(deviceMatch[1]);
+      if (name === null) { sendJson(res, 400, { ok: false, error: 'Bad URL encoding in the device name' }); return; }
+
+      readJson(req, res, (changes) =>
+      {
+        let edit;
+        try { edit = checkDeviceChanges(registry, name, changes); }
+        catch (e)
+        {
+          sendJson(res, 400, { ok: false, error: e.message });
+          return;
+        }
+
+        const { device } = edit;
+        try { saveDeviceOverrides(deviceOverridesFile, device.name, edit.changes); }
+        catch (e)
+        {
+          console.error('Could not save the device edit:', e.message);
+          sendJson(res, 500, { ok: false, error: `Could not save the device edit: ${e.message}` });
+          return;
+        }
+        Object.assign(device, edit.changes);
+        console.log('Device config updated:', device.name, JSON.stringify(edit.changes));
+        sendJson(res, 200, { ok: true, device: { name: device.name, label: device.label, ip: device.ip, port: device.port } });
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/login')
+    {
+      readJson(req, res, ({ username, pin }) =>
+      {
+        const result = auth.login(String(username || ''), String(pin || ''), req.socket.remoteAddress);
+        if (result.error)
+        {
+          sendJson(res, result.status, { ok: false, error: result.error });
+          return;
+        }
+        res.setHeader('Set-Cookie', auth.sessionCookie(result.token));
+        sendJson(res, 200, { ok: true, user: result.session.user, role: result.session.role });
+      });
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/logout')
+    {
+      auth.logout(req);
+      res.setHeader('Set-Cookie', auth.clearedCookie());
+      sendJson(res, 200, { ok: true });
+      return;
+    }
+
+    if (req.method === 'GET' && req.url === '/me')
+    {
+      const session = requireRole(req, res, 'floor');
+      if (!session) return;
+      sendJson(res, 200, { ok: true, user: session.user, role: session.role, session: session.id });
+      return;
+    }
+
+    // the old hand-written pages, for bookmarks on the tablets
+    const legacyPage = req.url.match(/^\/becEyes\/([a-z0-9-]+)\.html(\?.*)?$/);
+    if (req.method === 'GET' && legacyPage && controllers[legacyPage[1]])
+    {
+      res.writeHead(301, { Location: `/controllers/${legacyPage[1]}` });
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && isProtectedPage(req.url) && !auth.sessionFor(req))
+    {
+      res.writeHead(302, { Location: `/login.html?next=${encodeURIComponent(req.url)}` });
+      res.end();
+      return;
+    }
+
+    const controllerMatch = req.url.match(/^\/controllers\/([\w-]+)(\?.*)?$/);
+    if (req.method === 'GET' && controllerMatch)
+    {
+      const controller = controllers[controllerMatch[1]];
+      if (!controller)
+      {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('No controller for that device');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-cache' });
+      res.end(renderControllerPage(controller));
+      return;
+    }
+
+    // Otherwise static file
+    serveStatic(req, res);
+  });
+
+  /*
+   * Bind the OSC port, then serve HTTP on httpPort (0 for any free port).
+   * Resolves to the HTTP port once both are up; the schedule and the MIDI
+   * input start then too.
+   */
+  function listen(httpPort)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      udpSocket.once('error', reject);
+      server.once('error', reject);
+      udpSocket.bind(oscListenPort, () =>
+      {
+        healthMonitor.start();
+        server.listen(httpPort, () =>
+        {
+          udpSocket.off('error', reject);
+          server.off('error', reject);
+          scheduler.start();
+          if (midiInput) { midiPort = openMidiInput(midiInput, onMidiInput); }
+          resolve(server.address().port);
+        });
+      });
+    });
+  }
+
+  // Stop everything listen() started; running cues are dropped without their safe state.
+  function close()
+  {
+    scheduler.stop();
+    healthMonitor.stop();
+    positionEngine.stop();
+    controlLocks.stop();
+    for (const sequence of cueEngine.status().active) { cueEngine.cancel(sequence.id, { safeState: false }); }
+    if (midiPort) { midiPort.close(); }
+    eventHub.close();
+    audit.close();
+
+    return new Promise((resolve) =>
+    {
+      server.close(() => udpSocket.close(() => resolve()));
+      server.closeAllConnections();
+    });
+  }
+
+  return { server, udpSocket, registry, auth, audit, cueEngine, scheduler, simulator, listen, close };
+}
+
+module.exports = { createBridge };
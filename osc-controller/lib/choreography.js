@@ -0,0 +1,192 @@
+/* === Nova Kukla === */
+/* === osc-controller: recorded eye choreographies === */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { getDevice } = require('./devices');
+const { checkMessage } = require('./validation');
+const { normalizeArgs } = require('./osc');
+
+/*
+ * A choreography is a timed run of presses on one device, recorded from a
+ * controller page. The bridge keeps them in data/choreographies.json; until
+ * the first recording is saved it starts from config/choreographies.json,
+ * which holds any that ship with the show:
+ *
+ * { "choreographies": {
+ *     "snail-curious": { "device": "snail", "label": "Curious snail", "durationMs": 4200,
+ *                        "createdBy": "ted", "createdAt": "2026-10-19T14:02:11.418Z",
+ *                        "steps": [ { "at": 0,   "address": "/eye/left/left", "args": [{ "type": "i", "value": 1 }] },
+ *                                   { "at": 850, "address": "/eye/reset",     "args": [{ "type": "i", "value": 1 }] } ] } } }
+ *
+ * "at" is ms from the start of the recording; durationMs is when recording
+ * stopped, so a loop keeps the pause after the last press. Choreographies
+ * play through the cue engine (cancellable from /sequences) and cues can
+ * include one with { "type": "choreography", "name": "snail-curious" }.
+ */
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]{0,47}$/;
+const MAX_STEPS = 500;
+const MAX_DURATION_MS = 10 * 60 * 1000;
+const MIN_LOOP_MS = 500;   // a loop with no pause in it would send as fast as the event loop allows
+
+function validateChoreography(name, def, registry)
+{
+  if (!NAME_PATTERN.test(name)) { throw new Error(`Choreography name "${name}" must be lowercase letters, digits and dashes`); }
+  if (!def || !Array.isArray(def.steps) || def.steps.length === 0) { throw new Error(`Choreography "${name}" needs at least one step`); }
+  if (def.steps.length > MAX_STEPS) { throw new Error(`Choreography "${name}" has more than ${MAX_STEPS} steps`); }
+
+  const device = getDevice(registry, def.device);
+  const durationMs = Number(def.durationMs);
+  if (!Number.isFinite(durationMs) || durationMs < 0 || durationMs > MAX_DURATION_MS)
+  {
+    throw new Error(`Choreography "${name}" durationMs must be 0-${MAX_DURATION_MS}`);
+  }
+
+  let last = 0;
+  const steps = def.steps.map((step, i) =>
+  {
+    const where = `${name}[${i}]`;
+    if (!step || typeof step.address !== 'string') { throw new Error(`${where}: step needs an address`); }
+    if (!Number.isFinite(step.at) || step.at < last || step.at > durationMs)
+    {
+      throw new Error(`${where}: "at" must be in order and within durationMs`);
+    }
+    last = step.at;
+
+    const args = normalizeArgs(step.args || []);
+    const problem = checkMessage(device, step.address, args);
+    if (problem) { throw new Error(`${where}: ${problem.error}`); }
+    return { at: step.at, address: step.address, args };
+  });
+
+  return {
+    name,
+    label:     def.label || name,
+    device:    device.name,
+    durationMs,
+    createdBy: def.createdBy || null,
+    createdAt: def.createdAt || null,
+    steps,
+  };
+}
+
+/* === a choreographies file; a missing file is an empty set === */
+function loadChoreographies(filePath, registry)
+{
+  if (!fs.existsSync(filePath)) return {};
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const choreographies = {};
+  for (const [name, def] of Object.entries(raw.choreographies || {}))
+  {
+    choreographies[name] = validateChoreography(name, def, registry);
+  }
+  return choreographies;
+}
+
+// throws if the file can't be written
+function saveChoreographies(filePath, choreographies)
+{
+  const out = {};
+  for (const [name, { label, device, durationMs, createdBy, createdAt, steps }] of Object.entries(choreographies))
+  {
+    out[name] = { label, device, durationMs, createdBy, createdAt, steps };
+  }
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ choreographies: out }, null, 2) + '\n');
+}
+
+/* === cue engine steps: a send per press with the recorded gaps between === */
+function choreographySteps(choreography)
+{
+  const steps = [];
+  let last = 0;
+  for (const { at, address, args } of choreography.steps)
+  {
+    if (at > last) { steps.push({ type: 'wait', ms: at - last }); }
+    steps.push({ type: 'send', device: choreography.device, address, args });
+    last = at;
+  }
+  if (choreography.durationMs > last) { steps.push({ type: 'wait', ms: choreography.durationMs - last }); }
+  return steps;
+}
+
+function canLoop(choreography)
+{
+  return choreography.durationMs >= MIN_LOOP_MS;
+}
+
+/*
+ * One recording at a time per user. While it runs, every /osc send that
+ * user makes to the recording's device is captured with its time.
+ */
+function createRecorder({ now = Date.now } = {})
+{
+  const recordings = new Map();   // user -> { name, label, device, by, startedAt, steps }
+
+  function start(user, { name, label, device })
+  {
+    const recording = { name, label: label || name, device, by: user, startedAt: now(), steps: [] };
+    recordings.set(user, recording);
+    return summarize(recording);
+  }
+
+  function capture(user, deviceName, address, args)
+  {
+    const recording = recordings.get(user);
+    if (!recording || recording.device !== deviceName) return;
+
+    const at = now() - recording.startedAt;
+    if (recording.steps.length >= MAX_STEPS || at > MAX_DURATION_MS) return;
+    recording.steps.push({ at, address, args });
+  }
+
+  // returns the finished recording as a choreography definition, or null
+  function stop(user)
+  {
+    const recording = recordings.get(user);
+    if (!recording) return null;
+    recordings.delete(user);
+
+    return {
+      name:       recording.name,
+      label:      recording.label,
+      device:     recording.device,
+      durationMs: Math.min(now() - recording.startedAt, MAX_DURATION_MS),
+      createdBy:  user,
+      createdAt:  new Date(now()).toISOString(),
+      steps:      recording.steps,
+    };
+  }
+
+  function summarize(recording)
+  {
+    return {
+      name:      recording.name,
+      label:     recording.label,
+      device:    recording.device,
+      startedAt: recording.startedAt,
+      steps:     recording.steps.length,
+    };
+  }
+
+  function get(user)
+  {
+    const recording = recordings.get(user);
+    return recording ? summarize(recording) : null;
+  }
+
+  return { start, capture, stop, get, discard: (user) => recordings.delete(user) };
+}
+
+module.exports = {
+  NAME_PATTERN,
+  validateChoreography,
+  loadChoreographies,
+  saveChoreographies,
+  choreographySteps,
+  canLoop,
+  createRecorder,
+};
@@ -0,0 +1,371 @@
+/* === Nova Kukla === */
+/* === osc-controller: controller pages generated from devices.json === */
+
+const { checkMessage } = require('./validation');
+const { normalizeArgs } = require('./osc');
+
+/*
+ * A device with a "controller" block gets a page at /controllers/<name>:
+ *
+ * "controller": {
+ *   "title": "Gator Eye Controller",
+ *   "intro": "Tap to nudge each eye ...",
+ *   "sections": [
+ *     { "pads": [ { "title": "Left Eye", "badge": "Channel L", "controls": [
+ *         { "type": "button", "label": "◀", "style": "left",  "address": "/eye/right/right" },
+ *         { "type": "button", "label": "▶", "style": "right", "address": "/eye/right/left" } ] } ] },
+ *     { "title": "Global", "badge": "Both", "controls": [
+ *         { "type": "button", "label": "Home", "sub": "Center both eyes forward", "style": "home", "address": "/eye/reset" } ] } ],
+ *   "feedbackLabels": { "vertical": "Up/Down" },
+ *   "routines": true }
+ *
+ * A section with "pads" is a row of small pads (eye buttons); otherwise it
+ * is a full-width panel. Controls:
+ *   button  sends value (default 1) or args on each tap; style left / right
+ *           makes an eye arrow, home / idle a wide coloured button
+ *   slider  { min, max, step, argType "i" | "f", value } sends as it moves,
+ *           or { stream } to drive a one-axis position stream instead
+ *   toggle  { on, off } (default 1 / 0) sends on or off as it flips
+ *   xy      { stream } a touch pad driving a two-axis position stream
+ *           (lib/positions.js); "spring": true re-centres it on release
+ *           so it works like a joystick
+ * Every address is checked against the device's allowlist at startup, so a
+ * page can't offer a button the bridge would refuse.
+ */
+
+const CONTROL_TYPES = ['button', 'slider', 'toggle', 'xy'];
+const BUTTON_STYLES = ['left', 'right', 'home', 'idle'];
+
+// position-driven controls name a stream from the device's "positions" block instead of an address
+function compileStreamControl(device, control, streams, axes, where)
+{
+  const stream = streams[`${device.name}/${control.stream}`];
+  if (!stream) { throw new Error(`${where}: ${device.name} has no position stream ${control.stream}`); }
+  if (stream.axes.length !== axes) { throw new Error(`${where}: ${control.type} needs a ${axes}-axis stream, ${control.stream} has ${stream.axes.length}`); }
+
+  return { type: control.type, label: String(control.label || control.stream), stream: stream.name, axes: stream.axes, spring: control.spring === true };
+}
+
+function compileControl(device, control, streams, where)
+{
+  if (!control || !CONTROL_TYPES.includes(control.type))
+  {
+    throw new Error(`${where}: type must be one of ${CONTROL_TYPES.join(', ')}`);
+  }
+  if (control.type === 'xy') return compileStreamControl(device, control, streams, 2, where);
+  if (control.type === 'slider' && control.stream !== undefined) return compileStreamControl(device, control, streams, 1, where);
+  if (typeof control.address !== 'string') { throw new Error(`${where}: needs an address`); }
+
+  const compiled = { type: control.type, label: String(control.label || control.address), address: control.address };
+  let samples;   // every message the control can send, for the allowlist check
+
+  switch (control.type)
+  {
+    case 'button':
+    {
+      if (control.style !== undefined && !BUTTON_STYLES.includes(control.style))
+      {
+        throw new Error(`${where}: style must be one of ${BUTTON_STYLES.join(', ')}`);
+      }
+      compiled.style = control.style || 'home';
+      compiled.sub   = control.sub || null;
+      compiled.args  = normalizeArgs(control.args !== undefined ? control.args : [{ type: 'i', value: control.value !== undefined ? control.value : 1 }]);
+      samples = [compiled.args];
+      break;
+    }
+    case 'slider':
+    {
+      const min = control.min !== undefined ? control.min : 0;
+      const max = control.max !== undefined ? control.max : 1;
+      const argType = control.argType || 'f';
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) { throw new Error(`${where}: slider needs min < max`); }
+      if (argType !== 'i' && argType !== 'f') { throw new Error(`${where}: argType must be i or f`); }
+
+      compiled.min     = min;
+      compiled.max     = max;
+      compiled.step    = control.step || (argType === 'i' ? 1 : (max - min) / 100);
+      compiled.argType = argType;
+      compiled.value   = control.value !== undefined ? control.value : min;
+      samples = [[{ type: argType, value: min }], [{ type: argType, value: max }]];
+      break;
+    }
+    case 'toggle':
+    {
+      compiled.on  = control.on !== undefined ? control.on : 1;
+      compiled.off = control.off !== undefined ? control.off : 0;
+      samples = [normalizeArgs([{ type: 'i', value: compiled.on }]), normalizeArgs([{ type: 'i', value: compiled.off }])];
+      break;
+    }
+  }
+
+  for (const args of samples)
+  {
+    const problem = checkMessage(device, compiled.address, normalizeArgs(args));
+    if (problem) { throw new Error(`${where}: ${problem.error}`); }
+  }
+  return compiled;
+}
+
+function compilePanel(device, panel, streams, where)
+{
+  if (!panel || !Array.isArray(panel.controls)) { throw new Error(`${where}: needs a controls array`); }
+  return {
+    title:    String(panel.title || ''),
+    badge:    panel.badge || null,
+    controls: panel.controls.map((control, i) => compileControl(device, control, streams, `${where}.controls[${i}]`)),
+  };
+}
+
+/* === validate every device's "controller" block; returns device name -> page definition === */
+function loadControllers(registry, streams = {})
+{
+  const controllers = {};
+
+  for (const device of Object.values(registry.devices))
+  {
+    const def = device.controller;
+    if (!def) continue;
+
+    const where = `Device "${device.name}" controller`;
+    if (!Array.isArray(def.sections)) { throw new Error(`${where} needs a sections array`); }
+
+    controllers[device.name] = {
+      device:   device.name,
+      title:    def.title || `${device.label} Controller`,
+      intro:    def.intro || '',
+      routines: def.routines !== false,
+      feedback: Object.keys(device.feedback).map((key) => ({
+        key,
+        label: (def.feedbackLabels && def.feedbackLabels[key]) || key.charAt(0).toUpperCase() + key.slice(1),
+      })),
+      sections: def.sections.map((section, i) =>
+      {
+        const at = `${where}.sections[${i}]`;
+        if (Array.isArray(section.pads))
+        {
+          return { pads: section.pads.map((pad, j) => compilePanel(device, pad, streams, `${at}.pads[${j}]`)) };
+        }
+        return { panel: compilePanel(device, section, streams, at) };
+      }),
+    };
+  }
+  return controllers;
+}
+
+function escapeHtml(value)
+{
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// what controller.js needs to send for a control, as data- attributes
+function controlData(control)
+{
+  if (control.stream)
+  {
+    const data = { control: control.type, stream: control.stream, spring: control.spring };
+    return Object.entries(data).map(([key, value]) => `data-${key}="${escapeHtml(value)}"`).join(' ');
+  }
+
+  const data = { address: control.address, control: control.type };
+  if (control.type === 'button') { data.args = JSON.stringify(control.args); }
+  if (control.type === 'slider') { data.argType = control.argType; }
+  if (control.type === 'toggle') { Object.assign(data, { on: control.on, off: control.off }); }
+
+  return Object.entries(data)
+    .map(([key, value]) => `data-${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}="${escapeHtml(value)}"`)
+    .join(' ');
+}
+
+function renderBadge(badge)
+{
+  return badge ? `\n              <span class="badge">${escapeHtml(badge)}</span>` : '';
+}
+
+function renderControl(control, indent)
+{
+  const data = controlData(control);
+  switch (control.type)
+  {
+    case 'button':
+      if (control.style === 'left' || control.style === 'right')
+      {
+        return `${indent}<button class="eye-btn ${control.style}" ${data}>${escapeHtml(control.label)}</button>`;
+      }
+      return `${indent}<button class="wide-btn ${control.style}" ${data}>\n`
+        + `${indent}  <span class="label-main">${escapeHtml(control.label)}</span>\n`
+        + (control.sub ? `${indent}  <span class="label-sub">${escapeHtml(control.sub)}</span>\n` : '')
+        + `${indent}</button>`;
+    case 'xy':
+      return `${indent}<div class="xy-pad" ${data} aria-label="${escapeHtml(control.label)}">\n`
+        + `${indent}  <span class="xy-label">${escapeHtml(control.label)}</span>\n`
+        + `${indent}  <span class="xy-dot"></span>\n`
+        + `${indent}</div>`;
+    case 'slider':
+      if (control.stream)
+      {
+        return `${indent}<label class="control-slider">${escapeHtml(control.label)}\n`
+          + `${indent}  <input type="range" min="0" max="1" step="0.001" value="0.5" ${data}>\n`
+          + `${indent}</label>`;
+      }
+      return `${indent}<label class="control-slider">${escapeHtml(control.label)}\n`
+        + `${indent}  <input type="range" min="${control.min}" max="${control.max}" step="${control.step}" value="${escapeHtml(control.value)}" ${data}>\n`
+        + `${indent}</label>`;
+    case 'toggle':
+      return `${indent}<label class="control-toggle">\n`
+        + `${indent}  <input type="checkbox" ${data}> ${escapeHtml(control.label)}\n`
+        + `${indent}</label>`;
+  }
+  return '';
+}
+
+function renderSection(section)
+{
+  if (section.pads)
+  {
+    const pads = section.pads.map((pad) => `
+          <section class="pad">
+            <h2>
+              ${escapeHtml(pad.title)}${renderBadge(pad.badge)}
+            </h2>
+            <div class="controls">
+${pad.controls.map((c) => renderControl(c, '              ')).join('\n')}
+            </div>
+          </section>`).join('\n');
+    return `
+        <div class="lr-container">${pads}
+        </div>
+        <br>`;
+  }
+
+  const { panel } = section;
+  return `
+        <div class="container">
+          <section class="pad-global">
+            <h2>
+              ${escapeHtml(panel.title)}${renderBadge(panel.badge)}
+            </h2>
+            <div class="wide-stack">
+${panel.controls.map((c) => renderControl(c, '              ')).join('\n')}
+            </div>
+          </section>
+        </div>`;
+}
+
+// who is driving this device (see lib/locks.js); controller.js fills it in
+function renderControlLock(controller)
+{
+  const device = escapeHtml(controller.device);
+  return `
+        <div class="container">
+          <section class="pad-global">
+            <h2>
+              Control
+              <span class="badge">Operator</span>
+            </h2>
+            <div class="wide-stack">
+              <button id="controlLockBtn" class="wide-btn home">
+                <span class="label-main">Take Control</span>
+              </button>
+            </div>
+            <div class="status-row" id="controlStatus">Anyone can drive ${device}</div>
+            <div class="status-row" data-device-activity="${device}">No commands yet</div>
+          </section>
+        </div>`;
+}
+
+function renderRoutines(controller)
+{
+  if (!controller.routines) return '';
+  return `
+        <div class="container">
+          <section class="pad-global">
+            <h2>
+              Routines
+              <span class="badge">Record</span>
+            </h2>
+            <div class="wide-stack">
+              <input id="routineName" class="text-input" placeholder="Routine name, e.g. ${escapeHtml(controller.device)}-curious">
+              <button id="routineRecordBtn" class="wide-btn idle">
+                <span class="label-main">Record</span>
+              </button>
+            </div>
+            <div class="status-row" id="routineStatus"></div>
+            <ul class="routine-list" id="routineList"></ul>
+          </section>
+        </div>`;
+}
+
+function renderFeedback(controller)
+{
+  if (controller.feedback.length === 0) return '';
+  const cells = controller.feedback.map(({ key, label }) => `
+              <div class="live-cell">
+                ${escapeHtml(label)}
+                <span data-feedback="${escapeHtml(key)}">–</span>
+              </div>`).join('');
+  return `
+        <div class="container">
+          <section class="pad-global">
+            <h2>
+              Live
+              <span class="badge">Feedback</span>
+            </h2>
+            <div class="live-grid">${cells}
+            </div>
+          </section>
+        </div>`;
+}
+
+/* === the whole page; styling and behaviour come from style.css, live.js, choreo.js and controller.js === */
+function renderControllerPage(controller)
+{
+  const device = escapeHtml(controller.device);
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,initial-scale=1">
+    <link rel="preconnect" href="https://fonts.gstatic.com">
+    <link href="https://fonts.googleapis.com/css2?family=Baloo+2:wght@400;600;700&display=swap" rel="stylesheet">
+    <link rel="stylesheet" href="/style.css">
+
+    <title>${escapeHtml(controller.title)}</title>
+  </head>
+  <body>
+    <main class="app-shell">
+      <header>
+        <a href="/main.html" style="text-decoration:none;"> <img class="home-btn" src="/images/home.png"> </a>
+        <br>
+
+        <h1>${escapeHtml(controller.title)}</h1>
+        <p>${escapeHtml(controller.intro)}</p>
+      </header>
+${renderControlLock(controller)}
+${controller.sections.map(renderSection).join('\n')}
+${renderRoutines(controller)}
+${renderFeedback(controller)}
+
+      <div class="status-row" data-device-status="${device}">
+        <span class="status-dot"></span>
+        <span class="status-label">No feedback yet</span>
+        &middot; OSC bridge on <code>/osc</code>
+      </div>
+    </main>
+
+    <script src="/live.js"></script>
+    <script src="/choreo.js"></script>
+    <script src="/controller.js"></script>
+    <script>
+      startController(${JSON.stringify(controller.device).replace(/</g, '\\u003c')}, { routines: ${controller.routines} });
+    </script>
+  </body>
+</html>
+`;
+}
+
+module.exports = { loadControllers, renderControllerPage, escapeHtml };
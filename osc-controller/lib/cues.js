@@ -0,0 +1,444 @@
+/* === Nova Kukla === */
+/* === osc-controller: cue / sequence engine === */
+
+const fs = require('fs');
+
+const { getDevice } = require('./devices');
+const { checkMessage } = require('./validation');
+const { normalizeArgs, formatArgs } = require('./osc');
+const { choreographySteps } = require('./choreography');
+
+const RETRIGGER_POLICIES = ['ignore', 'restart', 'queue'];
+const RECENT_LIMIT = 20;
+const ANNOUNCE_WAIT_MS = 1000;   // waits at least this long are pushed to the tablets as a countdown
+
+/*
+ * config/cues.json holds named cues. Each cue is an ordered list of steps:
+ *
+ *   { "type": "send", "device": "resolume", "address": "/composition/layers/2/clear", "value": 1 }
+ *   { "type": "send", "device": "resolume", "address": "/composition/master", "args": [{ "type": "f", "value": 0.5 }] }
+ *   { "type": "wait", "ms": 60000 }
+ *   { "type": "parallel", "steps": [ ...steps ] }
+ *   { "type": "cue", "name": "other-cue" }
+ *   { "type": "choreography", "name": "snail-curious" }   (see lib/choreography.js)
+ *
+ * Steps run one after the other; a parallel step finishes when all of its
+ * branches have finished.
+ *
+ * Optional per cue:
+ *   "retrigger": "ignore" | "restart" | "queue"   what a second run does
+ *   "safeState": [ ...send steps ]                sent when a run is cancelled
+ */
+function loadCues(filePath, registry, choreographies = {})
+{
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const cues = {};
+
+  for (const [name, def] of Object.entries(raw.cues || {}))
+  {
+    if (!def || !Array.isArray(def.steps))
+    {
+      throw new Error(`Cue "${name}" needs a steps array`);
+    }
+    cues[name] = { ...def, name, label: def.label || name };
+  }
+
+  for (const cue of Object.values(cues))
+  {
+    cue.steps.forEach((step, i) => validateStep(step, `${cue.name}[${i}]`, cues, registry, choreographies));
+
+    if (cue.retrigger !== undefined && !RETRIGGER_POLICIES.includes(cue.retrigger))
+    {
+      throw new Error(`Cue "${cue.name}" retrigger must be one of ${RETRIGGER_POLICIES.join(', ')}`);
+    }
+    if (cue.safeState !== undefined)
+    {
+      if (!Array.isArray(cue.safeState)) { throw new Error(`Cue "${cue.name}" safeState must be an array`); }
+      cue.safeState.forEach((step, i) =>
+      {
+        const where = `${cue.name}.safeState[${i}]`;
+        if (!step || step.type !== 'send') { throw new Error(`${where}: safe state steps must be sends`); }
+        validateStep(step, where, cues, registry, choreographies);
+      });
+    }
+  }
+  for (const cue of Object.values(cues))
+  {
+    checkForCycles(cue.name, cues, []);
+  }
+
+  return cues;
+}
+
+function validateStep(step, where, cues, registry, choreographies)
+{
+  switch (step && step.type)
+  {
+    case 'send':
+    {
+      const device = getDevice(registry, step.device);
+      if (typeof step.address !== 'string') { throw new Error(`${where}: send needs an address`); }
+      if (step.args === undefined && !Number.isInteger(step.value))
+      {
+        throw new Error(`${where}: send needs args or an integer value`);
+      }
+      try { step.args = normalizeArgs(step.args !== undefined ? step.args : [{ type: 'i', value: step.value }]); }
+      catch (e) { throw new Error(`${where}: ${e.message}`); }
+
+      // same allowlist and ranges as /osc; cooldowns don't apply to timed cues
+      const problem = checkMessage(device, step.address, step.args);
+      if (problem) { throw new Error(`${where}: ${problem.error}`); }
+      return;
+    }
+    case 'wait':
+      if (!Number.isFinite(step.ms) || step.ms < 0) { throw new Error(`${where}: wait needs ms >= 0`); }
+      return;
+    case 'parallel':
+      if (!Array.isArray(step.steps)) { throw new Error(`${where}: parallel needs a steps array`); }
+      step.steps.forEach((child, i) => validateStep(child, `${where}.steps[${i}]`, cues, registry, choreographies));
+      return;
+    case 'cue':
+      if (!cues[step.name]) { throw new Error(`${where}: unknown cue ${step.name}`); }
+      return;
+    case 'choreography':
+      if (!choreographies[step.name]) { throw new Error(`${where}: unknown choreography ${step.name}`); }
+      return;
+    default:
+      throw new Error(`${where}: unknown step type ${step && step.type}`);
+  }
+}
+
+// A cue that (indirectly) fires itself would never finish.
+function checkForCycles(name, cues, stack)
+{
+  if (stack.includes(name))
+  {
+    throw new Error(`Cue cycle: ${[...stack, name].join(' -> ')}`);
+  }
+  const walk = (steps) =>
+  {
+    for (const step of steps)
+    {
+      if (step.type === 'cue') { checkForCycles(step.name, cues, [...stack, name]); }
+      else if (step.type === 'parallel') { walk(step.steps); }
+    }
+  };
+  walk(cues[name].steps);
+}
+
+// Thrown into a running sequence's pending waits when it is cancelled.
+const CANCELLED = Symbol('cancelled');
+
+// Every device a cue (and the cues it fires) sends to, for readiness checks.
+function cueDevices(name, cues, choreographies = {})
+{
+  const found = new Set();
+  const walk = (steps) =>
+  {
+    for (const step of steps)
+    {
+      if (step.type === 'send') { found.add(step.device); }
+      else if (step.type === 'parallel') { walk(step.steps); }
+      else if (step.type === 'cue') { walk(cues[step.name].steps); }
+      else if (step.type === 'choreography' && choreographies[step.name]) { found.add(choreographies[step.name].device); }
+    }
+  };
+  walk(cues[name].steps);
+  return [...found];
+}
+
+// Cues that play a choreography, so it isn't deleted out from under them.
+function cuesUsingChoreography(name, cues)
+{
+  const uses = (steps) => steps.some((step) =>
+    (step.type === 'choreography' && step.name === name) || (step.type === 'parallel' && uses(step.steps)));
+  return Object.values(cues).filter((cue) => uses(cue.steps)).map((cue) => cue.name);
+}
+
+function describeStep(step)
+{
+  switch (step.type)
+  {
+    case 'send':     return `send ${step.device} ${step.address} ${formatArgs(step.args)}`;
+    case 'wait':     return `wait ${step.ms}ms`;
+    case 'parallel': return `parallel (${step.steps.length} steps)`;
+    case 'cue':      return `cue ${step.name}`;
+    case 'choreography': return `choreography ${step.name}`;
+  }
+  return step.type;
+}
+
+/*
+ * send(device, address, args, context) does the actual UDP write; context
+ * says which sequence it came from ({ source, cue, sequence, by }). Timers
+ * and the clock are injectable so sequences can be stepped without waiting
+ * in real time.
+ *
+ * Every run of a cue is tracked as a sequence with an id (storm-3), its
+ * start time and the step it is on, until it finishes or is cancelled.
+ * onChange() is called whenever one is queued, starts or ends, and when
+ * it settles into a wait long enough for the tablets to count down.
+ */
+function createCueEngine({ cues, registry, send, choreographies = {}, onChange = () => {}, timers = { setTimeout, clearTimeout }, now = Date.now })
+{
+  const sequences = new Map();   // id -> queued or running sequence
+  const recent    = [];          // finished sequences, newest first
+  let nextId = 1;
+
+  function wait(seq, ms)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      const pending = { reject };
+      pending.timer = timers.setTimeout(() =>
+      {
+        seq.pending.delete(pending);
+        resolve();
+      }, ms);
+      seq.pending.add(pending);
+      seq.waitUntil = now() + ms;
+      if (ms >= ANNOUNCE_WAIT_MS) { onChange(); }
+    });
+  }
+
+  async function runSteps(seq, steps, topLevel)
+  {
+    for (let i = 0; i < steps.length; i++)
+    {
+      if (topLevel)
+      {
+        seq.step     = i;
+        seq.nextStep = describeStep(steps[i]);
+      }
+      await runStep(seq, steps[i]);
+    }
+  }
+
+  async function runStep(seq, step)
+  {
+    if (seq.status !== 'running') { throw CANCELLED; }
+
+    switch (step.type)
+    {
+      case 'send':
+        send(getDevice(registry, step.device), step.address, step.args, sendContext(seq));
+        return;
+      case 'wait':
+        await wait(seq, step.ms);
+        return;
+      case 'parallel':
+        await Promise.all(step.steps.map((child) => runStep(seq, child)));
+        return;
+      case 'cue':
+        await runSteps(seq, cues[step.name].steps, false);
+        return;
+      case 'choreography':
+      {
+        // looked up at run time: the choreography may have been re-recorded since the cue loaded
+        const choreography = choreographies[step.name];
+        if (!choreography) { throw new Error(`Choreography ${step.name} no longer exists`); }
+        await runSteps(seq, choreographySteps(choreography), false);
+        return;
+      }
+    }
+  }
+
+  function sendContext(seq)
+  {
+    return { source: seq.source, cue: seq.cue, sequence: seq.id, by: seq.by };
+  }
+
+  function summarize(seq)
+  {
+    return {
+      id:         seq.id,
+      cue:        seq.cue,
+      status:     seq.status,
+      queuedAt:   seq.queuedAt,
+      startedAt:  seq.startedAt,
+      endedAt:    seq.endedAt,
+      step:       seq.step,
+      totalSteps: seq.def.steps.length,
+      nextStep:   seq.status === 'running' ? seq.nextStep : null,
+      waitUntil:  seq.status === 'running' && seq.pending.size > 0 ? seq.waitUntil : null,
+      source:     seq.source,
+      startedBy:  seq.by,
+      loop:       Boolean(seq.def.loop),
+    };
+  }
+
+  function start(seq)
+  {
+    seq.status    = 'running';
+    seq.startedAt = now();
+    console.log(`cue ${seq.cue}: start (${seq.id})`);
+    onChange();
+
+    play(seq).then(
+      () => finish(seq, 'done'),
+      (err) =>
+      {
+        if (err === CANCELLED) return;
+        console.error(`cue ${seq.cue} failed (${seq.id}):`, err);
+        finish(seq, 'failed');
+      });
+  }
+
+  // a looping timeline goes round until it is cancelled
+  async function play(seq)
+  {
+    do
+    {
+      await runSteps(seq, seq.def.steps, true);
+    }
+    while (seq.def.loop && seq.status === 'running');
+  }
+
+  function finish(seq, status)
+  {
+    if (!sequences.has(seq.id)) return;
+
+    sequences.delete(seq.id);
+    seq.status  = status;
+    seq.endedAt = now();
+    console.log(`cue ${seq.cue}: ${status} (${seq.id})`);
+
+    recent.unshift(summarize(seq));
+    recent.length = Math.min(recent.length, RECENT_LIMIT);
+    seq.resolveDone(status);
+    onChange();
+
+    // a queued re-trigger of the same cue starts once nothing else of it is running
+    const same = [...sequences.values()].filter((s) => s.cue === seq.cue);
+    const next = same.find((s) => s.status === 'queued');
+    if (next && !same.some((s) => s.status === 'running')) { start(next); }
+  }
+
+  /*
+   * Run a cue by name. What happens when the cue is already running is up
+   * to its "retrigger" policy: ignore (default), restart or queue.
+   * Returns { result, sequence, done } where done resolves to the final
+   * status ('done', 'cancelled' or 'failed'). context.by names who fired it.
+   */
+  function run(name, context = {})
+  {
+    const cue = cues[name];
+    if (!cue) { throw new Error(`Unknown cue: ${name}`); }
+
+    const active = [...sequences.values()].filter((s) => s.cue === name);
+    const policy = cue.retrigger || 'ignore';
+
+    if (active.length > 0 && policy === 'ignore')
+    {
+      return { result: 'ignored', sequence: summarize(active[0]), done: null };
+    }
+    if (active.length > 0 && policy === 'restart')
+    {
+      active.forEach((s) => cancel(s.id, { safeState: false }));
+    }
+
+    const { seq, done } = createSequence(cue, { source: 'cue', ...context });
+
+    if (active.length > 0 && policy === 'queue')
+    {
+      console.log(`cue ${name}: queued (${seq.id})`);
+      onChange();
+      return { result: 'queued', sequence: summarize(seq), done };
+    }
+
+    start(seq);
+    return { result: active.length > 0 ? 'restarted' : 'started', sequence: summarize(seq), done };
+  }
+
+  /*
+   * Run a one-off timeline that isn't in cues.json (history replays,
+   * choreographies). It is tracked, listed and cancellable like any cue but
+   * never queued. loop: true repeats it until cancelled, so it must wait
+   * somewhere.
+   */
+  function runTimeline(name, steps, { loop = false, ...context } = {})
+  {
+    if (loop && !steps.some((step) => step.type === 'wait' && step.ms > 0))
+    {
+      throw new Error(`${name} cannot loop without a wait in it`);
+    }
+    const { seq, done } = createSequence({ name, label: name, steps, loop }, context);
+    start(seq);
+    return { result: 'started', sequence: summarize(seq), done };
+  }
+
+  function createSequence(def, { source = 'cue', by = null } = {})
+  {
+    const seq = {
+      id:        `${def.name}-${nextId++}`,
+      cue:       def.name,
+      def,
+      source,
+      by,
+      status:    'queued',
+      queuedAt:  now(),
+      startedAt: null,
+      endedAt:   null,
+      step:      0,
+      nextStep:  null,
+      waitUntil: null,
+      pending:   new Set(),
+    };
+    const done = new Promise((resolve) => { seq.resolveDone = resolve; });
+    sequences.set(seq.id, seq);
+    return { seq, done };
+  }
+
+  /*
+   * Stop a queued or running sequence: pending waits are cleared so no
+   * further steps fire. If the sequence had started and its cue defines a
+   * safeState, those sends go out straight away (pass safeState: false to
+   * skip them). Returns the final summary, or null for an unknown id.
+   */
+  function cancel(id, { safeState = true, by = null } = {})
+  {
+    const seq = sequences.get(id);
+    if (!seq) return null;
+
+    const wasRunning = seq.status === 'running';
+    for (const pending of seq.pending)
+    {
+      timers.clearTimeout(pending.timer);
+      pending.reject(CANCELLED);
+    }
+    seq.pending.clear();
+    finish(seq, 'cancelled');
+
+    const safeSteps = seq.def.safeState;
+    if (safeState && wasRunning && safeSteps)
+    {
+      console.log(`cue ${seq.cue}: sending safe state`);
+      for (const step of safeSteps)
+      {
+        send(getDevice(registry, step.device), step.address, step.args, { ...sendContext(seq), by: by || seq.by });
+      }
+    }
+    return summarize(seq);
+  }
+
+  function list()
+  {
+    return Object.values(cues).map((cue) => ({
+      name:      cue.name,
+      label:     cue.label,
+      steps:     cue.steps.length,
+      retrigger: cue.retrigger || 'ignore',
+      safeState: Boolean(cue.safeState),
+      devices:   cueDevices(cue.name, cues, choreographies),
+    }));
+  }
+
+  function status()
+  {
+    return { active: [...sequences.values()].map(summarize), recent: [...recent] };
+  }
+
+  return { run, runTimeline, cancel, list, status, has: (name) => Boolean(cues[name]) };
+}
+
+module.exports = { loadCues, createCueEngine, cuesUsingChoreography };
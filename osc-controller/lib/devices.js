@@ -0,0 +1,183 @@
+/* === Nova Kukla === */
+/* === osc-controller: device registry === */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { ROLES } = require('./auth');
+
+/*
+ * Loads config/devices.json, which maps a device name (snail, gator, ...)
+ * to the board it lives on and the OSC address prefixes it accepts:
+ *
+ * { "defaultDevice": "snail",
+ *   "devices": { "snail": { "ip": "10.1.4.28", "port": 8888, "prefixes": ["/eye/"] } } }
+ *
+ * An optional "feedback" map names the addresses a device reports back on
+ * (see lib/feedback.js), and "role" is the lowest login role that may
+ * send to it (default floor).
+ *
+ * Admin edits from the hub are kept apart in overridesPath (under data/,
+ * { "devices": { "snail": { "ip": "10.1.4.30" } } }) and laid over the
+ * config on load, so the tracked devices.json is never rewritten.
+ */
+function loadDeviceRegistry(filePath, overridesPath = null)
+{
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const overrides = readOverrides(overridesPath);
+  const devices = {};
+
+  for (const [name, config] of Object.entries(raw.devices || {}))
+  {
+    const def = config && overrides[name] ? { ...config, ...pickEditable(overrides[name]) } : config;
+    if (!def || typeof def.ip !== 'string' || def.ip === '')
+    {
+      throw new Error(`Device "${name}" needs an ip`);
+    }
+    const port = Number(def.port);
+    if (!Number.isInteger(port) || port < 1 || port > 65535)
+    {
+      throw new Error(`Device "${name}" has an invalid port`);
+    }
+    const prefixes = def.prefixes || [];
+    if (!Array.isArray(prefixes) || prefixes.some((p) => typeof p !== 'string' || !p.startsWith('/')))
+    {
+      throw new Error(`Device "${name}" prefixes must be OSC paths`);
+    }
+
+    const feedback = def.feedback || {};
+    if (typeof feedback !== 'object' || Object.values(feedback).some((a) => typeof a !== 'string' || !a.startsWith('/')))
+    {
+      throw new Error(`Device "${name}" feedback must map names to OSC paths`);
+    }
+
+    // the lowest role allowed to send to this device straight from /osc
+    const role = def.role || 'floor';
+    if (!ROLES.includes(role)) { throw new Error(`Device "${name}" role must be one of ${ROLES.join(', ')}`); }
+
+    const addressRules = compileAddressRules(name, def.addresses);
+
+    devices[name] = { ...def, name, label: def.label || name, ip: def.ip, port, prefixes, feedback, role, addressRules };
+  }
+
+  const defaultDevice = raw.defaultDevice || null;
+  if (defaultDevice && !devices[defaultDevice])
+  {
+    throw new Error(`defaultDevice "${defaultDevice}" is not in the registry`);
+  }
+
+  return { defaultDevice, devices, rateLimit: raw.rateLimit || null, controlLock: raw.controlLock || null };
+}
+
+/*
+ * "addresses" is an allowlist: exact OSC addresses, or patterns where a
+ * segment that is just * matches any one path segment (a layer number,
+ * say). Each maps to limits checked by lib/validation.js:
+ *   { "min": 0, "max": 1, "types": "i", "cooldownMs": 150 }
+ */
+function compileAddressRules(name, addresses)
+{
+  if (addresses === undefined) return null;
+  if (!addresses || typeof addresses !== 'object') { throw new Error(`Device "${name}" addresses must be an object`); }
+
+  return Object.entries(addresses).map(([pattern, rule]) =>
+  {
+    if (!pattern.startsWith('/')) { throw new Error(`Device "${name}" address ${pattern} must start with /`); }
+    const limits = rule || {};
+    for (const key of ['min', 'max', 'cooldownMs'])
+    {
+      if (limits[key] !== undefined && !Number.isFinite(limits[key]))
+      {
+        throw new Error(`Device "${name}" address ${pattern}: ${key} must be a number`);
+      }
+    }
+    if (limits.types !== undefined && !/^[ifsbTFN]*$/.test(limits.types))
+    {
+      throw new Error(`Device "${name}" address ${pattern}: types must be OSC type tags`);
+    }
+
+    const source = pattern.split('/').map((seg) => (seg === '*' ? '[^/]+' : seg.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))).join('/');
+    return { ...limits, pattern, regex: new RegExp(`^${source}$`) };
+  });
+}
+
+/* === look up a device by name, falling back to the default === */
+function getDevice(registry, name)
+{
+  const key = name || registry.defaultDevice;
+  if (!key) { throw new Error('No device given and no defaultDevice configured'); }
+
+  const device = registry.devices[key];
+  if (!device) { throw new Error(`Unknown device: ${key}`); }
+  return device;
+}
+
+/*
+ * The rule an address falls under: its allowlist entry when the device has
+ * "addresses", otherwise {} if it passes the prefix check. null = refused.
+ */
+function findAddressRule(device, address)
+{
+  if (device.addressRules)
+  {
+    return device.addressRules.find((rule) => rule.regex.test(address)) || null;
+  }
+  return isAddressAllowed(device, address) ? {} : null;
+}
+
+// An empty prefix list means the device accepts any address.
+function isAddressAllowed(device, address)
+{
+  if (device.addressRules) return device.addressRules.some((rule) => rule.regex.test(address));
+  if (device.prefixes.length === 0) return true;
+  return device.prefixes.some((prefix) => address.startsWith(prefix));
+}
+
+/*
+ * Admin edits from the hub: label, ip or port. checkDeviceChanges throws
+ * on a bad edit and returns { device, changes } to apply;
+ * saveDeviceOverrides then keeps them for the next restart.
+ */
+const EDITABLE_FIELDS = ['label', 'ip', 'port'];
+
+function pickEditable(values)
+{
+  return Object.fromEntries(Object.entries(values || {}).filter(([key]) => EDITABLE_FIELDS.includes(key)));
+}
+
+function readOverrides(overridesPath)
+{
+  if (!overridesPath || !fs.existsSync(overridesPath)) return {};
+  return JSON.parse(fs.readFileSync(overridesPath, 'utf8')).devices || {};
+}
+
+function checkDeviceChanges(registry, name, changes)
+{
+  if (!name) { throw new Error('Device name required'); }
+  const device = getDevice(registry, name);
+
+  const unknown = Object.keys(changes).filter((k) => !EDITABLE_FIELDS.includes(k));
+  if (unknown.length > 0) { throw new Error(`Cannot edit ${unknown.join(', ')}; editable: ${EDITABLE_FIELDS.join(', ')}`); }
+
+  const next = { ...changes };
+  if (next.ip !== undefined && (typeof next.ip !== 'string' || next.ip === '')) { throw new Error('ip must be a non-empty string'); }
+  if (next.port !== undefined)
+  {
+    next.port = Number(next.port);
+    if (!Number.isInteger(next.port) || next.port < 1 || next.port > 65535) { throw new Error('port must be 1-65535'); }
+  }
+  if (next.label !== undefined && typeof next.label !== 'string') { throw new Error('label must be a string'); }
+
+  return { device, changes: next };
+}
+
+// merges changes into the device's entry in the overrides file; throws if it can't be written
+function saveDeviceOverrides(overridesPath, name, changes)
+{
+  const devices = readOverrides(overridesPath);
+  devices[name] = { ...devices[name], ...changes };
+  fs.mkdirSync(path.dirname(overridesPath), { recursive: true });
+  fs.writeFileSync(overridesPath, JSON.stringify({ devices }, null, 2) + '\n');
+}
+
+module.exports = { loadDeviceRegistry, getDevice, isAddressAllowed, findAddressRule, checkDeviceChanges, saveDeviceOverrides };
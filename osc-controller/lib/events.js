@@ -0,0 +1,57 @@
+/* === Nova Kukla === */
+/* === osc-controller: Server-Sent Events hub === */
+
+const KEEPALIVE_MS = 25000;
+
+/*
+ * Browsers open GET /events with EventSource and get named events pushed
+ * to them. A comment line goes out every 25s so proxies and tablets that
+ * sleep their Wi-Fi don't drop the connection.
+ */
+function createEventHub()
+{
+  const clients = new Set();
+
+  const keepalive = setInterval(() =>
+  {
+    for (const res of clients) { res.write(': keepalive\n\n'); }
+  }, KEEPALIVE_MS);
+  keepalive.unref();
+
+  function write(res, event, data)
+  {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // initial is an optional list of [event, data] sent to this client only
+  function handle(req, res, initial = [])
+  {
+    res.writeHead(200,
+    {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+    res.write('retry: 2000\n\n');
+    for (const [event, data] of initial) { write(res, event, data); }
+
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  }
+
+  function broadcast(event, data)
+  {
+    for (const res of clients) { write(res, event, data); }
+  }
+
+  function close()
+  {
+    clearInterval(keepalive);
+    for (const res of clients) { res.end(); }
+    clients.clear();
+  }
+
+  return { handle, broadcast, close, size: () => clients.size };
+}
+
+module.exports = { createEventHub };
@@ -0,0 +1,58 @@
+/* === Nova Kukla === */
+/* === osc-controller: inbound OSC state === */
+
+/*
+ * Keeps the last-known args for every address a device has sent us, plus
+ * when we last heard from it. Senders are matched to registry devices by
+ * IP; anything else is filed under "unknown".
+ *
+ * Devices may name their feedback addresses in devices.json, e.g.
+ *   "feedback": { "left": "/eye/left/pos", "mode": "/eye/mode" }
+ * and updates on those addresses are tagged with the key so the
+ * controller pages know which readout to refresh.
+ */
+function createFeedbackState(registry, { now = Date.now } = {})
+{
+  const devices = {};   // name -> { lastSeen, addresses: { address: { key, args, at } } }
+
+  function deviceForSender(ip)
+  {
+    const match = Object.values(registry.devices).find((d) => d.ip === ip);
+    return match ? match.name : 'unknown';
+  }
+
+  function feedbackKey(name, address)
+  {
+    const device = registry.devices[name];
+    if (!device || !device.feedback) return null;
+    const entry = Object.entries(device.feedback).find(([, addr]) => addr === address);
+    return entry ? entry[0] : null;
+  }
+
+  /* === record decoded messages from one datagram; returns the updates === */
+  function record(messages, sender)
+  {
+    const name = deviceForSender(sender.address);
+    const at   = now();
+    const entry = devices[name] || (devices[name] = { lastSeen: null, addresses: {} });
+    entry.lastSeen = at;
+
+    return messages.map((msg) =>
+    {
+      const args = msg.args.map((a) => (Buffer.isBuffer(a.value) ? a.value.toString('base64') : a.value));
+      const key  = feedbackKey(name, msg.address);
+      entry.addresses[msg.address] = { key, args, at };
+      return { device: name, address: msg.address, key, args, at };
+    });
+  }
+
+  // now is included so browsers can work out ages without trusting their own clock
+  function snapshot()
+  {
+    return { now: now(), devices: JSON.parse(JSON.stringify(devices)) };
+  }
+
+  return { record, snapshot };
+}
+
+module.exports = { createFeedbackState };
@@ -0,0 +1,140 @@
+/* === Nova Kukla === */
+/* === osc-controller: device health (heartbeat pings) === */
+
+/*
+ * UDP sends "succeed" whether or not anything is listening, so devices
+ * that should be watched get a "health" block in devices.json:
+ *
+ *   "health": { "ping": "/ping", "reply": "/pong", "intervalMs": 5000, "timeoutMs": 1000 }
+ *
+ * Every intervalMs the bridge sends `ping` (no args) and waits timeoutMs
+ * for `reply` from the device's IP. Leave reply out for boards that just
+ * echo the datagram back (reply defaults to the ping address); "port"
+ * sends the ping somewhere other than the device's normal port.
+ *
+ * Status is "unknown" until the first ping settles, "online" after a
+ * reply, and "offline" after missesBeforeOffline timeouts in a row.
+ * Devices without a health block are "unmonitored".
+ */
+
+const DEFAULTS = { intervalMs: 5000, timeoutMs: 1000, missesBeforeOffline: 2 };
+
+function createHealthMonitor({ registry, sendPing, onChange = () => {}, timers = { setTimeout, clearTimeout, setInterval, clearInterval }, now = Date.now })
+{
+  const state = {};   // device name -> health record
+
+  for (const device of Object.values(registry.devices))
+  {
+    const health = device.health ? { ...DEFAULTS, ...device.health } : null;
+    if (health && (typeof health.ping !== 'string' || !health.ping.startsWith('/')))
+    {
+      throw new Error(`Device "${device.name}" health.ping must be an OSC path`);
+    }
+    if (health && !health.reply) { health.reply = health.ping; }
+
+    state[device.name] = {
+      config:    health,
+      status:    health ? 'unknown' : 'unmonitored',
+      latencyMs: null,
+      lastReply: null,
+      misses:    0,
+      pending:   null,   // { sentAt, timer } while a ping is out
+      interval:  null,
+    };
+  }
+
+  function setStatus(name, status)
+  {
+    const entry = state[name];
+    const changed = entry.status !== status;
+    entry.status = status;
+    if (changed) { console.log(`health ${name}: ${status}`); }
+    onChange(summarize(name));
+  }
+
+  function ping(name)
+  {
+    const entry  = state[name];
+    const device = registry.devices[name];
+
+    // the previous ping never came back before this one is due
+    if (entry.pending) { settleMiss(name); }
+
+    const sentAt = now();
+    entry.pending = {
+      sentAt,
+      timer: timers.setTimeout(() => settleMiss(name), entry.config.timeoutMs),
+    };
+    sendPing({ ...device, port: entry.config.port || device.port }, entry.config.ping);
+  }
+
+  function settleMiss(name)
+  {
+    const entry = state[name];
+    if (!entry.pending) return;
+
+    timers.clearTimeout(entry.pending.timer);
+    entry.pending = null;
+    entry.misses += 1;
+    entry.latencyMs = null;
+    if (entry.misses >= entry.config.missesBeforeOffline) { setStatus(name, 'offline'); }
+  }
+
+  /* === call for every inbound message; returns true if it was a ping reply === */
+  function handleMessage(name, address)
+  {
+    const entry = state[name];
+    if (!entry || !entry.config || !entry.pending || address !== entry.config.reply) return false;
+
+    const at = now();
+    timers.clearTimeout(entry.pending.timer);
+    entry.latencyMs = at - entry.pending.sentAt;
+    entry.lastReply = at;
+    entry.pending   = null;
+    entry.misses    = 0;
+    setStatus(name, 'online');
+    return true;
+  }
+
+  function summarize(name)
+  {
+    const entry = state[name];
+    return {
+      device:    name,
+      status:    entry.status,
+      latencyMs: entry.latencyMs,
+      lastReply: entry.lastReply,
+      misses:    entry.misses,
+    };
+  }
+
+  function start()
+  {
+    for (const [name, entry] of Object.entries(state))
+    {
+      if (!entry.config || entry.interval) continue;
+      ping(name);
+      entry.interval = timers.setInterval(() => ping(name), entry.config.intervalMs);
+    }
+  }
+
+  function stop()
+  {
+    for (const entry of Object.values(state))
+    {
+      if (entry.interval) { timers.clearInterval(entry.interval); }
+      if (entry.pending)  { timers.clearTimeout(entry.pending.timer); }
+      entry.interval = null;
+      entry.pending  = null;
+    }
+  }
+
+  function snapshot()
+  {
+    return Object.keys(state).map(summarize);
+  }
+
+  return { start, stop, ping, handleMessage, snapshot, get: (name) => (state[name] ? summarize(name) : null) };
+}
+
+module.exports = { createHealthMonitor };
@@ -0,0 +1,89 @@
+/* === Nova Kukla === */
+/* === osc-controller: small HTTP helpers shared by the routes === */
+
+function sendJson(res, status, payload)
+{
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+}
+
+// nothing the pages send comes close; anything bigger is refused before it is parsed
+const MAX_BODY_BYTES = 64 * 1024;
+
+/*
+ * Collect a JSON request body and hand the parsed object to onBody. Answers
+ * itself when the body is too big (413), not JSON or not an object (400),
+ * or onBody throws (500), so one bad request can't take the bridge down.
+ * optional: true is for routes whose body is optional; null counts as {}.
+ */
+function readJson(req, res, onBody, { maxBytes = MAX_BODY_BYTES, optional = false } = {})
+{
+  const tooBig = () =>
+  {
+    res.setHeader('Connection', 'close');
+    sendJson(res, 413, { ok: false, error: `Request body over ${maxBytes} bytes` });
+  };
+  if (Number(req.headers['content-length']) > maxBytes)
+  {
+    tooBig();
+    req.resume();
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) =>
+  {
+    size += chunk.length;
+    if (size <= maxBytes) { chunks.push(chunk); }
+  });
+  req.on('end', () =>
+  {
+    if (size > maxBytes)
+    {
+      tooBig();
+      return;
+    }
+
+    let parsed;
+    try { parsed = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'); }
+    catch (e)
+    {
+      sendJson(res, 400, { ok: false, error: 'Invalid JSON body' });
+      return;
+    }
+    if (parsed === null && optional) { parsed = {}; }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed))
+    {
+      sendJson(res, 400, { ok: false, error: 'JSON body must be an object' });
+      return;
+    }
+
+    try { onBody(parsed); }
+    catch (e)
+    {
+      console.error('Request error:', e);
+      if (!res.headersSent) { sendJson(res, 500, { ok: false, error: 'Server error' }); }
+      else { res.end(); }
+    }
+  });
+}
+
+/* === a path segment (/cues/:name/run) decoded, or null when its %-escapes are broken === */
+function decodeSegment(segment)
+{
+  try { return decodeURIComponent(segment); }
+  catch (e) { return null; }
+}
+
+// pages (not their css/js/images) need a login; the login page itself doesn't
+function isProtectedPage(urlPath)
+{
+  // decoded the same way the static handler will, so /main%2ehtml is a page too
+  let p;
+  try { p = decodeURIComponent(urlPath.split('?')[0]); }
+  catch (e) { return false; }   // the static handler answers 400
+  return (p === '/' || p.endsWith('.html') || p.startsWith('/controllers/')) && p !== '/login.html';
+}
+
+module.exports = { MAX_BODY_BYTES, sendJson, readJson, decodeSegment, isProtectedPage };
@@ -0,0 +1,126 @@
+/* === Nova Kukla === */
+/* === osc-controller: per-device control locks === */
+
+/*
+ * An operator can take control of a device so only their tablet drives
+ * it. Nobody has to: a device nobody holds takes sends from anyone, as
+ * before. While it is held, /osc sends, position moves, routine playback
+ * and MIDI sends to it from anyone else get a 423. Cues and the schedule
+ * are show-wide and ignore locks.
+ *
+ * The holder is a login session, not a user name, so two tablets logged in
+ * as the same floor account are still two operators. A lock lapses after
+ * idleMs without a send from its holder, and anyone allowed to drive the
+ * device can take it over (the old holder's tablet shows who did). In
+ * devices.json, next to "rateLimit":
+ *
+ *   "controlLock": { "idleMs": 120000 }
+ */
+
+const DEFAULT_IDLE_MS = 2 * 60 * 1000;
+
+/*
+ * onChange(snapshot) fires on every take, release, takeover and lapse.
+ * timers / now are injectable for tests.
+ */
+function createControlLocks({ idleMs = DEFAULT_IDLE_MS, onChange = () => {}, timers = { setTimeout, clearTimeout }, now = Date.now } = {})
+{
+  const locks = new Map();   // device name -> { user, session, since, expires, timer }
+
+  function describe(lock)
+  {
+    return { user: lock.user, session: lock.session, since: lock.since, expires: lock.expires };
+  }
+
+  function snapshot()
+  {
+    const out = {};
+    for (const [device, lock] of locks) { out[device] = describe(lock); }
+    return { idleMs, locks: out };
+  }
+
+  function drop(device)
+  {
+    const lock = locks.get(device);
+    if (!lock) return;
+    timers.clearTimeout(lock.timer);
+    locks.delete(device);
+  }
+
+  // (re)arm the idle timer; every send from the holder pushes it back
+  function touch(device, lock)
+  {
+    timers.clearTimeout(lock.timer);
+    lock.expires = now() + idleMs;
+    lock.timer = timers.setTimeout(() =>
+    {
+      if (locks.get(device) !== lock) return;
+      console.log(`control of ${device}: ${lock.user} timed out`);
+      locks.delete(device);
+      onChange(snapshot());
+    }, idleMs);
+  }
+
+  function held(session, lock)
+  {
+    return lock.session === session.id;
+  }
+
+  /*
+   * Take control of a device. Fails with a 423 while someone else holds it,
+   * unless takeover is set. Returns { ok, lock, previous } or a rejection.
+   */
+  function acquire(device, session, { takeover = false } = {})
+  {
+    const current = locks.get(device);
+    if (current && !held(session, current) && !takeover)
+    {
+      return { ok: false, status: 423, error: `${device} is being driven by ${current.user}`, lock: describe(current) };
+    }
+
+    const previous = current && !held(session, current) ? describe(current) : null;
+    if (previous) { drop(device); }
+
+    const lock = current && !previous ? current : { user: session.user, session: session.id, since: now() };
+    locks.set(device, lock);
+    touch(device, lock);
+    onChange(snapshot());
+    return { ok: true, lock: describe(lock), previous };
+  }
+
+  // Only the holder can release; returns false if they didn't hold it.
+  function release(device, session)
+  {
+    const lock = locks.get(device);
+    if (!lock || !held(session, lock)) return false;
+    drop(device);
+    onChange(snapshot());
+    return true;
+  }
+
+  /*
+   * The check for a send: null when this session may drive the device
+   * (nobody holds it, or they do, which also keeps their lock alive),
+   * otherwise { status: 423, error } like the other checks in validation.js.
+   */
+  function check(device, session)
+  {
+    const lock = locks.get(device);
+    if (!lock) return null;
+    if (held(session, lock))
+    {
+      touch(device, lock);
+      return null;
+    }
+    return { status: 423, error: `${device} is being driven by ${lock.user}; take over control to send` };
+  }
+
+  function stop()
+  {
+    for (const device of [...locks.keys()]) { drop(device); }
+  }
+
+  return { acquire, release, check, snapshot, stop };
+}
+
+module.exports = { createControlLocks };
@@ -0,0 +1,354 @@
+/* === Nova Kukla === */
+/* === osc-controller: MIDI pads and knobs mapped to cues and OSC === */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { getDevice } = require('./devices');
+const { checkMessage } = require('./validation');
+const { normalizeArgs } = require('./osc');
+
+/*
+ * MIDI reaches the bridge two ways, both ending up in the same mapper:
+ *   - a raw MIDI device file (ALSA: /dev/snd/midiC1D0) named by
+ *     OSC_MIDI_INPUT, read as a byte stream on the bridge itself;
+ *   - Web MIDI in a browser (public/midi.html), which posts each message
+ *     to POST /midi.
+ *
+ * config/midi.json maps a note or CC to an action. Mappings learned or
+ * deleted from the hub are saved to data/midi.json, which is read instead
+ * from then on:
+ *
+ * { "mappings": [
+ *     { "id": "storm-pad", "label": "Storm", "match": { "type": "note", "channel": 10, "number": 36 },
+ *       "action": { "type": "cue", "cue": "storm" } },
+ *     { "id": "storm-stop", "match": { "type": "note", "channel": 10, "number": 37 },
+ *       "action": { "type": "stop", "cue": "storm" } },
+ *     { "id": "snail-home", "match": { "type": "note", "channel": 10, "number": 38 },
+ *       "action": { "type": "osc", "device": "snail", "address": "/eye/reset", "value": 1 } },
+ *     { "id": "master", "match": { "type": "cc", "channel": 1, "number": 7 },
+ *       "action": { "type": "osc", "device": "resolume", "address": "/composition/master", "scale": { "min": 0, "max": 1 } } } ] }
+ *
+ * Notes fire on note-on. A CC fires cue / stop / fixed-value osc actions
+ * when it goes from below 64 to 64 or above (a button that sends CC), and
+ * osc actions with "scale" on every change, mapping 0-127 onto min-max
+ * (argType "f" by default, or "i"). "channel" is 1-16; leave it out to
+ * match any channel.
+ */
+
+const MATCH_TYPES  = ['note', 'cc'];
+const ACTION_TYPES = ['cue', 'stop', 'osc'];
+const LEARN_TIMEOUT_MS = 30000;
+const ID_PATTERN = /^[\w-]{1,64}$/;
+
+/* === one complete message as bytes -> { type, channel, number, value } or null === */
+function decodeMidiMessage(bytes)
+{
+  const [status, data1 = 0, data2 = 0] = bytes;
+  const kind    = status & 0xf0;
+  const channel = (status & 0x0f) + 1;
+
+  switch (kind)
+  {
+    case 0x90: return { type: data2 === 0 ? 'noteoff' : 'noteon', channel, number: data1, value: data2 };
+    case 0x80: return { type: 'noteoff', channel, number: data1, value: data2 };
+    case 0xb0: return { type: 'cc', channel, number: data1, value: data2 };
+    case 0xc0: return { type: 'program', channel, number: data1, value: 0 };
+    default:   return null;   // aftertouch, pitch bend, clock, sysex: nothing maps to them
+  }
+}
+
+// data bytes that follow each channel status, by its high nibble
+const DATA_LENGTH = { 0x80: 2, 0x90: 2, 0xa0: 2, 0xb0: 2, 0xc0: 1, 0xd0: 1, 0xe0: 2 };
+
+/*
+ * Raw MIDI byte stream parser (what a /dev/snd/midi* file gives you).
+ * Handles running status, and skips sysex and real-time bytes (clock,
+ * active sensing) even when they land in the middle of a message.
+ */
+function createMidiParser(onMessage)
+{
+  let status  = null;
+  let data    = [];
+  let inSysex = false;
+
+  function write(chunk)
+  {
+    for (const byte of chunk)
+    {
+      if (byte >= 0xf8) continue;   // real-time, may appear anywhere
+      if (byte === 0xf0) { inSysex = true; continue; }
+      if (byte === 0xf7) { inSysex = false; continue; }
+      if (inSysex) continue;
+
+      if (byte & 0x80)
+      {
+        // system common messages cancel running status
+        status = byte < 0xf0 ? byte : null;
+        data = [];
+        continue;
+      }
+      if (status === null) continue;
+
+      data.push(byte);
+      if (data.length === DATA_LENGTH[status & 0xf0])
+      {
+        const message = decodeMidiMessage([status, ...data]);
+        if (message) { onMessage(message); }
+        data = [];
+      }
+    }
+  }
+
+  return { write };
+}
+
+function validateMapping(def, i, { registry, cues })
+{
+  const where = `MIDI mapping ${def && def.id ? def.id : i}`;
+  if (!def || !ID_PATTERN.test(String(def.id))) { throw new Error(`${where}: id must be letters, digits, _ or -`); }
+
+  const match = def.match || {};
+  if (!MATCH_TYPES.includes(match.type)) { throw new Error(`${where}: match.type must be note or cc`); }
+  if (!Number.isInteger(match.number) || match.number < 0 || match.number > 127) { throw new Error(`${where}: match.number must be 0-127`); }
+  if (match.channel !== undefined && match.channel !== null && !(Number.isInteger(match.channel) && match.channel >= 1 && match.channel <= 16))
+  {
+    throw new Error(`${where}: match.channel must be 1-16`);
+  }
+
+  const action = { ...(def.action || {}) };
+  if (!ACTION_TYPES.includes(action.type)) { throw new Error(`${where}: action.type must be one of ${ACTION_TYPES.join(', ')}`); }
+
+  if (action.type === 'cue' || action.type === 'stop')
+  {
+    if (!cues[action.cue]) { throw new Error(`${where}: unknown cue ${action.cue}`); }
+  }
+  if (action.type === 'osc')
+  {
+    const device = getDevice(registry, action.device);
+    action.device = device.name;
+    if (typeof action.address !== 'string') { throw new Error(`${where}: osc needs an address`); }
+
+    let samples;
+    if (action.scale)
+    {
+      const { min = 0, max = 1, argType = 'f' } = action.scale;
+      if (!Number.isFinite(min) || !Number.isFinite(max)) { throw new Error(`${where}: scale min / max must be numbers`); }
+      if (argType !== 'f' && argType !== 'i') { throw new Error(`${where}: scale.argType must be f or i`); }
+      action.scale = { min, max, argType };
+      samples = [scaledArgs(action.scale, 0), scaledArgs(action.scale, 127)];
+    }
+    else
+    {
+      action.args = normalizeArgs(action.args !== undefined ? action.args : [{ type: 'i', value: action.value !== undefined ? action.value : 1 }]);
+      delete action.value;
+      samples = [action.args];
+    }
+
+    for (const args of samples)
+    {
+      const problem = checkMessage(device, action.address, args);
+      if (problem) { throw new Error(`${where}: ${problem.error}`); }
+    }
+  }
+
+  return {
+    id:     def.id,
+    label:  def.label || def.id,
+    match:  { type: match.type, channel: match.channel || null, number: match.number },
+    action,
+  };
+}
+
+function scaledArgs({ min, max, argType }, value)
+{
+  const scaled = min + (value / 127) * (max - min);
+  return [{ type: argType, value: argType === 'i' ? Math.round(scaled) : scaled }];
+}
+
+/* === a mappings file; a missing file means no mappings === */
+function loadMidiMappings(filePath, context)
+{
+  if (!fs.existsSync(filePath)) return [];
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const mappings = (raw.mappings || []).map((def, i) => validateMapping(def, i, context));
+
+  const ids = new Set();
+  for (const mapping of mappings)
+  {
+    if (ids.has(mapping.id)) { throw new Error(`MIDI mapping id ${mapping.id} is used twice`); }
+    ids.add(mapping.id);
+  }
+  return mappings;
+}
+
+// throws if the file can't be written
+function saveMidiMappings(filePath, mappings)
+{
+  const out = mappings.map(({ id, label, match, action }) =>
+  {
+    const saved = { id, label, match: { type: match.type, number: match.number }, action };
+    if (match.channel) { saved.match.channel = match.channel; }
+    return saved;
+  });
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ mappings: out }, null, 2) + '\n');
+}
+
+function describeMessage(message)
+{
+  return `${message.type} ch${message.channel} #${message.number} = ${message.value}`;
+}
+
+/*
+ * Turns incoming messages into actions to run. resolve(message) returns
+ * { learned, actions: [{ mapping, args }] } (args only for osc actions).
+ * The server runs the actions, so the same mapper can be fed synthetic
+ * messages in tests.
+ *
+ * learn(action) arms learn mode: the next note-on or CC from any input
+ * becomes a new mapping for that action (replacing any mapping on the same
+ * note / CC) instead of being resolved.
+ */
+function createMidiMapper({ mappings = [], onLearned = () => {}, context, now = Date.now })
+{
+  const ccValues = new Map();   // "channel/number" -> last CC value, for the 64 threshold
+  let learning = null;          // { action, id, label, by, expires }
+  let lastMessage = null;
+
+  function matches(match, message)
+  {
+    const type = message.type === 'cc' ? 'cc' : 'note';
+    return match.type === type && match.number === message.number && (!match.channel || match.channel === message.channel);
+  }
+
+  function learn(action, { id, label, by = null } = {})
+  {
+    // validated now, so a bad action fails before anyone presses a pad
+    validateMapping({ id: id || 'learning', label, match: { type: 'note', number: 0 }, action }, 0, context);
+    learning = { action, id, label, by, expires: now() + LEARN_TIMEOUT_MS };
+    return { ...learning };
+  }
+
+  function finishLearning(message)
+  {
+    const { action, id, label, by } = learning;
+    learning = null;
+
+    const type  = message.type === 'cc' ? 'cc' : 'note';
+    const match = { type, channel: message.channel, number: message.number };
+    const mapping = validateMapping({ id: id || `${type}-${message.channel}-${message.number}`, label, match, action }, 0, context);
+
+    // one mapping per pad / knob (and per id): learning over an existing one replaces it
+    const kept = mappings.filter((m) => m.id !== mapping.id && !(m.match.type === type && m.match.number === match.number && (!m.match.channel || m.match.channel === match.channel)));
+    mappings.length = 0;
+    mappings.push(...kept, mapping);
+
+    onLearned(mapping, by);
+    return mapping;
+  }
+
+  function resolve(message)
+  {
+    lastMessage = { ...message, at: now() };
+
+    if (learning && learning.expires <= now()) { learning = null; }
+    if (learning && (message.type === 'noteon' || message.type === 'cc'))
+    {
+      return { learned: finishLearning(message), actions: [] };
+    }
+
+    const key = `${message.channel}/${message.number}`;
+    const previous = ccValues.has(key) ? ccValues.get(key) : 0;
+    if (message.type === 'cc') { ccValues.set(key, message.value); }
+
+    const actions = [];
+    for (const mapping of mappings)
+    {
+      if (!matches(mapping.match, message)) continue;
+      const { action } = mapping;
+
+      if (message.type === 'cc' && action.type === 'osc' && action.scale)
+      {
+        actions.push({ mapping, args: scaledArgs(action.scale, message.value) });
+        continue;
+      }
+
+      // everything else is a trigger: note-on, or a CC crossing the halfway mark
+      const pressed = message.type === 'noteon' || (message.type === 'cc' && previous < 64 && message.value >= 64);
+      if (!pressed) continue;
+      actions.push({ mapping, args: action.type === 'osc' ? action.args : undefined });
+    }
+    return { learned: null, actions };
+  }
+
+  function remove(id)
+  {
+    const index = mappings.findIndex((m) => m.id === id);
+    if (index === -1) return false;
+    mappings.splice(index, 1);
+    return true;
+  }
+
+  function status()
+  {
+    if (learning && learning.expires <= now()) { learning = null; }
+    return {
+      mappings:    mappings.map((m) => ({ ...m })),
+      learning:    learning ? { action: learning.action, label: learning.label, by: learning.by, expires: learning.expires } : null,
+      lastMessage: lastMessage ? { ...lastMessage, text: describeMessage(lastMessage) } : null,
+    };
+  }
+
+  return { resolve, learn, cancelLearn: () => { learning = null; }, remove, status, mappings };
+}
+
+/*
+ * Read a raw MIDI device file, reopening it every few seconds when it goes
+ * away (unplugged, or not there yet at boot).
+ */
+function openMidiInput(filePath, onMessage, { retryMs = 5000 } = {})
+{
+  let stream = null;
+  let retry  = null;
+  let closed = false;
+
+  function open()
+  {
+    retry = null;
+    const parser = createMidiParser(onMessage);
+    stream = fs.createReadStream(filePath, { highWaterMark: 64 });
+    stream.on('open', () => console.log(`MIDI input open: ${filePath}`));
+    stream.on('data', (chunk) => parser.write(chunk));
+    const reopen = (err) =>
+    {
+      if (closed || retry) return;
+      if (err) { console.error(`MIDI input ${filePath}: ${err.message}`); }
+      retry = setTimeout(open, retryMs);
+      retry.unref();
+    };
+    stream.on('error', reopen);
+    stream.on('end', () => reopen(null));
+  }
+
+  open();
+  return {
+    close()
+    {
+      closed = true;
+      if (retry) { clearTimeout(retry); }
+      if (stream) { stream.destroy(); }
+    },
+  };
+}
+
+module.exports = {
+  decodeMidiMessage,
+  createMidiParser,
+  loadMidiMappings,
+  saveMidiMappings,
+  createMidiMapper,
+  openMidiInput,
+  describeMessage,
+};
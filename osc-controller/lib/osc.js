@@ -0,0 +1,298 @@
+/* === Nova Kukla === */
+/* === osc-controller: OSC 1.0 encoding / decoding === */
+
+/*
+ * Arguments are { type, value } pairs. Supported tags:
+ *   i  int32          f  float32          s  string
+ *   b  blob (Buffer, or base64 string from JSON)
+ *   T  true   F  false   N  nil            (no value)
+ *
+ * Bare values are typed for you: integers -> i, other numbers -> f,
+ * strings -> s, Buffers -> b, true/false -> T/F, null -> N.
+ */
+
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+
+// seconds between the NTP epoch (1900) and the unix epoch (1970)
+const NTP_EPOCH_OFFSET = 2208988800;
+
+function pad4(buf)
+{
+  const padding = (4 - (buf.length % 4)) % 4;
+  if (padding === 0) return buf;
+  return Buffer.concat([buf, Buffer.alloc(padding)]);
+}
+
+function encodeString(str)
+{
+  if (str.includes('\0')) { throw new Error('OSC strings cannot contain NUL'); }
+  return pad4(Buffer.from(str + '\0'));
+}
+
+function encodeBlob(buf)
+{
+  const size = Buffer.alloc(4);
+  size.writeInt32BE(buf.length, 0);
+  return Buffer.concat([size, pad4(buf)]);
+}
+
+/* === turn a bare value or { type, value } into a checked { type, value } === */
+function normalizeArg(arg)
+{
+  if (arg !== null && typeof arg === 'object' && !Buffer.isBuffer(arg))
+  {
+    return checkArg(arg.type, arg.value);
+  }
+
+  if (arg === null)              return { type: 'N', value: null };
+  if (arg === true)              return { type: 'T', value: true };
+  if (arg === false)             return { type: 'F', value: false };
+  if (typeof arg === 'string')   return checkArg('s', arg);
+  if (Buffer.isBuffer(arg))      return checkArg('b', arg);
+  if (Number.isInteger(arg) && arg >= INT32_MIN && arg <= INT32_MAX) return checkArg('i', arg);
+  if (typeof arg === 'number')   return checkArg('f', arg);
+
+  throw new Error(`Cannot encode OSC argument: ${JSON.stringify(arg)}`);
+}
+
+function checkArg(type, value)
+{
+  switch (type)
+  {
+    case 'i':
+      if (!Number.isInteger(value) || value < INT32_MIN || value > INT32_MAX)
+      {
+        throw new Error(`Argument of type i must be an int32, got ${JSON.stringify(value)}`);
+      }
+      return { type, value };
+    case 'f':
+      if (typeof value !== 'number' || !Number.isFinite(value))
+      {
+        throw new Error(`Argument of type f must be a finite number, got ${JSON.stringify(value)}`);
+      }
+      return { type, value };
+    case 's':
+      if (typeof value !== 'string') { throw new Error('Argument of type s must be a string'); }
+      return { type, value };
+    case 'b':
+      if (Buffer.isBuffer(value)) return { type, value };
+      if (typeof value === 'string') return { type, value: Buffer.from(value, 'base64') };
+      throw new Error('Argument of type b must be a Buffer or base64 string');
+    case 'T': return { type, value: true };
+    case 'F': return { type, value: false };
+    case 'N': return { type, value: null };
+    default:
+      throw new Error(`Unsupported OSC type tag: ${type}`);
+  }
+}
+
+function normalizeArgs(args)
+{
+  if (args === undefined) return [];
+  return (Array.isArray(args) ? args : [args]).map(normalizeArg);
+}
+
+function encodeArg({ type, value })
+{
+  switch (type)
+  {
+    case 'i':
+    {
+      const buf = Buffer.alloc(4);
+      buf.writeInt32BE(value, 0);
+      return buf;
+    }
+    case 'f':
+    {
+      const buf = Buffer.alloc(4);
+      buf.writeFloatBE(value, 0);
+      return buf;
+    }
+    case 's': return encodeString(value);
+    case 'b': return encodeBlob(value);
+    default:  return Buffer.alloc(0);   // T, F, N carry no data
+  }
+}
+
+/* === build one OSC message: address, type tag string, argument data === */
+function encodeMessage(address, args)
+{
+  if (typeof address !== 'string' || !address.startsWith('/'))
+  {
+    throw new Error(`Invalid OSC address: ${address}`);
+  }
+
+  const typed = normalizeArgs(args);
+  const tags  = ',' + typed.map((a) => a.type).join('');
+
+  return Buffer.concat([encodeString(address), encodeString(tags), ...typed.map(encodeArg)]);
+}
+
+/*
+ * Timetags are 64-bit NTP times. Pass a unix time in ms (or a Date); null,
+ * undefined or 'immediate' give the special "now" tag (0x0000000000000001).
+ */
+function encodeTimetag(time)
+{
+  const buf = Buffer.alloc(8);
+  if (time === undefined || time === null || time === 'immediate')
+  {
+    buf.writeUInt32BE(0, 0);
+    buf.writeUInt32BE(1, 4);
+    return buf;
+  }
+
+  const ms = time instanceof Date ? time.getTime() : Number(time);
+  if (!Number.isFinite(ms) || ms < 0) { throw new Error(`Invalid timetag: ${time}`); }
+
+  const seconds  = Math.floor(ms / 1000);
+  const fraction = Math.round(((ms % 1000) / 1000) * 0x100000000);
+  buf.writeUInt32BE(seconds + NTP_EPOCH_OFFSET, 0);
+  buf.writeUInt32BE(Math.min(fraction, 0xffffffff), 4);
+  return buf;
+}
+
+/*
+ * A bundle element is either a message { address, args } or a nested
+ * bundle { timetag, elements }. Each element is prefixed by its size.
+ */
+function encodeBundle(timetag, elements)
+{
+  const parts = [encodeString('#bundle'), encodeTimetag(timetag)];
+
+  for (const element of elements)
+  {
+    const data = Array.isArray(element.elements)
+      ? encodeBundle(element.timetag, element.elements)
+      : encodeMessage(element.address, element.args);
+
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(data.length, 0);
+    parts.push(size, data);
+  }
+
+  return Buffer.concat(parts);
+}
+
+/* === decoding (inbound feedback from devices) === */
+
+function readString(buf, offset)
+{
+  const end = buf.indexOf(0, offset);
+  if (end === -1) { throw new Error('Unterminated OSC string'); }
+  const str = buf.toString('utf8', offset, end);
+  const next = offset + Math.ceil((end - offset + 1) / 4) * 4;
+  return { value: str, next };
+}
+
+function decodeTimetag(buf, offset)
+{
+  const seconds  = buf.readUInt32BE(offset);
+  const fraction = buf.readUInt32BE(offset + 4);
+  if (seconds === 0 && fraction === 1) return null;   // "immediately"
+  return (seconds - NTP_EPOCH_OFFSET) * 1000 + Math.round((fraction / 0x100000000) * 1000);
+}
+
+function decodeMessage(buf)
+{
+  const address = readString(buf, 0);
+  if (!address.value.startsWith('/')) { throw new Error(`Invalid OSC address: ${address.value}`); }
+
+  // a message with no type tag string at all is treated as having no arguments
+  if (address.next >= buf.length) return { address: address.value, args: [] };
+
+  const tags = readString(buf, address.next);
+  if (!tags.value.startsWith(',')) { throw new Error('Missing OSC type tag string'); }
+
+  const args = [];
+  let offset = tags.next;
+  for (const type of tags.value.slice(1))
+  {
+    switch (type)
+    {
+      case 'i':
+        args.push({ type, value: buf.readInt32BE(offset) });
+        offset += 4;
+        break;
+      case 'f':
+        args.push({ type, value: buf.readFloatBE(offset) });
+        offset += 4;
+        break;
+      case 's':
+      {
+        const str = readString(buf, offset);
+        args.push({ type, value: str.value });
+        offset = str.next;
+        break;
+      }
+      case 'b':
+      {
+        const size = buf.readInt32BE(offset);
+        if (size < 0 || offset + 4 + size > buf.length) { throw new Error('OSC blob overruns packet'); }
+        args.push({ type, value: Buffer.from(buf.subarray(offset + 4, offset + 4 + size)) });
+        offset += 4 + Math.ceil(size / 4) * 4;
+        break;
+      }
+      case 'T': args.push({ type, value: true });  break;
+      case 'F': args.push({ type, value: false }); break;
+      case 'N': args.push({ type, value: null });  break;
+      default:
+        throw new Error(`Unsupported OSC type tag: ${type}`);
+    }
+  }
+
+  return { address: address.value, args };
+}
+
+function decodeBundle(buf)
+{
+  const timetag  = decodeTimetag(buf, 8);
+  const elements = [];
+
+  let offset = 16;
+  while (offset < buf.length)
+  {
+    const size = buf.readInt32BE(offset);
+    if (size <= 0 || offset + 4 + size > buf.length) { throw new Error('OSC bundle element overruns packet'); }
+    elements.push(decodePacket(buf.subarray(offset + 4, offset + 4 + size)));
+    offset += 4 + size;
+  }
+
+  return { timetag, elements };
+}
+
+/*
+ * Returns { address, args } for a message or { timetag, elements } for a
+ * bundle; throws on anything malformed. Timetags come back as unix ms
+ * (null for "immediately").
+ */
+function decodePacket(buf)
+{
+  if (buf.length % 4 !== 0) { throw new Error('OSC packet size is not a multiple of 4'); }
+  if (buf.length >= 16 && buf.toString('ascii', 0, 8) === '#bundle\0') return decodeBundle(buf);
+  return decodeMessage(buf);
+}
+
+// Flatten a decoded packet into its messages, innermost bundles included.
+function packetMessages(packet)
+{
+  if (!Array.isArray(packet.elements)) return [packet];
+  return packet.elements.flatMap(packetMessages);
+}
+
+/* === short human form for logs: "i 1", "f 0.5 s clip" === */
+function formatArgs(args)
+{
+  return args.map((a) =>
+  {
+    if (a.type === 'b') return `b <${a.value.length} bytes>`;
+    if (a.value === true || a.value === false || a.value === null) return a.type;
+    return `${a.type} ${a.value}`;
+  }).join(' ');
+}
+
+module.exports = {
+  normalizeArgs, encodeMessage, encodeBundle, encodeTimetag,
+  decodePacket, packetMessages, formatArgs,
+};
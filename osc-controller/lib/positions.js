@@ -0,0 +1,175 @@
+/* === Nova Kukla === */
+/* === osc-controller: smoothed position streams (XY pad, sliders) === */
+
+const { checkMessage } = require('./validation');
+
+/*
+ * Continuous controls don't send OSC themselves. They post a target
+ * position (0-1 per axis) to the bridge, and the bridge eases the device
+ * towards it at a fixed rate. A flood of touch events only moves the
+ * target; the motors see at most rateHz messages. Per device in
+ * devices.json:
+ *
+ *   "positions": {
+ *     "look": { "address": "/gator/eye/look", "axes": ["x", "y"],
+ *               "min": -1, "max": 1, "smoothingMs": 120, "rateHz": 30 } }
+ *
+ * min / max are the device's range, either one number for every axis or
+ * one per axis ([-1, -0.5]); 0-1 from the page is mapped onto them and
+ * sent as one float per axis. smoothingMs is the time constant of the
+ * easing (0 = jump straight there). The address still has to pass the
+ * device's allowlist.
+ */
+
+const DEFAULTS = { axes: ['x'], min: 0, max: 1, smoothingMs: 120, rateHz: 30 };
+const SETTLE_EPSILON = 0.001;   // in 0-1 units: close enough to stop sending
+
+function perAxis(value, axes, what, where)
+{
+  const values = Array.isArray(value) ? value : axes.map(() => value);
+  if (values.length !== axes.length || values.some((v) => !Number.isFinite(v)))
+  {
+    throw new Error(`${where}: ${what} must be a number or one number per axis`);
+  }
+  return values;
+}
+
+/* === validate every device's "positions" block === */
+function loadPositionStreams(registry)
+{
+  const streams = {};   // "device/name" -> stream definition
+
+  for (const device of Object.values(registry.devices))
+  {
+    for (const [name, def] of Object.entries(device.positions || {}))
+    {
+      const where = `Device "${device.name}" position ${name}`;
+      const config = { ...DEFAULTS, ...def };
+      if (typeof config.address !== 'string' || !config.address.startsWith('/')) { throw new Error(`${where}: needs an OSC address`); }
+      if (!Array.isArray(config.axes) || config.axes.length === 0) { throw new Error(`${where}: axes must be a list of names`); }
+      if (!(config.rateHz > 0 && config.rateHz <= 100)) { throw new Error(`${where}: rateHz must be 1-100`); }
+      if (!(config.smoothingMs >= 0)) { throw new Error(`${where}: smoothingMs must be >= 0`); }
+
+      const min = perAxis(config.min, config.axes, 'min', where);
+      const max = perAxis(config.max, config.axes, 'max', where);
+
+      // both ends of the range must get through the allowlist
+      for (const end of [min, max])
+      {
+        const problem = checkMessage(device, config.address, end.map((value) => ({ type: 'f', value })));
+        if (problem) { throw new Error(`${where}: ${problem.error}`); }
+      }
+
+      streams[`${device.name}/${name}`] = {
+        device:      device.name,
+        name,
+        address:     config.address,
+        axes:        config.axes,
+        min,
+        max,
+        smoothingMs: config.smoothingMs,
+        rateHz:      config.rateHz,
+      };
+    }
+  }
+  return streams;
+}
+
+/*
+ * send(device name, address, args, context) writes one OSC message.
+ * onSettle(stream, summary) is called when a stream reaches its target,
+ * which is where the history gets one line per move instead of thirty a
+ * second. timers / now are injectable for tests.
+ */
+function createPositionEngine({ streams, send, onSettle = () => {}, timers = { setInterval, clearInterval }, now = Date.now })
+{
+  const state = {};   // "device/name" -> { current, target, timer, lastStep, by }
+
+  function toOsc(stream, values)
+  {
+    return values.map((v, i) => ({ type: 'f', value: stream.min[i] + v * (stream.max[i] - stream.min[i]) }));
+  }
+
+  function step(key)
+  {
+    const stream = streams[key];
+    const entry  = state[key];
+    const at     = now();
+    const dt     = at - entry.lastStep;
+    entry.lastStep = at;
+
+    // exponential easing; frame-rate independent, so a late timer just moves further
+    const alpha = stream.smoothingMs === 0 ? 1 : 1 - Math.exp(-dt / stream.smoothingMs);
+    entry.current = entry.current.map((c, i) => c + (entry.target[i] - c) * alpha);
+
+    const settled = entry.current.every((c, i) => Math.abs(entry.target[i] - c) < SETTLE_EPSILON);
+    if (settled) { entry.current = [...entry.target]; }
+
+    send(stream.device, stream.address, toOsc(stream, entry.current), { source: 'position', stream: stream.name, by: entry.by });
+
+    if (settled)
+    {
+      timers.clearInterval(entry.timer);
+      entry.timer = null;
+      onSettle(stream, { device: stream.device, stream: stream.name, address: stream.address, args: toOsc(stream, entry.current), by: entry.by });
+    }
+  }
+
+  /*
+   * Move a stream towards values (0-1 per axis, clamped). The first call
+   * for a stream jumps: we don't know where the device is until we've told it.
+   */
+  function set(deviceName, name, values, by = null)
+  {
+    const key    = `${deviceName}/${name}`;
+    const stream = streams[key];
+    if (!stream) { throw new Error(`No position stream ${name} on ${deviceName}`); }
+    if (!Array.isArray(values) || values.length !== stream.axes.length || values.some((v) => typeof v !== 'number' || Number.isNaN(v)))
+    {
+      throw new Error(`${name} takes ${stream.axes.length} number(s): ${stream.axes.join(', ')}`);
+    }
+
+    const target = values.map((v) => Math.min(1, Math.max(0, v)));
+    const entry  = state[key] || (state[key] = { current: [...target], target, timer: null, lastStep: now(), by });
+    entry.target = target;
+    entry.by     = by;
+
+    if (!entry.timer)
+    {
+      // the first step moves by one frame's worth straight away rather than waiting for the timer
+      const frameMs = Math.round(1000 / stream.rateHz);
+      entry.lastStep = now() - frameMs;
+      entry.timer = timers.setInterval(() => step(key), frameMs);
+      step(key);
+    }
+    return { device: stream.device, stream: name, target, current: entry.current };
+  }
+
+  function list()
+  {
+    return Object.values(streams).map((stream) =>
+    {
+      const entry = state[`${stream.device}/${stream.name}`];
+      return {
+        device:  stream.device,
+        name:    stream.name,
+        axes:    stream.axes,
+        current: entry ? entry.current : null,
+        moving:  Boolean(entry && entry.timer),
+      };
+    });
+  }
+
+  function stop()
+  {
+    for (const entry of Object.values(state))
+    {
+      if (entry.timer) { timers.clearInterval(entry.timer); }
+      entry.timer = null;
+    }
+  }
+
+  return { set, list, stop };
+}
+
+module.exports = { loadPositionStreams, createPositionEngine };
@@ -0,0 +1,301 @@
+/* === Nova Kukla === */
+/* === osc-controller: show schedule (timed cue runs) === */
+
+const fs   = require('fs');
+const path = require('path');
+
+/*
+ * config/schedule.json fires cues on cron-style rules:
+ *
+ * { "blackoutDates": ["2026-12-25", { "from": "2026-12-31", "to": "2027-01-02", "label": "closed" }],
+ *   "rules": [
+ *     { "id": "storm-daytime", "cue": "storm", "cron": "0-59/20 10-16 * * *", "label": "Storm every 20 min" },
+ *     { "id": "storm-friday",  "cue": "storm", "cron": "0 19 * * 5" } ] }
+ *
+ * cron is the usual five fields: minute hour day-of-month month day-of-week
+ * (0 or 7 = Sunday), each *, a number, a range (10-16), a list (1,15) or a
+ * step (0-59/20 is every 20 minutes). As in cron, when both day fields are
+ * restricted a day matching either one counts. Times are the bridge's
+ * local time (set TZ if the box isn't on building time).
+ *
+ * A rule with "enabled": false is listed on the hub but never fires. The
+ * shipped rules are all disabled, so a fresh checkout drives no devices
+ * until an operator turns one on.
+ *
+ * Nothing fires on a blackout date or while automation is paused. The
+ * pause switch is runtime state, not config: it is kept in a separate
+ * state file under data/ ({ "paused": true }) so a restart doesn't
+ * quietly resume and the tracked schedule.json never changes under git.
+ */
+
+const FIELDS = [
+  { name: 'minute',       min: 0, max: 59 },
+  { name: 'hour',         min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month',        min: 1, max: 12 },
+  { name: 'day of week',  min: 0, max: 7 },
+];
+
+const MINUTE_MS = 60 * 1000;
+const SEARCH_DAYS = 400;   // how far ahead nextRun() looks before giving up
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/* === "0-59/20 10-16 * * 1-5" -> sets of allowed values per field === */
+function parseCron(expr)
+{
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) { throw new Error(`cron "${expr}" needs 5 fields: minute hour day month weekday`); }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], expr));
+  // 7 is Sunday too
+  if (weekdays.values.has(7)) { weekdays.values.add(0); }
+
+  return { expr, minutes, hours, days, months, weekdays };
+}
+
+function parseField(part, { name, min, max }, expr)
+{
+  const values = new Set();
+  for (const item of part.split(','))
+  {
+    const m = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) { throw new Error(`cron "${expr}": bad ${name} "${item}"`); }
+
+    const from = m[1] === '*' ? min : Number(m[2]);
+    const to   = m[1] === '*' ? max : (m[3] !== undefined ? Number(m[3]) : (m[4] !== undefined ? max : from));
+    const step = m[4] !== undefined ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1)
+    {
+      throw new Error(`cron "${expr}": ${name} "${item}" is outside ${min}-${max}`);
+    }
+    for (let v = from; v <= to; v += step) { values.add(v); }
+  }
+  return { any: part === '*', values };
+}
+
+function dayMatches(cron, date)
+{
+  if (!cron.months.values.has(date.getMonth() + 1)) return false;
+
+  const dom = cron.days.values.has(date.getDate());
+  const dow = cron.weekdays.values.has(date.getDay());
+  if (cron.days.any && cron.weekdays.any) return true;
+  if (cron.days.any) return dow;
+  if (cron.weekdays.any) return dom;
+  return dom || dow;
+}
+
+function cronMatches(cron, date)
+{
+  return cron.minutes.values.has(date.getMinutes())
+    && cron.hours.values.has(date.getHours())
+    && dayMatches(cron, date);
+}
+
+// local calendar date, YYYY-MM-DD
+function localDay(date)
+{
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/*
+ * Loads config/schedule.json, and the pause switch from statePath when
+ * given. A missing file is an empty schedule (or not paused); cue names
+ * are checked against the loaded cues.
+ */
+function loadSchedule(filePath, cues, statePath = null)
+{
+  const paused = Boolean(statePath && fs.existsSync(statePath) && JSON.parse(fs.readFileSync(statePath, 'utf8')).paused);
+  if (!fs.existsSync(filePath)) return { paused, blackouts: [], rules: [] };
+
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+  const blackouts = (raw.blackoutDates || []).map((entry) =>
+  {
+    const range = typeof entry === 'string' ? { from: entry, to: entry } : { ...entry, to: entry.to || entry.from };
+    if (!DATE_PATTERN.test(range.from) || !DATE_PATTERN.test(range.to) || range.from > range.to)
+    {
+      throw new Error(`Blackout ${JSON.stringify(entry)} must be a YYYY-MM-DD date or { from, to }`);
+    }
+    return { from: range.from, to: range.to, label: range.label || null };
+  });
+
+  const ids = new Set();
+  const rules = (raw.rules || []).map((def, i) =>
+  {
+    const id = (def && def.id) || `rule-${i + 1}`;
+    if (ids.has(id)) { throw new Error(`Schedule rule id "${id}" is used twice`); }
+    ids.add(id);
+
+    if (!def || !cues[def.cue]) { throw new Error(`Schedule rule "${id}" needs a cue from cues.json`); }
+    return {
+      id,
+      cue:     def.cue,
+      label:   def.label || `${cues[def.cue].label} (${def.cron})`,
+      enabled: def.enabled !== false,
+      cron:    parseCron(def.cron),
+    };
+  });
+
+  return { paused, blackouts, rules };
+}
+
+/* === remember the pause switch in its state file; throws if it can't be written === */
+function saveSchedulePaused(statePath, paused)
+{
+  fs.mkdirSync(path.dirname(statePath), { recursive: true });
+  fs.writeFileSync(statePath, JSON.stringify({ paused }, null, 2) + '\n');
+}
+
+/*
+ * Checks the rules once a minute, on the minute, and calls runCue(rule)
+ * for each one that matches. Minutes missed while the process was busy or
+ * asleep are skipped, not caught up. timers / now are injectable so tests
+ * can step a fake clock through a show day.
+ */
+function createScheduler({ schedule, runCue, onChange = () => {}, timers = { setTimeout, clearTimeout }, now = Date.now })
+{
+  let paused    = schedule.paused;
+  let timer     = null;
+  let lastTick  = null;   // start of the last minute that was checked
+  const lastRuns = {};    // rule id -> { at, result }
+
+  function blackoutFor(date)
+  {
+    const day = localDay(date);
+    return schedule.blackouts.find((b) => day >= b.from && day <= b.to) || null;
+  }
+
+  function tick()
+  {
+    timer = null;
+    const minute = Math.floor(now() / MINUTE_MS) * MINUTE_MS;
+
+    // a timer that fires a hair early would otherwise check the same minute twice
+    if (minute !== lastTick)
+    {
+      lastTick = minute;
+      fire(new Date(minute));
+    }
+    arm();
+  }
+
+  function fire(date)
+  {
+    for (const rule of schedule.rules)
+    {
+      if (!rule.enabled || !cronMatches(rule.cron, date)) continue;
+
+      const blackout = blackoutFor(date);
+      let result;
+      if (paused) { result = 'paused'; }
+      else if (blackout) { result = 'blackout'; }
+      else
+      {
+        try { result = runCue(rule); }
+        catch (e)
+        {
+          console.error(`schedule ${rule.id}: ${e.message}`);
+          result = 'failed';
+        }
+      }
+
+      console.log(`schedule ${rule.id}: ${rule.cue} ${result}`);
+      lastRuns[rule.id] = { at: date.getTime(), result };
+      onChange(snapshot());
+    }
+  }
+
+  function arm()
+  {
+    const at = now();
+    timer = timers.setTimeout(tick, MINUTE_MS - (at % MINUTE_MS));
+  }
+
+  /* === first time at or after `from` that the rule will actually fire === */
+  function nextRun(rule, from = now())
+  {
+    const start = new Date(Math.ceil(from / MINUTE_MS) * MINUTE_MS);
+    const day   = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+
+    for (let d = 0; d < SEARCH_DAYS; d++, day.setDate(day.getDate() + 1))
+    {
+      if (!dayMatches(rule.cron, day) || blackoutFor(day)) continue;
+
+      for (const hour of [...rule.cron.hours.values].sort((a, b) => a - b))
+      {
+        for (const minute of [...rule.cron.minutes.values].sort((a, b) => a - b))
+        {
+          const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+          // DST gaps move a time onto another hour; skip it rather than fire at the wrong time
+          if (at.getHours() !== hour || at.getMinutes() !== minute) continue;
+          if (at.getTime() >= start.getTime()) return at.getTime();
+        }
+      }
+    }
+    return null;
+  }
+
+  /* === upcoming runs across all rules, soonest first (ignores the pause switch) === */
+  function upcoming(limit = 10)
+  {
+    const runs = [];
+    for (const rule of schedule.rules)
+    {
+      if (!rule.enabled) continue;
+      let from = now();
+      while (runs.filter((r) => r.rule === rule.id).length < limit)
+      {
+        const at = nextRun(rule, from);
+        if (at === null) break;
+        runs.push({ at, rule: rule.id, cue: rule.cue, label: rule.label });
+        from = at + MINUTE_MS;
+      }
+    }
+    return runs.sort((a, b) => a.at - b.at).slice(0, limit);
+  }
+
+  function setPaused(value)
+  {
+    paused = Boolean(value);
+    console.log(`schedule: automation ${paused ? 'paused' : 'resumed'}`);
+    onChange(snapshot());
+  }
+
+  function snapshot()
+  {
+    const today = blackoutFor(new Date(now()));
+    return {
+      paused,
+      blackoutToday: today,
+      blackouts:     schedule.blackouts,
+      rules:         schedule.rules.map((rule) => ({
+        id:      rule.id,
+        cue:     rule.cue,
+        label:   rule.label,
+        cron:    rule.cron.expr,
+        enabled: rule.enabled,
+        nextRun: rule.enabled ? nextRun(rule) : null,
+        lastRun: lastRuns[rule.id] || null,
+      })),
+    };
+  }
+
+  function start()
+  {
+    if (timer || schedule.rules.length === 0) return;
+    lastTick = Math.floor(now() / MINUTE_MS) * MINUTE_MS;   // don't fire for the minute we started in
+    arm();
+  }
+
+  function stop()
+  {
+    if (timer) { timers.clearTimeout(timer); }
+    timer = null;
+  }
+
+  return { start, stop, setPaused, isPaused: () => paused, nextRun, upcoming, snapshot };
+}
+
+module.exports = { parseCron, cronMatches, loadSchedule, saveSchedulePaused, createScheduler };
@@ -0,0 +1,226 @@
+/* === Nova Kukla === */
+/* === osc-controller: virtual devices for --simulate === */
+
+const { decodePacket, packetMessages, encodeMessage } = require('./osc');
+
+/*
+ * With --simulate the bridge sends nothing over the network: every packet
+ * for a device is handed to a virtual one here instead. Each keeps a log of
+ * what it received and a rough model of its state, and answers the way
+ * the real board does (heartbeat replies, eye position feedback), so the
+ * hub, controller pages and cues can be worked on away from the venue.
+ *
+ * The model is picked per device with "simulate" in devices.json, or
+ * guessed from the device:
+ *   eyes      a "feedback" block with left / right: the animatronic eyes
+ *   resolume  /composition/ addresses: which clip each layer is showing
+ *   log       anything else: the last value on each address
+ *
+ * These are sketches of the hardware for checking shows, not emulators;
+ * positions run -1 (left / down) to 1, EYE_STEP per button press.
+ */
+
+const LOG_LIMIT  = 100;
+const EYE_STEP   = 0.25;
+const CHANGE_MS  = 100;   // onChange at most this often; position streams send 30 a second
+
+function modelFor(device)
+{
+  if (device.simulate) return device.simulate;
+  if (device.feedback && device.feedback.left && device.feedback.right) return 'eyes';
+  if (device.prefixes.some((p) => p.startsWith('/composition/'))) return 'resolume';
+  return 'log';
+}
+
+function clamp(value)
+{
+  return Math.min(1, Math.max(-1, value));
+}
+
+/* === eyes: one horizontal position per eye, a shared vertical one, and idle / manual mode === */
+const eyes = {
+  initial: () => ({ left: 0, right: 0, vertical: 0, mode: 'idle' }),
+
+  // returns the feedback keys that changed
+  apply(state, address, args)
+  {
+    const pressed = args.length > 0 && args[0].value !== 0;
+    const moveEye = /^\/eye\/(left|right)\/(left|right)$/.exec(address);
+
+    if (moveEye)
+    {
+      if (!pressed) return [];
+      const [, eye, direction] = moveEye;
+      state[eye]  = clamp(state[eye] + (direction === 'left' ? -EYE_STEP : EYE_STEP));
+      state.mode  = 'manual';
+      return [eye, 'mode'];
+    }
+    if (address.endsWith('/eye/up') || address.endsWith('/eye/down'))
+    {
+      if (!pressed) return [];
+      state.vertical = clamp(state.vertical + (address.endsWith('/up') ? EYE_STEP : -EYE_STEP));
+      state.mode     = 'manual';
+      return ['vertical', 'mode'];
+    }
+    if (address.endsWith('/eye/look') && args.length === 2)
+    {
+      state.left     = clamp(args[0].value);
+      state.right    = clamp(args[0].value);
+      state.vertical = clamp(args[1].value);
+      state.mode     = 'manual';
+      return ['left', 'right', 'vertical', 'mode'];
+    }
+    if (address === '/eye/reset' && pressed)
+    {
+      Object.assign(state, { left: 0, right: 0, vertical: 0, mode: 'manual' });
+      return ['left', 'right', 'vertical', 'mode'];
+    }
+    if (address === '/eye/idle' && pressed)
+    {
+      state.mode = 'idle';
+      return ['mode'];
+    }
+    return [];
+  },
+
+  feedbackArgs: (state, key) => (key === 'mode' ? [{ type: 's', value: state.mode }] : [{ type: 'f', value: state[key] }]),
+};
+
+/* === resolume: clear / connect per layer; everything else is kept as a parameter value === */
+const resolume = {
+  initial: () => ({ layers: {}, params: {} }),
+
+  apply(state, address, args)
+  {
+    const pressed = args.length > 0 && args[0].value !== 0;
+    const clear   = /^\/composition\/layers\/(\d+)\/clear$/.exec(address);
+    const connect = /^\/composition\/layers\/(\d+)\/clips\/(\d+)\/connect$/.exec(address);
+
+    // Resolume triggers on 1 and treats 0 as the button coming back up
+    if (clear && pressed) { state.layers[clear[1]] = { clip: null }; }
+    else if (connect && pressed) { state.layers[connect[1]] = { clip: Number(connect[2]) }; }
+    else if (!clear && !connect) { state.params[address] = args.map((a) => a.value); }
+    return [];
+  },
+};
+
+const log = {
+  initial: () => ({ last: {} }),
+
+  apply(state, address, args)
+  {
+    state.last[address] = args.map((a) => a.value);
+    return [];
+  },
+};
+
+const MODELS = { eyes, resolume, log };
+
+/*
+ * reply(device, buf) carries a packet from a virtual device back into the
+ * bridge as if it had arrived over UDP. onChange() is called (throttled)
+ * when any device's log or state changes. timers / now are injectable.
+ */
+function createSimulator({ registry, reply, onChange = () => {}, timers = { setTimeout, clearTimeout }, now = Date.now })
+{
+  const devices = {};   // name -> { model, state, received, counts }
+  let changeTimer = null;
+
+  for (const device of Object.values(registry.devices))
+  {
+    const model = modelFor(device);
+    if (!MODELS[model]) { throw new Error(`Device "${device.name}": simulate must be one of ${Object.keys(MODELS).join(', ')}`); }
+    devices[device.name] = { model, state: MODELS[model].initial(), received: [], counts: {} };
+  }
+
+  function changed()
+  {
+    if (changeTimer) return;
+    changeTimer = timers.setTimeout(() =>
+    {
+      changeTimer = null;
+      onChange();
+    }, CHANGE_MS);
+  }
+
+  function send(device, address, args)
+  {
+    reply(device, encodeMessage(address, args));
+  }
+
+  function receive(device, message)
+  {
+    const sim   = devices[device.name];
+    const model = MODELS[sim.model];
+
+    // heartbeats are answered but kept out of the log; there's one every few seconds
+    if (device.health && message.address === device.health.ping)
+    {
+      send(device, device.health.reply, []);
+      return;
+    }
+
+    sim.received.unshift({ at: now(), address: message.address, args: message.args.map((a) => a.value) });
+    sim.received.length = Math.min(sim.received.length, LOG_LIMIT);
+    sim.counts[message.address] = (sim.counts[message.address] || 0) + 1;
+
+    for (const key of model.apply(sim.state, message.address, message.args))
+    {
+      const address = device.feedback && device.feedback[key];
+      if (address) { send(device, address, model.feedbackArgs(sim.state, key)); }
+    }
+    changed();
+  }
+
+  /*
+   * Stands in for the UDP send: callback(err) runs asynchronously, like
+   * dgram's, so history and console output come out in the same order.
+   */
+  function deliver(device, buf, callback = () => {})
+  {
+    let messages;
+    try { messages = packetMessages(decodePacket(buf)); }
+    catch (e)
+    {
+      setImmediate(() => callback(e));
+      return;
+    }
+    setImmediate(() =>
+    {
+      messages.forEach((message) => receive(device, message));
+      callback(null);
+    });
+  }
+
+  function snapshot()
+  {
+    return {
+      now: now(),
+      devices: Object.entries(devices).map(([name, sim]) => ({
+        name,
+        label:    registry.devices[name].label,
+        model:    sim.model,
+        state:    sim.state,
+        counts:   sim.counts,
+        received: sim.received,
+      })),
+    };
+  }
+
+  // back to power-on state; a single device, or all of them
+  function reset(name = null)
+  {
+    for (const [key, sim] of Object.entries(devices))
+    {
+      if (name && key !== name) continue;
+      sim.state    = MODELS[sim.model].initial();
+      sim.received = [];
+      sim.counts   = {};
+    }
+    changed();
+  }
+
+  return { deliver, snapshot, reset, has: (name) => Boolean(devices[name]) };
+}
+
+module.exports = { createSimulator };
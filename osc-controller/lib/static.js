@@ -0,0 +1,299 @@
+/* === Nova Kukla === */
+/* === osc-controller: static files from public/ === */
+
+const fs   = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+/*
+ * Serves the hub, controller pages, fonts and images. Requests are
+ * decoded and resolved inside root (symlinks included), so "..", "%2e%2e"
+ * and "..%2f" all stop at a 403. Dotfiles are never served.
+ *
+ * Caching: every response has a weak ETag (size + mtime) and Last-Modified,
+ * and a matching If-None-Match / If-Modified-Since gets a 304. Assets asked
+ * for with an explicit version (style.css?v=2) are cached for a year;
+ * everything else, pages included whatever their query string, is
+ * revalidated each time so a redeploy shows up on the tablets without
+ * clearing caches.
+ *
+ * Text-like files over COMPRESS_MIN_BYTES go out brotli or gzip when the
+ * client accepts it. Single byte ranges are honoured (uncompressed).
+ */
+
+const MIME_TYPES = {
+  '.html':  'text/html; charset=utf-8',
+  '.htm':   'text/html; charset=utf-8',
+  '.css':   'text/css; charset=utf-8',
+  '.js':    'text/javascript; charset=utf-8',
+  '.mjs':   'text/javascript; charset=utf-8',
+  '.json':  'application/json; charset=utf-8',
+  '.map':   'application/json; charset=utf-8',
+  '.txt':   'text/plain; charset=utf-8',
+  '.csv':   'text/csv; charset=utf-8',
+  '.xml':   'application/xml; charset=utf-8',
+  '.svg':   'image/svg+xml',
+  '.png':   'image/png',
+  '.jpg':   'image/jpeg',
+  '.jpeg':  'image/jpeg',
+  '.gif':   'image/gif',
+  '.webp':  'image/webp',
+  '.avif':  'image/avif',
+  '.ico':   'image/x-icon',
+  '.ttf':   'font/ttf',
+  '.otf':   'font/otf',
+  '.woff':  'font/woff',
+  '.woff2': 'font/woff2',
+  '.mp3':   'audio/mpeg',
+  '.wav':   'audio/wav',
+  '.ogg':   'audio/ogg',
+  '.mp4':   'video/mp4',
+  '.webm':  'video/webm',
+  '.pdf':   'application/pdf',
+  '.webmanifest': 'application/manifest+json',
+};
+const DEFAULT_MIME = 'application/octet-stream';
+
+const COMPRESSIBLE = /^(text\/|application\/(json|xml|manifest\+json)|image\/svg\+xml|font\/(ttf|otf))/;
+const COMPRESS_MIN_BYTES = 1024;
+
+const VERSIONED_MAX_AGE = 365 * 24 * 60 * 60;
+
+function mimeTypeFor(filePath)
+{
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || DEFAULT_MIME;
+}
+
+// only a non-empty ?v= on something that isn't a page earns the long cache
+function isVersioned(url, type)
+{
+  if (type.startsWith('text/html')) return false;
+  const query = String(url).split('#')[0].split('?')[1];
+  return Boolean(query && new URLSearchParams(query).get('v'));
+}
+
+function etagFor(stat)
+{
+  return `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+}
+
+/*
+ * Turns a request URL into an absolute path under root, or
+ * { status } when it can't be one. index is served for "/".
+ */
+function resolveRequestPath(root, url, index)
+{
+  const rawPath = String(url).split('?')[0].split('#')[0];
+
+  let decoded;
+  try { decoded = decodeURIComponent(rawPath); }
+  catch (e) { return { status: 400 }; }
+
+  if (decoded.includes('\0') || !decoded.startsWith('/')) return { status: 400 };
+
+  const relative = decoded === '/' ? index : decoded.slice(1);
+  const absPath  = path.resolve(root, relative);
+  if (absPath !== root && !absPath.startsWith(root + path.sep)) return { status: 403 };
+
+  // no .git, .env or editor droppings, even if someone copies them into public/
+  if (path.relative(root, absPath).split(path.sep).some((seg) => seg.startsWith('.'))) return { status: 404 };
+
+  return { absPath };
+}
+
+/* === "bytes=0-99", "bytes=100-" or "bytes=-100" -> { start, end }; null = ignore, false = unsatisfiable === */
+function parseRange(header, size)
+{
+  const m = String(header).match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (m[1] === '' && m[2] === '')) return null;   // multiple ranges, or nonsense: send the whole file
+
+  let start, end;
+  if (m[1] === '')
+  {
+    const suffix = Number(m[2]);
+    if (suffix === 0) return false;
+    start = Math.max(0, size - suffix);
+    end   = size - 1;
+  }
+  else
+  {
+    start = Number(m[1]);
+    end   = m[2] === '' ? size - 1 : Math.min(Number(m[2]), size - 1);
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
+
+// brotli first: smaller, and every browser on the tablets has it
+function pickEncoding(acceptEncoding)
+{
+  const accepted = String(acceptEncoding || '').split(',').map((part) =>
+  {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map((p) => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    return { name, q: q ? Number(q[1]) : 1 };
+  });
+
+  for (const encoding of ['br', 'gzip'])
+  {
+    const entry = accepted.find((a) => a.name === encoding) || accepted.find((a) => a.name === '*');
+    if (entry && entry.q > 0) return encoding;
+  }
+  return null;
+}
+
+function etagMatches(header, etag)
+{
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some((tag) => strip(tag) === strip(etag));
+}
+
+function createStaticHandler({ root, index = 'index.html' })
+{
+  const rootDir = path.resolve(root);
+  let realRoot = null;
+
+  function sendError(res, status)
+  {
+    const messages = { 400: 'Bad request', 403: 'Forbidden', 404: 'Not found', 405: 'Method not allowed', 416: 'Range not satisfiable', 500: 'Server error' };
+    if (!res.headersSent) { res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' }); }
+    res.end(messages[status] || 'Error');
+  }
+
+  async function serve(req, res)
+  {
+    if (req.method !== 'GET' && req.method !== 'HEAD')
+    {
+      res.setHeader('Allow', 'GET, HEAD');
+      sendError(res, 405);
+      return;
+    }
+
+    const resolved = resolveRequestPath(rootDir, req.url, index);
+    if (resolved.status)
+    {
+      sendError(res, resolved.status);
+      return;
+    }
+
+    let absPath, stat;
+    try
+    {
+      // a symlink inside public/ must not lead back out of it
+      realRoot = realRoot || await fs.promises.realpath(rootDir);
+      absPath  = await fs.promises.realpath(resolved.absPath);
+      if (!absPath.startsWith(realRoot + path.sep))
+      {
+        sendError(res, 403);
+        return;
+      }
+      stat = await fs.promises.stat(absPath);
+    }
+    catch (e)
+    {
+      sendError(res, 404);
+      return;
+    }
+    if (!stat.isFile())
+    {
+      sendError(res, 404);
+      return;
+    }
+
+    const type       = mimeTypeFor(absPath);
+    const versioned  = isVersioned(req.url, type);
+    const encoding   = COMPRESSIBLE.test(type) && stat.size >= COMPRESS_MIN_BYTES && !req.headers.range
+      ? pickEncoding(req.headers['accept-encoding'])
+      : null;
+    const baseTag    = etagFor(stat);
+    // each encoding is a different body, so it gets its own tag
+    const etag       = encoding ? baseTag.replace(/"$/, `-${encoding}"`) : baseTag;
+
+    const headers = {
+      'Content-Type':  type,
+      'ETag':          etag,
+      'Last-Modified': stat.mtime.toUTCString(),
+      'Cache-Control': versioned ? `public, max-age=${VERSIONED_MAX_AGE}, immutable` : 'no-cache',
+      'Accept-Ranges': 'bytes',
+    };
+    if (COMPRESSIBLE.test(type)) { headers['Vary'] = 'Accept-Encoding'; }
+
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+    const notModified = ifNoneMatch
+      ? etagMatches(ifNoneMatch, etag)
+      : !Number.isNaN(ifModifiedSince) && Math.floor(stat.mtimeMs / 1000) <= Math.floor(ifModifiedSince / 1000);
+    if (notModified)
+    {
+      delete headers['Content-Type'];
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    // If-Range: only honour the range if the file hasn't changed since the client's copy
+    let range = null;
+    if (req.headers.range && (!req.headers['if-range'] || etagMatches(req.headers['if-range'], baseTag)))
+    {
+      range = parseRange(req.headers.range, stat.size);
+      if (range === false)
+      {
+        res.setHeader('Content-Range', `bytes */${stat.size}`);
+        sendError(res, 416);
+        return;
+      }
+    }
+
+    let status = 200;
+    if (range)
+    {
+      status = 206;
+      headers['Content-Range']  = `bytes ${range.start}-${range.end}/${stat.size}`;
+      headers['Content-Length'] = range.end - range.start + 1;
+    }
+    else if (encoding)
+    {
+      headers['Content-Encoding'] = encoding;
+    }
+    else
+    {
+      headers['Content-Length'] = stat.size;
+    }
+
+    res.writeHead(status, headers);
+    if (req.method === 'HEAD')
+    {
+      res.end();
+      return;
+    }
+
+    const stream = fs.createReadStream(absPath, range ? { start: range.start, end: range.end } : {});
+    stream.on('error', (err) =>
+    {
+      console.error('Static read error:', absPath, err.message);
+      res.destroy(err);
+    });
+
+    if (encoding)
+    {
+      const compressor = encoding === 'br'
+        ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 } })
+        : zlib.createGzip();
+      stream.pipe(compressor).pipe(res);
+    }
+    else
+    {
+      stream.pipe(res);
+    }
+  }
+
+  return (req, res) => serve(req, res).catch((err) =>
+  {
+    console.error('Static error:', err);
+    sendError(res, 500);
+  });
+}
+
+module.exports = { createStaticHandler, resolveRequestPath, parseRange, pickEncoding, mimeTypeFor, isVersioned };
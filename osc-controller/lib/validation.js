@@ -0,0 +1,123 @@
+/* === Nova Kukla === */
+/* === osc-controller: /osc message checks, cooldowns and rate limits === */
+
+const { findAddressRule } = require('./devices');
+
+/*
+ * Each check returns null when the message may go out, or
+ * { status, error } (plus retryAfterMs for 429s) describing why not.
+ * The clock is injectable so cooldowns and buckets can be stepped in tests.
+ */
+
+/* === allowlist, type tags and value range for one message === */
+function checkMessage(device, address, args)
+{
+  const rule = findAddressRule(device, address);
+  if (!rule)
+  {
+    return { status: 403, error: `Address ${address} is not allowed for device ${device.name}` };
+  }
+
+  const types = args.map((a) => a.type).join('');
+  if (rule.types !== undefined && types !== rule.types)
+  {
+    return { status: 400, error: `${address} takes ",${rule.types}" arguments, got ",${types}"` };
+  }
+
+  for (const arg of args)
+  {
+    if (typeof arg.value !== 'number') continue;
+    if (rule.min !== undefined && arg.value < rule.min)
+    {
+      return { status: 400, error: `${address} value ${arg.value} is below the minimum ${rule.min}` };
+    }
+    if (rule.max !== undefined && arg.value > rule.max)
+    {
+      return { status: 400, error: `${address} value ${arg.value} is above the maximum ${rule.max}` };
+    }
+  }
+
+  return null;
+}
+
+/*
+ * Per-address cooldowns protect the eye motors from a stuck button. They
+ * are shared by every client: the motor doesn't care who pressed.
+ */
+function createCooldowns({ now = Date.now } = {})
+{
+  const lastSent = new Map();   // "device address" -> time of the last accepted send
+
+  function check(device, address)
+  {
+    const rule = findAddressRule(device, address);
+    if (!rule || !rule.cooldownMs) return null;
+
+    const key  = `${device.name} ${address}`;
+    const last = lastSent.get(key);
+    const wait = last === undefined ? 0 : last + rule.cooldownMs - now();
+    if (wait > 0)
+    {
+      return { status: 429, error: `${address} is cooling down, try again in ${wait}ms`, retryAfterMs: wait };
+    }
+    return null;
+  }
+
+  function note(device, address)
+  {
+    lastSent.set(`${device.name} ${address}`, now());
+  }
+
+  return { check, note };
+}
+
+/*
+ * Token bucket per client: `capacity` sends in a burst, refilled at
+ * `refillPerSec`. Buckets that have refilled to full are dropped so the
+ * map doesn't grow with every tablet that ever connected.
+ */
+const DEFAULT_RATE_LIMIT = { capacity: 20, refillPerSec: 10 };
+
+function createRateLimiter({ capacity = DEFAULT_RATE_LIMIT.capacity, refillPerSec = DEFAULT_RATE_LIMIT.refillPerSec, now = Date.now } = {})
+{
+  const buckets = new Map();   // client id -> { tokens, updated }
+
+  function refill(bucket, at)
+  {
+    bucket.tokens  = Math.min(capacity, bucket.tokens + ((at - bucket.updated) / 1000) * refillPerSec);
+    bucket.updated = at;
+  }
+
+  function take(clientId, count = 1)
+  {
+    const at = now();
+    const bucket = buckets.get(clientId) || { tokens: capacity, updated: at };
+    refill(bucket, at);
+
+    if (bucket.tokens < count)
+    {
+      buckets.set(clientId, bucket);
+      const retryAfterMs = Math.ceil(((count - bucket.tokens) / refillPerSec) * 1000);
+      return { status: 429, error: `Too many OSC messages, slow down (retry in ${retryAfterMs}ms)`, retryAfterMs };
+    }
+
+    bucket.tokens -= count;
+    buckets.set(clientId, bucket);
+
+    if (buckets.size > 500) { sweep(at); }
+    return null;
+  }
+
+  function sweep(at)
+  {
+    for (const [id, bucket] of buckets)
+    {
+      refill(bucket, at);
+      if (bucket.tokens >= capacity) { buckets.delete(id); }
+    }
+  }
+
+  return { take };
+}
+
+module.exports = { checkMessage, createCooldowns, createRateLimiter, DEFAULT_RATE_LIMIT };
@@ -0,0 +1,172 @@
+// choreo.js — record and play eye routines (choreographies) on a controller page.
+//
+// Markup hooks (ids):
+//   routineName       text input for the name of a new recording
+//   routineRecordBtn  toggles recording; presses on this page are captured by the bridge
+//   routineStatus     one line of status text
+//   routineList       <ul> filled with this device's saved routines
+//
+// The bridge does the timing: while recording, every /osc send this login
+// makes to the device is stored with its time. Playback runs on the bridge
+// too, so a loop keeps going if the tablet goes to sleep.
+
+const ROUTINE_POLL_MS = 2000;
+
+function startRoutines(device)
+{
+  let routines  = [];
+  let recording = null;   // { name, startedAt, steps } while this login is recording
+  let playing   = {};     // routine name -> sequence id running on the bridge
+
+  const nameInput = document.getElementById('routineName');
+  const recordBtn = document.getElementById('routineRecordBtn');
+  const statusEl  = document.getElementById('routineStatus');
+  const listEl    = document.getElementById('routineList');
+
+  function request(method, url, body)
+  {
+    return fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    })
+      .then((res) =>
+      {
+        if (res.status === 401) location.href = '/login.html?next=' + encodeURIComponent(location.pathname);
+        return res.json();
+      });
+  }
+
+  function seconds(ms)
+  {
+    return `${(ms / 1000).toFixed(1)}s`;
+  }
+
+  function render()
+  {
+    recordBtn.querySelector('.label-main').textContent = recording ? 'Stop Recording' : 'Record';
+    recordBtn.classList.toggle('recording', Boolean(recording));
+    nameInput.disabled = Boolean(recording);
+
+    if (recording) statusEl.textContent = `Recording ${recording.name}… tap the controls above`;
+
+    listEl.innerHTML = '';
+    for (const routine of routines.filter((r) => r.device === device))
+    {
+      const item = document.createElement('li');
+      item.className = 'routine-item';
+
+      const label = document.createElement('span');
+      label.className = 'routine-label';
+      label.textContent = `${routine.label} (${routine.steps} moves, ${seconds(routine.durationMs)})`;
+      item.appendChild(label);
+
+      const addButton = (text, onClick, disabled = false) =>
+      {
+        const btn = document.createElement('button');
+        btn.className = 'routine-btn';
+        btn.textContent = text;
+        btn.disabled = disabled;
+        btn.onclick = onClick;
+        item.appendChild(btn);
+      };
+
+      if (playing[routine.name])
+      {
+        addButton('Stop', () => stop(routine.name));
+      }
+      else
+      {
+        addButton('Play', () => play(routine.name, false), Boolean(recording));
+        addButton('Loop', () => play(routine.name, true), Boolean(recording) || !routine.canLoop);
+      }
+      listEl.appendChild(item);
+    }
+  }
+
+  function refresh()
+  {
+    Promise.all([request('GET', '/choreographies'), request('GET', '/sequences')])
+      .then(([list, sequences]) =>
+      {
+        routines  = list.choreographies || [];
+        recording = list.recording && list.recording.device === device ? list.recording : null;
+        playing   = {};
+        for (const seq of sequences.active || [])
+        {
+          if (seq.source === 'choreography') playing[seq.cue] = seq.id;
+        }
+        render();
+      })
+      .catch((err) => console.error(err));
+  }
+
+  function toggleRecording()
+  {
+    if (recording)
+    {
+      request('POST', '/choreographies/record/stop', {})
+        .then((data) =>
+        {
+          statusEl.textContent = data.ok ? `Saved ${data.choreography.label}` : data.error;
+          recording = null;
+          refresh();
+        })
+        .catch((err) => console.error(err));
+      return;
+    }
+
+    const name = nameInput.value.trim().toLowerCase().replace(/\s+/g, '-');
+    if (!name)
+    {
+      statusEl.textContent = 'Give the routine a name first';
+      return;
+    }
+
+    const start = (replace) => request('POST', '/choreographies/record', { name, device, replace });
+    start(false)
+      .then((data) =>
+      {
+        if (data.ok || !/already exists/.test(data.error || '')) return data;
+        return confirm(`Record over ${name}?`) ? start(true) : data;
+      })
+      .then((data) =>
+      {
+        if (!data.ok)
+        {
+          statusEl.textContent = data.error;
+          return;
+        }
+        recording = data.recording;
+        render();
+      })
+      .catch((err) => console.error(err));
+  }
+
+  function play(name, loop)
+  {
+    request('POST', `/choreographies/${encodeURIComponent(name)}/play`, { loop })
+      .then((data) =>
+      {
+        statusEl.textContent = data.ok ? `Playing ${name}${loop ? ' on loop' : ''}` : data.error;
+        refresh();
+      })
+      .catch((err) => console.error(err));
+  }
+
+  function stop(name)
+  {
+    // the eyes stay where the routine left them; Home re-centres them
+    request('POST', `/sequences/${encodeURIComponent(playing[name])}/cancel`, {})
+      .then(() =>
+      {
+        statusEl.textContent = `Stopped ${name}`;
+        refresh();
+      })
+      .catch((err) => console.error(err));
+  }
+
+  recordBtn.onclick = toggleRecording;
+  refresh();
+  setInterval(refresh, ROUTINE_POLL_MS);
+}
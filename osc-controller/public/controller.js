@@ -0,0 +1,251 @@
+// controller.js — wires up a generated controller page (/controllers/:device).
+//
+// The bridge renders each control with what it sends as data- attributes:
+//   data-control="button"  data-address  data-args='[{"type":"i","value":1}]'
+//   data-control="slider"  data-address  data-arg-type="f"   (an <input type="range">)
+//   data-control="toggle"  data-address  data-on  data-off    (an <input type="checkbox">)
+//   data-control="xy"      data-stream  data-spring             (a touch pad, see below)
+//   data-control="slider"  data-stream                          (a range input driving a stream)
+//
+// Stream controls post 0-1 positions to /positions/:device/:stream; the
+// bridge does the smoothing and sends the floats.
+//
+// Control lock (ids controlLockBtn, controlStatus): take control of the
+// device so other tablets' taps are refused (423) until this one releases
+// it, goes idle, or someone takes over.
+
+const SLIDER_SEND_MS   = 50;   // at most one slider message per this many ms while dragging
+const POSITION_SEND_MS = 40;   // same for position updates; the bridge eases in between
+
+function startController(device, options = {})
+{
+  const lockControl = startControlLock(device);
+
+  function checkResponse(res)
+  {
+    if (res.status === 401) location.href = '/login.html?next=' + encodeURIComponent(location.pathname);
+    if (res.status === 423) res.json().then((data) => lockControl.refused(data.error));
+  }
+
+  function sendOSC(address, args)
+  {
+    fetch('/osc', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ device, address, args })
+    })
+      .then(checkResponse)
+      .catch((err) => console.error(err));
+  }
+
+  // One request in flight per stream; moves made meanwhile collapse into the latest one.
+  function positionSender(stream)
+  {
+    let latest   = null;
+    let inFlight = false;
+    let lastSent = 0;
+    let timer    = null;
+
+    function flush()
+    {
+      if (inFlight || timer || latest === null) return;
+      const wait = POSITION_SEND_MS - (Date.now() - lastSent);
+      if (wait > 0)
+      {
+        timer = setTimeout(() =>
+        {
+          timer = null;
+          flush();
+        }, wait);
+        return;
+      }
+
+      const value = latest;
+      latest   = null;
+      inFlight = true;
+      lastSent = Date.now();
+      fetch(`/positions/${encodeURIComponent(device)}/${encodeURIComponent(stream)}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ value })
+      })
+        .then(checkResponse)
+        .catch((err) => console.error(err))
+        .finally(() =>
+        {
+          inFlight = false;
+          flush();
+        });
+    }
+
+    return (value) =>
+    {
+      latest = value;
+      flush();
+    };
+  }
+
+  for (const el of document.querySelectorAll('[data-control="button"]'))
+  {
+    el.addEventListener('click', () => sendOSC(el.dataset.address, JSON.parse(el.dataset.args)));
+  }
+
+  // throttled while dragging, and the final position always goes out
+  for (const el of document.querySelectorAll('[data-control="slider"]:not([data-stream])'))
+  {
+    let lastSent = 0;
+    let trailing = null;
+
+    const send = () =>
+    {
+      const raw = Number(el.value);
+      const value = el.dataset.argType === 'i' ? Math.round(raw) : raw;
+      lastSent = Date.now();
+      sendOSC(el.dataset.address, [{ type: el.dataset.argType, value }]);
+    };
+
+    el.addEventListener('input', () =>
+    {
+      clearTimeout(trailing);
+      const wait = SLIDER_SEND_MS - (Date.now() - lastSent);
+      if (wait <= 0) send();
+      else trailing = setTimeout(send, wait);
+    });
+  }
+
+  for (const el of document.querySelectorAll('[data-control="toggle"]'))
+  {
+    el.addEventListener('change', () =>
+    {
+      const value = Number(el.checked ? el.dataset.on : el.dataset.off);
+      sendOSC(el.dataset.address, [{ type: 'i', value }]);
+    });
+  }
+
+  for (const el of document.querySelectorAll('[data-control="slider"][data-stream]'))
+  {
+    const send = positionSender(el.dataset.stream);
+    el.addEventListener('input', () => send([Number(el.value)]));
+  }
+
+  // x runs 0 (left) to 1 (right), y 0 (bottom) to 1 (top)
+  for (const pad of document.querySelectorAll('[data-control="xy"]'))
+  {
+    const send = positionSender(pad.dataset.stream);
+    const dot  = pad.querySelector('.xy-dot');
+    let dragging = false;
+
+    const place = (x, y) =>
+    {
+      dot.style.left = `${x * 100}%`;
+      dot.style.top  = `${(1 - y) * 100}%`;
+    };
+
+    const moveTo = (event) =>
+    {
+      const rect = pad.getBoundingClientRect();
+      const x = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+      const y = Math.min(1, Math.max(0, 1 - (event.clientY - rect.top) / rect.height));
+      place(x, y);
+      send([x, y]);
+    };
+
+    pad.addEventListener('pointerdown', (event) =>
+    {
+      dragging = true;
+      pad.setPointerCapture(event.pointerId);
+      moveTo(event);
+    });
+    pad.addEventListener('pointermove', (event) => { if (dragging) moveTo(event); });
+
+    const release = () =>
+    {
+      if (!dragging) return;
+      dragging = false;
+      if (pad.dataset.spring === 'true')
+      {
+        place(0.5, 0.5);
+        send([0.5, 0.5]);
+      }
+    };
+    pad.addEventListener('pointerup', release);
+    pad.addEventListener('pointercancel', release);
+
+    place(0.5, 0.5);
+  }
+
+  startLiveFeedback(device, { onLocks: lockControl.update });
+  if (options.routines) startRoutines(device);
+}
+
+function startControlLock(device)
+{
+  let mySession = null;   // this login's id, from GET /control
+  let lock      = null;   // who holds this device, if anyone
+  let idleMs    = 0;
+
+  const button   = document.getElementById('controlLockBtn');
+  const statusEl = document.getElementById('controlStatus');
+
+  function render()
+  {
+    const mine = lock && lock.session === mySession;
+    const label = mine ? 'Release Control' : lock ? `Take Over from ${lock.user}` : 'Take Control';
+    button.querySelector('.label-main').textContent = label;
+    button.classList.toggle('recording', Boolean(lock) && !mine);
+
+    if (mine) statusEl.textContent = `You have control; it lapses after ${Math.round(idleMs / 60000)} min without a tap`;
+    else if (lock) statusEl.textContent = `${lock.user} has control; your taps are refused until you take over`;
+    else statusEl.textContent = `Anyone can drive ${device}`;
+  }
+
+  function update(snapshot)
+  {
+    lock   = snapshot.locks[device] || null;
+    idleMs = snapshot.idleMs;
+    render();
+  }
+
+  function post(url, body)
+  {
+    return fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+      .then((res) =>
+      {
+        if (res.status === 401) location.href = '/login.html?next=' + encodeURIComponent(location.pathname);
+        return res.json();
+      });
+  }
+
+  button.onclick = () =>
+  {
+    const mine = lock && lock.session === mySession;
+    if (lock && !mine && !confirm(`Take control of ${device} from ${lock.user}?`)) return;
+
+    const request = mine
+      ? post(`/control/${encodeURIComponent(device)}/release`, {})
+      : post(`/control/${encodeURIComponent(device)}`, { takeover: Boolean(lock) });
+    request
+      .then((data) => { if (!data.ok) statusEl.textContent = data.error; })
+      .catch((err) => console.error(err));
+  };
+
+  fetch('/control')
+    .then((res) => res.json())
+    .then((data) =>
+    {
+      if (!data.ok) return;
+      mySession = data.session;
+      update(data);
+    })
+    .catch((err) => console.error(err));
+
+  return {
+    update,
+    // a send bounced because someone else has control
+    refused: (error) => { statusEl.textContent = error; }
+  };
+}
@@ -0,0 +1,155 @@
+// live.js — live feedback from the OSC bridge (GET /events), shared by the hub and controllers.
+//
+// Markup hooks:
+//   data-device-status="snail"  gets .online / .offline; a .status-label inside gets the text
+//   data-device-card="snail"    gets .unreachable while the bridge's heartbeat says offline
+//   data-feedback="left"        text set to the latest value the page's device sent on that key
+//   data-device-lock="snail"    text set to who has control of the device, empty while nobody does
+//   data-device-activity="snail" text set to the last command anyone sent the device, and who sent it
+//
+// options.onHealth(statusByDevice) is called whenever a heartbeat status changes.
+// options.onSchedule(schedule) gets the bridge's automation state (GET /schedule without "upcoming").
+// options.onMidi(status) gets the MIDI mapping state (GET /midi) when learn mode starts, ends or binds a pad.
+// options.onSequences(status) gets running cues (GET /sequences) whenever one starts or ends.
+// options.onLocks(snapshot) gets the control locks (GET /control without "session") whenever one changes.
+
+const LIVE_STALE_MS = 5000;
+
+function startLiveFeedback(device, options = {})
+{
+  const lastSeen = {};   // device name -> Date.now() on this tablet when last heard
+  const health   = {};   // device name -> { status, latencyMs } from the bridge's pings
+  let locks      = {};   // device name -> { user, session, since, expires } while someone has control
+
+  function formatValue(args)
+  {
+    return args.map((v) => (typeof v === 'number' ? v.toFixed(2) : String(v))).join(' ');
+  }
+
+  function setReadout(key, args)
+  {
+    if (!key) return;
+    for (const el of document.querySelectorAll(`[data-feedback="${key}"]`))
+    {
+      el.textContent = formatValue(args);
+    }
+  }
+
+  function render()
+  {
+    for (const el of document.querySelectorAll('[data-device-status]'))
+    {
+      const name   = el.dataset.deviceStatus;
+      const seen   = lastSeen[name];
+      const age    = seen ? Date.now() - seen : null;
+      const ping   = health[name] || { status: 'unmonitored' };
+      const online = ping.status === 'online' || (ping.status !== 'offline' && age !== null && age < LIVE_STALE_MS);
+
+      el.classList.toggle('online', online);
+      el.classList.toggle('offline', !online);
+
+      const label = el.querySelector('.status-label');
+      if (!label) continue;
+      if (ping.status === 'offline') label.textContent = 'Unreachable';
+      else if (ping.status === 'online') label.textContent = `Online (${ping.latencyMs} ms)`;
+      else if (online) label.textContent = 'Live';
+      else if (seen) label.textContent = `Last heard ${Math.round(age / 1000)}s ago`;
+      else label.textContent = 'No feedback yet';
+    }
+
+    for (const el of document.querySelectorAll('[data-device-card]'))
+    {
+      const ping = health[el.dataset.deviceCard];
+      el.classList.toggle('unreachable', Boolean(ping && ping.status === 'offline'));
+    }
+
+    for (const el of document.querySelectorAll('[data-device-lock]'))
+    {
+      const lock = locks[el.dataset.deviceLock];
+      el.textContent = lock ? `${lock.user} has control` : '';
+    }
+  }
+
+  function setHealth(update)
+  {
+    const before = health[update.device] && health[update.device].status;
+    health[update.device] = { status: update.status, latencyMs: update.latencyMs };
+    return before !== update.status;
+  }
+
+  function notifyHealth()
+  {
+    if (!options.onHealth) return;
+    const statuses = {};
+    for (const [name, h] of Object.entries(health)) { statuses[name] = h.status; }
+    options.onHealth(statuses);
+  }
+
+  const source = new EventSource('/events');
+
+  source.addEventListener('state', (e) =>
+  {
+    const { now, devices } = JSON.parse(e.data);
+    for (const [name, entry] of Object.entries(devices))
+    {
+      lastSeen[name] = Date.now() - (now - entry.lastSeen);
+      if (name !== device) continue;
+      for (const update of Object.values(entry.addresses)) { setReadout(update.key, update.args); }
+    }
+    render();
+  });
+
+  // a list on connect, then one device at a time
+  source.addEventListener('health', (e) =>
+  {
+    const data = JSON.parse(e.data);
+    const changed = (Array.isArray(data) ? data : [data]).map(setHealth).some(Boolean);
+    if (changed || Array.isArray(data)) { notifyHealth(); }
+    render();
+  });
+
+  source.addEventListener('schedule', (e) =>
+  {
+    if (options.onSchedule) { options.onSchedule(JSON.parse(e.data)); }
+  });
+
+  source.addEventListener('midi', (e) =>
+  {
+    if (options.onMidi) { options.onMidi(JSON.parse(e.data)); }
+  });
+
+  source.addEventListener('sequences', (e) =>
+  {
+    if (options.onSequences) { options.onSequences(JSON.parse(e.data)); }
+  });
+
+  source.addEventListener('locks', (e) =>
+  {
+    const snapshot = JSON.parse(e.data);
+    locks = snapshot.locks;
+    if (options.onLocks) { options.onLocks(snapshot); }
+    render();
+  });
+
+  // what anyone (or any cue) just sent, so every tablet sees the same show
+  source.addEventListener('command', (e) =>
+  {
+    const command = JSON.parse(e.data);
+    const text = `${command.user || command.source}: ${command.address} ${formatValue(command.args.map((a) => a.value))}`;
+    for (const el of document.querySelectorAll(`[data-device-activity="${command.device}"]`))
+    {
+      el.textContent = text;
+    }
+  });
+
+  source.addEventListener('osc', (e) =>
+  {
+    const update = JSON.parse(e.data);
+    lastSeen[update.device] = Date.now();
+    if (update.device === device) { setReadout(update.key, update.args); }
+    render();
+  });
+
+  render();
+  setInterval(render, 1000);
+}
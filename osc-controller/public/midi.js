@@ -0,0 +1,224 @@
+// midi.js — forwards a USB MIDI pad controller plugged into the hub tablet to the bridge (Web MIDI).
+//
+// Markup hooks (ids):
+//   midiPanel        hidden unless this login may use MIDI (tech and up)
+//   midiConnectBtn   asks the browser for MIDI access; Chrome / Edge only
+//   midiStatus       one line of status text (inputs, last message, learn mode)
+//   midiLearnAction  <select> of cue actions to bind; filled from GET /cues
+//   midiLearnBtn     arms learn mode on the bridge: the next pad pressed gets the action
+//   midiMappingList  <ul> of the bridge's mappings, each with a Remove button
+//
+// The mapping itself lives on the bridge (config/midi.json), so pads behave
+// the same from a booth controller on the bridge's own MIDI port. Knob
+// mappings that send OSC directly are written in that file by hand.
+
+const MIDI_CC_SEND_MS = 40;   // knob turns collapse to one message per CC per this many ms
+
+function startMidi()
+{
+  let status   = null;       // GET /midi
+  let inputs   = [];         // names of connected MIDI inputs
+  let pending  = new Map();  // "status/number" -> latest CC bytes waiting to go out
+  let ccTimer  = null;
+
+  const panel      = document.getElementById('midiPanel');
+  const connectBtn = document.getElementById('midiConnectBtn');
+  const statusEl   = document.getElementById('midiStatus');
+  const actionEl   = document.getElementById('midiLearnAction');
+  const learnBtn   = document.getElementById('midiLearnBtn');
+  const listEl     = document.getElementById('midiMappingList');
+
+  function request(method, url, body)
+  {
+    return fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    })
+      .then((res) =>
+      {
+        if (res.status === 401) location.href = '/login.html';
+        return res.json();
+      });
+  }
+
+  function describeAction(action)
+  {
+    if (action.type === 'cue') return `run ${action.cue}`;
+    if (action.type === 'stop') return `stop ${action.cue}`;
+    return `${action.device} ${action.address}`;
+  }
+
+  function render()
+  {
+    const learning = status && status.learning && status.learning.expires > Date.now() ? status.learning : null;
+    learnBtn.querySelector('.label-main').textContent = learning ? 'Cancel Learn' : 'Learn Pad';
+    learnBtn.classList.toggle('recording', Boolean(learning));
+
+    if (learning) statusEl.textContent = `Press a pad or turn a knob to bind "${describeAction(learning.action)}"…`;
+    else if (status && status.lastMessage) statusEl.textContent = `Last: ${status.lastMessage.text}`;
+    else if (inputs.length > 0) statusEl.textContent = `Listening on ${inputs.join(', ')}`;
+    else if (status && status.input) statusEl.textContent = `Bridge reads ${status.input}`;
+    else statusEl.textContent = 'No MIDI input connected';
+
+    listEl.innerHTML = '';
+    for (const mapping of (status && status.mappings) || [])
+    {
+      const item = document.createElement('li');
+      item.className = 'routine-item';
+
+      const label = document.createElement('span');
+      label.className = 'routine-label';
+      const channel = mapping.match.channel ? ` ch${mapping.match.channel}` : '';
+      label.textContent = `${mapping.match.type} ${mapping.match.number}${channel}: ${mapping.label} (${describeAction(mapping.action)})`;
+      item.appendChild(label);
+
+      const remove = document.createElement('button');
+      remove.className = 'routine-btn';
+      remove.textContent = 'Remove';
+      remove.onclick = () =>
+      {
+        request('DELETE', `/midi/mappings/${encodeURIComponent(mapping.id)}`)
+          .then(refresh)
+          .catch((err) => console.error(err));
+      };
+      item.appendChild(remove);
+      listEl.appendChild(item);
+    }
+  }
+
+  function refresh()
+  {
+    return request('GET', '/midi')
+      .then((data) =>
+      {
+        if (!data.ok) return;   // floor logins don't get MIDI
+        panel.hidden = false;
+        status = data;
+        render();
+      })
+      .catch((err) => console.error(err));
+  }
+
+  function send(messages)
+  {
+    request('POST', '/midi', { messages })
+      .then((data) =>
+      {
+        const failed = (data.results || []).find((r) => r.error);
+        if (!data.ok || failed) statusEl.textContent = data.error || failed.error;
+        if ((data.results || []).some((r) => r.learned)) refresh();
+      })
+      .catch((err) => console.error(err));
+  }
+
+  function flushControlChanges()
+  {
+    ccTimer = null;
+    if (pending.size === 0) return;
+    const messages = [...pending.values()];
+    pending = new Map();
+    send(messages);
+  }
+
+  // Note-ons go straight out; note-offs are dropped (nothing is mapped to them); CCs are throttled.
+  function onMessage(event)
+  {
+    const [statusByte, number, value] = event.data;
+    const kind = statusByte & 0xf0;
+
+    if (kind === 0x90 && value > 0)
+    {
+      send([[statusByte, number, value]]);
+    }
+    else if (kind === 0xb0)
+    {
+      pending.set(`${statusByte}/${number}`, [statusByte, number, value]);
+      if (!ccTimer) ccTimer = setTimeout(flushControlChanges, MIDI_CC_SEND_MS);
+    }
+    else
+    {
+      return;
+    }
+
+    if (status) status.lastMessage = { text: `${kind === 0xb0 ? 'cc' : 'noteon'} ch${(statusByte & 0x0f) + 1} #${number} = ${value}` };
+    render();
+  }
+
+  function connect()
+  {
+    if (!navigator.requestMIDIAccess)
+    {
+      statusEl.textContent = 'This browser has no Web MIDI; use Chrome or plug the pads into the bridge';
+      return;
+    }
+
+    navigator.requestMIDIAccess()
+      .then((access) =>
+      {
+        const attach = () =>
+        {
+          inputs = [];
+          for (const input of access.inputs.values())
+          {
+            input.onmidimessage = onMessage;
+            inputs.push(input.name);
+          }
+          connectBtn.hidden = inputs.length > 0;
+          render();
+        };
+        access.onstatechange = attach;
+        attach();
+      })
+      .catch((err) => { statusEl.textContent = `MIDI access refused: ${err.message}`; });
+  }
+
+  function toggleLearn()
+  {
+    if (status && status.learning && status.learning.expires > Date.now())
+    {
+      request('POST', '/midi/learn/cancel', {}).then(refresh).catch((err) => console.error(err));
+      return;
+    }
+
+    const [type, cue] = actionEl.value.split(':');
+    const label = actionEl.options[actionEl.selectedIndex].textContent;
+    request('POST', '/midi/learn', { action: { type, cue }, label })
+      .then((data) =>
+      {
+        if (!data.ok) statusEl.textContent = data.error;
+        refresh();
+      })
+      .catch((err) => console.error(err));
+  }
+
+  request('GET', '/cues')
+    .then((data) =>
+    {
+      actionEl.innerHTML = '';
+      for (const cue of data.cues || [])
+      {
+        for (const [type, verb] of [['cue', 'Run'], ['stop', 'Stop']])
+        {
+          const option = document.createElement('option');
+          option.value = `${type}:${cue.name}`;
+          option.textContent = `${verb} ${cue.label || cue.name}`;
+          actionEl.appendChild(option);
+        }
+      }
+    })
+    .catch((err) => console.error(err));
+
+  connectBtn.onclick = connect;
+  learnBtn.onclick = toggleLearn;
+  refresh();
+
+  return {
+    // live.js passes along the bridge's 'midi' events
+    update(data)
+    {
+      status = { ...status, ...data };
+      render();
+    }
+  };
+}
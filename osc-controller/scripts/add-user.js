@@ -0,0 +1,36 @@
+/* === Nova Kukla === */
+/* === osc-controller: add or update a hub login === */
+
+/*
+ * Usage (from osc-controller/):
+ *   npm run add-user -- <name> <floor|tech|admin> <pin>
+ *
+ * Writes config/users.json (or OSC_USERS_FILE) with the PIN hashed.
+ */
+
+const fs   = require('fs');
+const path = require('path');
+
+const { ROLES, hashPin } = require('../lib/auth');
+
+const USERS_FILE = process.env.OSC_USERS_FILE || path.join(__dirname, '..', 'config', 'users.json');
+
+const [name, role, pin] = process.argv.slice(2);
+
+if (!name || !ROLES.includes(role) || !pin)
+{
+  console.error(`Usage: npm run add-user -- <name> <${ROLES.join('|')}> <pin>`);
+  process.exit(1);
+}
+if (String(pin).length < 4)
+{
+  console.error('PIN must be at least 4 characters');
+  process.exit(1);
+}
+
+const data = fs.existsSync(USERS_FILE) ? JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')) : { users: {} };
+const existed = Boolean(data.users[name]);
+data.users[name] = { role, pin: hashPin(pin) };
+
+fs.writeFileSync(USERS_FILE, JSON.stringify(data, null, 2) + '\n');
+console.log(`${existed ? 'Updated' : 'Added'} ${name} (${role}) in ${USERS_FILE}`);
@@ -0,0 +1,67 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: the append-only history === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+
+const { createAuditLog } = require('../lib/audit');
+const { createFakeClock, tempDir } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function openLog(t, options = {})
+{
+  const dir   = tempDir(t);
+  const clock = createFakeClock();
+  const audit = createAuditLog({ dir, now: clock.now, ...options });
+  t.after(() => audit.close());
+  return { dir, clock, audit };
+}
+
+test('a query sees lines appended just before it, newest first and filtered', async (t) =>
+{
+  const { clock, audit } = openLog(t);
+
+  audit.append({ type: 'send', user: 'ana', device: 'snail', address: '/eye/left/left', args: [{ type: 'i', value: 1 }], result: 'sent' });
+  await clock.advance(10);
+  audit.append({ type: 'send', user: 'ted', device: 'resolume', address: '/composition/layers/1/clear', args: [{ type: 'b', value: Buffer.from([1, 2]) }], result: 'sent' });
+  await clock.advance(10);
+  audit.append({ type: 'send', user: 'ana', device: 'snail', address: '/eye/idle', result: 'rejected', error: 'cooling down' });
+
+  // no waiting for the write stream: query flushes it first
+  const all = await audit.query();
+  assert.deepEqual(all.map((e) => e.address), ['/eye/idle', '/composition/layers/1/clear', '/eye/left/left']);
+  assert.equal(all[2].ts, new Date(clock.now() - 20).toISOString());
+  assert.deepEqual(all[1].args, [{ type: 'b', value: 'AQI=' }], 'blobs are stored as base64');
+
+  assert.equal((await audit.query({ user: 'ana' })).length, 2);
+  assert.equal((await audit.query({ address: '/eye/' })).length, 2);
+  assert.equal((await audit.query({ device: 'snail', result: 'sent' })).length, 1);
+  assert.deepEqual((await audit.query({ limit: 1 })).map((e) => e.address), ['/eye/idle']);
+  assert.deepEqual((await audit.query({ from: clock.now() - 15, to: clock.now() - 5 })).map((e) => e.user), ['ted']);
+  await assert.rejects(audit.query({ from: 'yesterday' }), /ms timestamps or ISO dates/);
+});
+
+test('one file per day, old days pruned and torn lines skipped', async (t) =>
+{
+  const { dir, clock, audit } = openLog(t, { retainDays: 2 });
+  fs.writeFileSync(path.join(dir, 'history-2026-05-01.jsonl'), '{"ts":"2026-05-01T12:00:00.000Z","type":"send"}\n');
+
+  audit.append({ type: 'cue', action: 'run', cue: 'storm' });
+  await clock.advance(DAY);
+  audit.append({ type: 'cue', action: 'run', cue: 'calm' });
+  await audit.flush();
+  fs.appendFileSync(path.join(dir, 'history-2026-06-02.jsonl'), '{"ts":"2026-06-02T12:');
+
+  const entries = await audit.query({ from: 0 });
+  assert.deepEqual(entries.map((e) => e.cue), ['calm', 'storm']);
+
+  // pruning runs in the background on rotation
+  for (let i = 0; i < 50 && fs.existsSync(path.join(dir, 'history-2026-05-01.jsonl')); i++)
+  {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.deepEqual(fs.readdirSync(dir).sort(), ['history-2026-06-01.jsonl', 'history-2026-06-02.jsonl']);
+});
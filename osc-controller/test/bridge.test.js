@@ -0,0 +1,479 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: the bridge over HTTP and UDP, in-process === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+
+const { createBridge } = require('../lib/bridge');
+const { hashPin } = require('../lib/auth');
+const { encodeMessage } = require('../lib/osc');
+const { createFakeClock, tempDir, writeDevices, writeJson, captureUdp, udpResponder, request, quiet } = require('./helpers');
+
+const USERS = { ana: { role: 'floor', pin: '1111' }, ted: { role: 'tech', pin: '2222' }, ada: { role: 'admin', pin: '3333' } };
+
+/*
+ * A bridge on free ports with every device pointed at a capture socket,
+ * a fake clock, and its config and everything it writes (data/: state and
+ * history) kept in a temp dir. login(user) resolves to a session cookie.
+ */
+async function startBridge(t, options = {})
+{
+  quiet(t);
+  const dir   = tempDir(t);
+  const udp   = await captureUdp(t);
+  const clock = createFakeClock();
+
+  const users = {};
+  for (const [name, { role, pin }] of Object.entries(USERS)) { users[name] = { role, pin: hashPin(pin) }; }
+
+  const bridge = createBridge({
+    devicesFile:        writeDevices(dir, udp.port, options.devices),
+    usersFile:          writeJson(dir, 'users.json', { users }),
+    choreographiesFile: path.join(dir, 'choreographies.json'),
+    scheduleFile:       path.join(dir, 'schedule.json'),
+    midiFile:           path.join(dir, 'midi.json'),
+    stateDir:           path.join(dir, 'data'),
+    oscListenPort:      0,
+    timers:             clock,
+    now:                clock.now,
+    ...options.bridge,
+  });
+  const port = await bridge.listen(0);
+  t.after(() => bridge.close());
+
+  async function login(user)
+  {
+    const res = await request(port, 'POST', '/login', { body: { username: user, pin: USERS[user].pin } });
+    assert.equal(res.status, 200);
+    return res.headers.get('set-cookie').split(';')[0];
+  }
+
+  return { dir, port, udp, clock, bridge, login, send: (cookie, body) => request(port, 'POST', '/osc', { cookie, body }) };
+}
+
+// bridge options whose data/ is a plain file, so every state save fails
+function unwritableState(t)
+{
+  const dir = tempDir(t);
+  fs.writeFileSync(path.join(dir, 'data'), 'not a directory');
+  return { stateDir: path.join(dir, 'data'), historyDir: path.join(dir, 'history') };
+}
+
+test('logins, roles and protected pages', async (t) =>
+{
+  const { port, login } = await startBridge(t);
+
+  assert.equal((await request(port, 'POST', '/osc', { body: { device: 'snail', address: '/eye/idle', value: 1 } })).status, 401);
+  assert.equal((await request(port, 'POST', '/login', { body: { username: 'ana', pin: '9999' } })).status, 401);
+
+  const ana = await login('ana');
+  const me = await request(port, 'GET', '/me', { cookie: ana });
+  assert.equal(me.body.user, 'ana');
+  assert.equal(me.body.role, 'floor');
+
+  const storm = await request(port, 'POST', '/cues/storm/run', { cookie: ana });
+  assert.equal(storm.status, 403);
+  assert.match(storm.body.error, /needs the tech role/);
+
+  const page = await request(port, 'GET', '/controllers/snail');
+  assert.equal(page.status, 302);
+  assert.equal(page.headers.get('location'), '/login.html?next=%2Fcontrollers%2Fsnail');
+  assert.equal((await request(port, 'GET', '/')).status, 302);
+  assert.equal((await request(port, 'GET', '/login.html')).status, 200);
+
+  const controller = await request(port, 'GET', '/controllers/snail', { cookie: ana });
+  assert.equal(controller.status, 200);
+  assert.match(controller.body, /Snail Eye Controller/);
+  assert.equal((await request(port, 'GET', '/controllers/nope', { cookie: ana })).status, 404);
+  assert.equal((await request(port, 'GET', '/becEyes/snail.html', { cookie: ana })).headers.get('location'), '/controllers/snail');
+
+  await request(port, 'POST', '/logout', { cookie: ana });
+  assert.equal((await request(port, 'GET', '/me', { cookie: ana })).status, 401);
+});
+
+test('bodies that are not objects and broken cookies get answers, not crashes', async (t) =>
+{
+  const { port, login } = await startBridge(t);
+
+  assert.equal((await request(port, 'POST', '/login', { body: null })).status, 400);
+  const ana = await login('ana');
+  assert.equal((await request(port, 'POST', '/osc', { cookie: ana, body: null })).status, 400);
+
+  const page = await request(port, 'GET', '/main.html', { headers: { Cookie: `x=%E0; ${ana}` } });
+  assert.equal(page.status, 200);
+  assert.equal((await request(port, 'GET', '/main.html', { headers: { Cookie: 'x=%E0' } })).status, 302);
+});
+
+test('POST /osc puts the exact message on the wire', async (t) =>
+{
+  const { udp, login, send } = await startBridge(t);
+  const ana = await login('ana');
+
+  const res = await send(ana, { device: 'snail', address: '/eye/left/left', value: 1 });
+  assert.deepEqual(res.body, { ok: true, device: 'snail' });
+
+  await udp.waitFor(1);
+  assert.deepEqual(udp.packets[0], encodeMessage('/eye/left/left', [{ type: 'i', value: 1 }]));
+});
+
+test('POST /osc sends typed args: floats, strings, blobs and T/F/N', async (t) =>
+{
+  const { udp, login, send } = await startBridge(t);
+  const ted = await login('ted');
+
+  const args = [{ type: 'f', value: 0.5 }, 'clip one', { type: 'b', value: 'AQID' }, true, null];
+  assert.equal((await send(ted, { device: 'resolume', address: '/composition/layers/1/video/opacity', args })).status, 200);
+  assert.equal((await send(ted, { device: 'resolume', address: '/composition/layers/1/clear', args: 'nope' })).status, 400);
+
+  await udp.waitFor(1);
+  assert.deepEqual(udp.packets[0], encodeMessage('/composition/layers/1/video/opacity', [
+    { type: 'f', value: 0.5 }, { type: 's', value: 'clip one' }, { type: 'b', value: Buffer.from([1, 2, 3]) }, { type: 'T', value: true }, { type: 'N', value: null },
+  ]));
+});
+
+test('POST /osc refuses what the device does not allow', async (t) =>
+{
+  const { udp, clock, login, send } = await startBridge(t);
+  const ana = await login('ana');
+
+  const blocked = await send(ana, { device: 'snail', address: '/composition/layers/1/clear', value: 1 });
+  assert.equal(blocked.status, 403);
+  assert.match(blocked.body.error, /not allowed/);
+
+  assert.equal((await send(ana, { device: 'snail', address: '/eye/reset', value: 2 })).status, 400, 'out of range');
+  assert.equal((await send(ana, { device: 'cat-caller', address: '/bkwt/van/cat-caller/win', value: 1 })).status, 403, 'tech device');
+  assert.equal((await send(ana, { address: 42 })).status, 400);
+
+  assert.equal((await send(ana, { device: 'snail', address: '/eye/reset', value: 1 })).status, 200);
+  const early = await send(ana, { device: 'snail', address: '/eye/reset', value: 1 });
+  assert.equal(early.status, 429);
+  assert.equal(early.headers.get('retry-after'), '1');
+
+  await clock.advance(500);
+  assert.equal((await send(ana, { device: 'snail', address: '/eye/reset', value: 1 })).status, 200, 'cooldown over');
+
+  await udp.waitFor(2);
+  assert.deepEqual(udp.messages.map((m) => m.address), ['/eye/reset', '/eye/reset']);
+});
+
+test('POST /osc sends a bundle as one packet', async (t) =>
+{
+  const { udp, login, send } = await startBridge(t);
+  const ana = await login('ana');
+
+  const res = await send(ana, {
+    device: 'snail',
+    bundle: { elements: [{ address: '/eye/left/left', args: [1] }, { address: '/eye/right/right', args: [1] }] },
+  });
+  assert.deepEqual(res.body, { ok: true, device: 'snail', elements: 2 });
+
+  await udp.waitFor(2);
+  assert.equal(udp.packets.length, 1);
+  assert.equal(udp.packets[0].subarray(0, 8).toString(), '#bundle\0');
+  assert.deepEqual(udp.messages.map((m) => m.address), ['/eye/left/left', '/eye/right/right']);
+});
+
+test('the storm cue clears Resolume a minute after it is fired', async (t) =>
+{
+  const { port, udp, clock, login } = await startBridge(t);
+  const ted = await login('ted');
+
+  const res = await request(port, 'POST', '/cues/storm/run', { cookie: ted });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.result, 'started');
+
+  await udp.waitFor(3);
+  assert.deepEqual(udp.messages.map((m) => `${m.address} ${m.args[0].value}`), [
+    '/bkwt/van/cat-caller/win 1',
+    '/composition/layers/2/clear 0',
+    '/composition/layers/2/clips/1/connect 1',
+  ]);
+
+  const again = await request(port, 'POST', '/cues/storm/run', { cookie: ted });
+  assert.equal(again.status, 409, 'retrigger: ignore');
+
+  await clock.advance(59999);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(udp.messages.length, 3, 'not yet');
+
+  await clock.advance(1);
+  await udp.waitFor(4);
+  assert.equal(udp.messages[3].address, '/composition/layers/2/clear');
+  assert.deepEqual(udp.messages[3].args, [{ type: 'i', value: 1 }]);
+
+  const sequences = await request(port, 'GET', '/sequences', { cookie: ted });
+  assert.deepEqual(sequences.body.active, []);
+});
+
+test('broken %-escapes in a route get a 400, not a crash', async (t) =>
+{
+  const { port, login } = await startBridge(t);
+  const ted = await login('ted');
+
+  const cue = await request(port, 'POST', '/cues/%E0/run', { cookie: ted });
+  assert.equal(cue.status, 400);
+  assert.equal((await request(port, 'POST', '/sequences/%E0/cancel', { cookie: ted })).status, 400);
+  assert.equal((await request(port, 'GET', '/me', { cookie: ted })).status, 200, 'still up');
+});
+
+test('cancel takes a null body as no options', async (t) =>
+{
+  const { port, login } = await startBridge(t);
+  const ted = await login('ted');
+
+  const { body: { sequence } } = await request(port, 'POST', '/cues/storm/run', { cookie: ted });
+  const cancel = await request(port, 'POST', `/sequences/${sequence.id}/cancel`, { cookie: ted, body: null });
+  assert.equal(cancel.status, 200);
+  assert.equal(cancel.body.sequence.id, sequence.id);
+});
+
+// polls GET /devices (in real time) until check(device) passes
+async function waitForDevice(port, cookie, name, check)
+{
+  for (let i = 0; i < 100; i++)
+  {
+    const device = (await request(port, 'GET', '/devices', { cookie })).body.devices.find((d) => d.name === name);
+    if (check(device)) return device;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`${name} never got there`);
+}
+
+test('heartbeat pings: online while the device answers, offline after two misses', async (t) =>
+{
+  let answering = true;
+  const snail = await udpResponder(t, (message) => (answering && message.address === '/ping' ? { address: '/pong' } : null));
+
+  const { port, clock, login } = await startBridge(t, {
+    devices: (raw) =>
+    {
+      // only the snail is on 127.0.0.1, so replies are filed under it
+      for (const device of Object.values(raw.devices)) { device.ip = '127.0.0.2'; }
+      Object.assign(raw.devices.snail, { ip: '127.0.0.1', port: snail.port, health: { ping: '/ping', reply: '/pong', intervalMs: 5000, timeoutMs: 1000 } });
+    },
+  });
+  const ana = await login('ana');
+
+  const online = await waitForDevice(port, ana, 'snail', (d) => d.status === 'online');
+  assert.equal(online.latencyMs, 0);
+  assert.equal((await waitForDevice(port, ana, 'gator', () => true)).status, 'unmonitored');
+
+  // pings go out at 5s and 10s; each times out a second later
+  answering = false;
+  await clock.advance(6000);
+  assert.equal((await waitForDevice(port, ana, 'snail', () => true)).status, 'online', 'one miss is not enough');
+  await clock.advance(5000);
+  const offline = await waitForDevice(port, ana, 'snail', (d) => d.status === 'offline');
+  assert.equal(offline.latencyMs, null);
+
+  answering = true;
+  await clock.advance(4000);
+  await waitForDevice(port, ana, 'snail', (d) => d.status === 'online');
+});
+
+test('history replays a window of sends, and refuses one it would have to cut', async (t) =>
+{
+  const { port, udp, clock, bridge, login, send } = await startBridge(t);
+  const ana = await login('ana');
+  const ada = await login('ada');
+
+  const from = Date.now();
+  assert.equal((await send(ana, { device: 'snail', address: '/eye/left/left', value: 1 })).status, 200);
+  assert.equal((await send(ana, { device: 'snail', address: '/eye/right/right', value: 1 })).status, 200);
+  await udp.waitFor(2);
+  await new Promise((resolve) => setImmediate(resolve));
+  await clock.advance(1000);   // past the eye cooldowns
+
+  const history = await request(port, 'GET', '/history?device=snail', { cookie: ana });
+  assert.equal(history.status, 403, 'history needs tech');
+
+  const replay = await request(port, 'POST', '/history/replay', { cookie: ada, body: { from, to: Date.now(), device: 'snail', speed: 2 } });
+  assert.equal(replay.status, 200);
+  await clock.advance(1000);
+  await udp.waitFor(4);
+  assert.deepEqual(udp.messages.slice(2).map((m) => m.address), ['/eye/left/left', '/eye/right/right']);
+
+  for (let i = 0; i < 1001; i++)
+  {
+    bridge.audit.append({ type: 'send', source: 'manual', device: 'snail', address: '/eye/idle', args: [{ type: 'i', value: 1 }], result: 'sent' });
+  }
+  const big = await request(port, 'POST', '/history/replay', { cookie: ada, body: { from, to: Date.now() + 1000, device: 'snail' } });
+  assert.equal(big.status, 400);
+  assert.match(big.body.error, /More than 1000 messages/);
+});
+
+test('the pause switch is kept in data/, survives a restart, and a failed save is a 500', async (t) =>
+{
+  const { dir, port, login } = await startBridge(t);
+  const ana = await login('ana');
+
+  assert.equal((await request(port, 'POST', '/schedule/pause', { cookie: ana })).status, 200);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'data', 'schedule-state.json'), 'utf8')), { paused: true });
+  assert.equal(fs.existsSync(path.join(dir, 'schedule.json')), false, 'the schedule config is not written');
+
+  const restarted = await startBridge(t, { bridge: { stateDir: path.join(dir, 'data') } });
+  const again = await request(restarted.port, 'GET', '/schedule', { cookie: await restarted.login('ana') });
+  assert.equal(again.body.paused, true);
+
+  const broken = await startBridge(t, { bridge: unwritableState(t) });
+  const ted = await broken.login('ted');
+  const failed = await request(broken.port, 'POST', '/schedule/pause', { cookie: ted });
+  assert.equal(failed.status, 500);
+  assert.match(failed.body.error, /Could not save/);
+  assert.equal((await request(broken.port, 'GET', '/schedule', { cookie: ted })).body.paused, false, 'not paused when it could not be kept');
+});
+
+test('device edits are kept in data/, laid over the config on restart', async (t) =>
+{
+  const { dir, port, login } = await startBridge(t);
+  const ada = await login('ada');
+  const config = fs.readFileSync(path.join(dir, 'devices.json'), 'utf8');
+
+  const edit = await request(port, 'PATCH', '/devices/snail', { cookie: ada, body: { label: 'Eyes', port: '9001' } });
+  assert.equal(edit.status, 200);
+  assert.deepEqual(edit.body.device, { name: 'snail', label: 'Eyes', ip: '127.0.0.1', port: 9001 });
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'data', 'devices.json'), 'utf8')), { devices: { snail: { label: 'Eyes', port: 9001 } } });
+  assert.equal(fs.readFileSync(path.join(dir, 'devices.json'), 'utf8'), config, 'the config file is not rewritten');
+
+  assert.equal((await request(port, 'PATCH', '/devices/snail', { cookie: ada, body: { port: 70000 } })).status, 400);
+  assert.equal((await request(port, 'PATCH', '/devices/snail', { cookie: ada, body: { prefixes: [] } })).status, 400);
+  assert.equal((await request(port, 'PATCH', '/devices/%E0', { cookie: ada, body: { label: 'x' } })).status, 400);
+
+  const restarted = await startBridge(t, { bridge: { stateDir: path.join(dir, 'data') } });
+  const devices = await request(restarted.port, 'GET', '/devices', { cookie: await restarted.login('ana') });
+  const snail = devices.body.devices.find((d) => d.name === 'snail');
+  assert.equal(snail.label, 'Eyes');
+  assert.equal(snail.port, 9001);
+
+  const broken = await startBridge(t, { bridge: unwritableState(t) });
+  const failed = await request(broken.port, 'PATCH', '/devices/snail', { cookie: await broken.login('ada'), body: { label: 'Eyes' } });
+  assert.equal(failed.status, 500);
+  assert.match(failed.body.error, /Could not save/);
+});
+
+test('choreographies: record, save to data/, play and delete', async (t) =>
+{
+  const { dir, port, udp, clock, login, send } = await startBridge(t);
+  const ana = await login('ana');
+  const ted = await login('ted');
+
+  assert.equal((await request(port, 'POST', '/choreographies/record', { cookie: ana, body: { name: 'peek', device: 'snail' } })).status, 200);
+  await send(ana, { device: 'snail', address: '/eye/left/left', value: 1 });
+  await clock.advance(600);
+  await send(ana, { device: 'snail', address: '/eye/reset', value: 1 });
+  await clock.advance(100);
+  const saved = await request(port, 'POST', '/choreographies/record/stop', { cookie: ana, body: {} });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.choreography.steps, 2);
+  assert.equal(saved.body.choreography.durationMs, 700);
+
+  const file = JSON.parse(fs.readFileSync(path.join(dir, 'data', 'choreographies.json'), 'utf8'));
+  assert.deepEqual(file.choreographies.peek.steps.map((s) => `${s.at} ${s.address}`), ['0 /eye/left/left', '600 /eye/reset']);
+  assert.equal(fs.existsSync(path.join(dir, 'choreographies.json')), false, 'the config file is not written');
+
+  await udp.waitFor(2);
+  assert.equal((await request(port, 'POST', '/choreographies/peek/play', { cookie: ana, body: {} })).status, 200);
+  await clock.advance(600);
+  await udp.waitFor(4);
+  assert.deepEqual(udp.messages.slice(2).map((m) => m.address), ['/eye/left/left', '/eye/reset']);
+
+  assert.equal((await request(port, 'POST', '/choreographies/%E0/play', { cookie: ana, body: {} })).status, 400);
+  assert.equal((await request(port, 'DELETE', '/choreographies/%E0', { cookie: ted })).status, 400);
+  assert.equal((await request(port, 'POST', '/choreographies/nope/play', { cookie: ana, body: {} })).status, 404);
+
+  const restarted = await startBridge(t, { bridge: { stateDir: path.join(dir, 'data') } });
+  const listed = await request(restarted.port, 'GET', '/choreographies', { cookie: await restarted.login('ana') });
+  assert.deepEqual(listed.body.choreographies.map((c) => c.name), ['peek']);
+
+  assert.equal((await request(port, 'DELETE', '/choreographies/peek', { cookie: ted })).status, 200);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'data', 'choreographies.json'), 'utf8')), { choreographies: {} });
+});
+
+test('a choreography that cannot be saved is a 500', async (t) =>
+{
+  const { port, login, send } = await startBridge(t, { bridge: unwritableState(t) });
+  const ana = await login('ana');
+
+  await request(port, 'POST', '/choreographies/record', { cookie: ana, body: { name: 'peek', device: 'snail' } });
+  await send(ana, { device: 'snail', address: '/eye/idle', value: 1 });
+  const failed = await request(port, 'POST', '/choreographies/record/stop', { cookie: ana, body: {} });
+  assert.equal(failed.status, 500);
+  assert.match(failed.body.error, /Could not save peek/);
+  assert.deepEqual((await request(port, 'GET', '/choreographies', { cookie: ana })).body.choreographies, []);
+});
+
+test('learned MIDI mappings are saved to data/, and a failed save is a 500', async (t) =>
+{
+  const { dir, port, login } = await startBridge(t);
+  const ted = await login('ted');
+  const learn = { action: { type: 'osc', device: 'snail', address: '/eye/reset', value: 1 }, id: 'home' };
+
+  assert.equal((await request(port, 'POST', '/midi/learn', { cookie: ted, body: learn })).status, 200);
+  const pad = await request(port, 'POST', '/midi', { cookie: ted, body: { messages: [[0x99, 36, 100]] } });
+  assert.equal(pad.status, 200);
+  assert.deepEqual(pad.body.results, [{ learned: 'home' }]);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'data', 'midi.json'), 'utf8'));
+  assert.deepEqual(saved.mappings.map((m) => [m.id, m.match.number]), [['home', 36]]);
+  assert.equal(fs.existsSync(path.join(dir, 'midi.json')), false, 'the config file is not written');
+
+  const restarted = await startBridge(t, { bridge: { stateDir: path.join(dir, 'data') } });
+  const midi = await request(restarted.port, 'GET', '/midi', { cookie: await restarted.login('ted') });
+  assert.deepEqual(midi.body.mappings.map((m) => m.id), ['home']);
+
+  assert.equal((await request(port, 'DELETE', '/midi/mappings/home', { cookie: ted })).status, 200);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'data', 'midi.json'), 'utf8')), { mappings: [] });
+
+  const broken = await startBridge(t, { bridge: unwritableState(t) });
+  const tech = await broken.login('ted');
+  await request(broken.port, 'POST', '/midi/learn', { cookie: tech, body: learn });
+  const failed = await request(broken.port, 'POST', '/midi', { cookie: tech, body: { messages: [[0x99, 36, 100]] } });
+  assert.equal(failed.status, 500);
+  assert.match(failed.body.error, /Could not save the MIDI mappings/);
+  const kept = await request(broken.port, 'DELETE', '/midi/mappings/home', { cookie: tech });
+  assert.equal(kept.status, 500);
+  assert.deepEqual((await request(broken.port, 'GET', '/midi', { cookie: tech })).body.mappings.map((m) => m.id), ['home'], 'not deleted when it could not be saved');
+});
+
+test('a control lock keeps other tablets off the device', async (t) =>
+{
+  const { port, udp, login, send } = await startBridge(t);
+  const ana = await login('ana');
+  const ted = await login('ted');
+
+  const take = await request(port, 'POST', '/control/snail', { cookie: ana, body: {} });
+  assert.equal(take.status, 200);
+
+  const locked = await send(ted, { device: 'snail', address: '/eye/left/left', value: 1 });
+  assert.equal(locked.status, 423);
+  assert.match(locked.body.error, /ana/);
+  assert.equal((await send(ana, { device: 'snail', address: '/eye/left/left', value: 1 })).status, 200);
+
+  const taken = await request(port, 'POST', '/control/snail', { cookie: ted, body: { takeover: true } });
+  assert.equal(taken.body.previous.user, 'ana');
+  assert.equal((await send(ana, { device: 'snail', address: '/eye/right/left', value: 1 })).status, 423);
+  assert.equal((await request(port, 'POST', '/control/snail/release', { cookie: ana, body: {} })).status, 409);
+
+  await udp.waitFor(1);
+  assert.equal(udp.messages.length, 1);
+});
+
+test('--simulate keeps everything off the network', async (t) =>
+{
+  const { port, udp, login, send } = await startBridge(t, { bridge: { simulate: true } });
+  const ana = await login('ana');
+
+  assert.equal((await send(ana, { device: 'snail', address: '/eye/left/right', value: 1 })).status, 200);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  const sim = await request(port, 'GET', '/simulator', { cookie: ana });
+  const snail = sim.body.devices.find((d) => d.name === 'snail');
+  assert.equal(snail.model, 'eyes');
+  assert.equal(snail.state.left, 0.25);
+  assert.deepEqual(snail.received.map((r) => r.address), ['/eye/left/right']);
+  assert.equal(udp.messages.length, 0);
+
+  assert.equal((await request(port, 'POST', '/simulator/reset', { cookie: ana, body: {} })).status, 403, 'reset needs tech');
+});
@@ -0,0 +1,74 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: recorded choreographies === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+
+const { loadDeviceRegistry } = require('../lib/devices');
+const { validateChoreography, loadChoreographies, saveChoreographies, choreographySteps, canLoop, createRecorder } = require('../lib/choreography');
+const { createFakeClock, tempDir } = require('./helpers');
+
+const registry = loadDeviceRegistry(path.join(__dirname, '..', 'config', 'devices.json'));
+
+const press = (at, address) => ({ at, address, args: [{ type: 'i', value: 1 }] });
+
+test('validates names, steps, timing and the device allowlist', () =>
+{
+  const ok = validateChoreography('snail-curious', { device: 'snail', durationMs: 1200, steps: [press(0, '/eye/left/left'), press(850, '/eye/reset')] }, registry);
+  assert.equal(ok.label, 'snail-curious');
+  assert.equal(ok.device, 'snail');
+  assert.deepEqual(ok.steps[1], { at: 850, address: '/eye/reset', args: [{ type: 'i', value: 1 }] });
+
+  const steps = [press(0, '/eye/left/left')];
+  assert.throws(() => validateChoreography('Snail', { device: 'snail', durationMs: 100, steps }, registry), /lowercase/);
+  assert.throws(() => validateChoreography('a', { device: 'snail', durationMs: 100, steps: [] }, registry), /at least one step/);
+  assert.throws(() => validateChoreography('a', { device: 'nope', durationMs: 100, steps }, registry), /Unknown device/);
+  assert.throws(() => validateChoreography('a', { device: 'snail', durationMs: -1, steps }, registry), /durationMs/);
+  assert.throws(() => validateChoreography('a', { device: 'snail', durationMs: 100, steps: [press(50, '/eye/idle'), press(10, '/eye/idle')] }, registry), /in order/);
+  assert.throws(() => validateChoreography('a', { device: 'snail', durationMs: 100, steps: [press(0, '/composition/clear')] }, registry), /not allowed/);
+});
+
+test('plays as sends with the recorded gaps, and only loops with a pause', () =>
+{
+  const c = validateChoreography('wink', { device: 'snail', durationMs: 600, steps: [press(0, '/eye/left/left'), press(0, '/eye/right/right'), press(400, '/eye/reset')] }, registry);
+  assert.deepEqual(choreographySteps(c).map((s) => (s.type === 'wait' ? `wait ${s.ms}` : s.address)), [
+    '/eye/left/left', '/eye/right/right', 'wait 400', '/eye/reset', 'wait 200',
+  ]);
+  assert.equal(canLoop(c), true);
+  assert.equal(canLoop({ ...c, durationMs: 499 }), false);
+});
+
+test('the recorder captures one user on one device against the clock', async () =>
+{
+  const clock = createFakeClock();
+  const recorder = createRecorder({ now: clock.now });
+
+  assert.equal(recorder.stop('ana'), null);
+  recorder.start('ana', { name: 'peek', device: 'snail' });
+  recorder.capture('ana', 'snail', '/eye/left/left', [{ type: 'i', value: 1 }]);
+  await clock.advance(300);
+  recorder.capture('ana', 'gator', '/gator/jaw', [{ type: 'i', value: 1 }]);
+  recorder.capture('ted', 'snail', '/eye/idle', [{ type: 'i', value: 1 }]);
+  recorder.capture('ana', 'snail', '/eye/reset', [{ type: 'i', value: 1 }]);
+  assert.equal(recorder.get('ana').steps, 2);
+  await clock.advance(200);
+
+  const recorded = recorder.stop('ana');
+  assert.equal(recorded.durationMs, 500);
+  assert.equal(recorded.createdBy, 'ana');
+  assert.deepEqual(recorded.steps.map((s) => `${s.at} ${s.address}`), ['0 /eye/left/left', '300 /eye/reset']);
+  assert.equal(recorder.get('ana'), null);
+});
+
+test('saves and loads, creating the data directory', (t) =>
+{
+  const file = path.join(tempDir(t), 'data', 'choreographies.json');
+  assert.deepEqual(loadChoreographies(file, registry), {});
+
+  const c = validateChoreography('peek', { device: 'snail', durationMs: 500, createdBy: 'ana', steps: [press(0, '/eye/idle')] }, registry);
+  saveChoreographies(file, { peek: c });
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).choreographies.peek), ['label', 'device', 'durationMs', 'createdBy', 'createdAt', 'steps']);
+  assert.deepEqual(loadChoreographies(file, registry), { peek: c });
+});
@@ -0,0 +1,138 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: cue loading and the sequence engine === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+const { loadDeviceRegistry } = require('../lib/devices');
+const { loadCues, createCueEngine } = require('../lib/cues');
+const { createFakeClock, tempDir, writeJson, quiet } = require('./helpers');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+const registry   = loadDeviceRegistry(path.join(CONFIG_DIR, 'devices.json'));
+
+// an engine on a fake clock whose sends are collected as "device address value"
+function setup(t, cues)
+{
+  quiet(t);
+  const clock = createFakeClock();
+  const sent  = [];
+  const engine = createCueEngine({
+    cues,
+    registry,
+    send: (device, address, args, context) => sent.push({ line: `${device.name} ${address} ${args.map((a) => a.value).join(' ')}`, context }),
+    timers: clock,
+    now: clock.now,
+  });
+  return { clock, engine, lines: () => sent.map((s) => s.line), sent };
+}
+
+function cuesFile(t, cues)
+{
+  return loadCues(writeJson(tempDir(t), 'cues.json', { cues }), registry);
+}
+
+const send = (value) => ({ type: 'send', device: 'snail', address: '/eye/idle', value });
+
+test('the shipped storm cue clears Resolume 60s after it starts', async (t) =>
+{
+  const { clock, engine, lines } = setup(t, loadCues(path.join(CONFIG_DIR, 'cues.json'), registry));
+
+  const { result, sequence, done } = engine.run('storm', { by: 'ana' });
+  assert.equal(result, 'started');
+  await clock.advance(0);
+  assert.deepEqual(lines(), [
+    'cat-caller /bkwt/van/cat-caller/win 1',
+    'resolume /composition/layers/2/clear 0',
+    'resolume /composition/layers/2/clips/1/connect 1',
+  ]);
+  assert.equal(engine.status().active[0].waitUntil, clock.now() + 60000);
+
+  await clock.advance(59999);
+  assert.equal(lines().length, 3, 'nothing before the minute is up');
+
+  await clock.advance(1);
+  assert.equal(lines()[3], 'resolume /composition/layers/2/clear 1');
+  assert.equal(await done, 'done');
+  assert.deepEqual(engine.status().active, []);
+  assert.equal(engine.status().recent[0].id, sequence.id);
+});
+
+test('cancelling the storm sends its safe state straight away', async (t) =>
+{
+  const { clock, engine, lines, sent } = setup(t, loadCues(path.join(CONFIG_DIR, 'cues.json'), registry));
+
+  const { sequence, done } = engine.run('storm', { by: 'ana' });
+  await clock.advance(1000);
+  const summary = engine.cancel(sequence.id, { by: 'ted' });
+
+  assert.equal(summary.status, 'cancelled');
+  assert.equal(await done, 'cancelled');
+  assert.equal(lines()[3], 'resolume /composition/layers/2/clear 1');
+  assert.equal(sent[3].context.by, 'ted');
+
+  await clock.advance(60000);
+  assert.equal(lines().length, 4, 'the timed clear does not fire as well');
+  assert.equal(clock.pending(), 0);
+});
+
+test('retrigger policies: ignore, restart and queue', async (t) =>
+{
+  const cues = cuesFile(t, {
+    ignore:  { retrigger: 'ignore', steps: [send(1), { type: 'wait', ms: 1000 }] },
+    restart: { retrigger: 'restart', steps: [send(1), { type: 'wait', ms: 1000 }, send(0)] },
+    queue:   { retrigger: 'queue', steps: [send(1), { type: 'wait', ms: 1000 }] },
+  });
+  const { clock, engine, lines } = setup(t, cues);
+
+  engine.run('ignore');
+  assert.equal(engine.run('ignore').result, 'ignored');
+
+  engine.run('restart');
+  await clock.advance(500);
+  assert.equal(engine.run('restart').result, 'restarted');
+  await clock.advance(600);
+  assert.equal(lines().filter((l) => l.endsWith(' 0')).length, 0, 'the first run was cut off before its last step');
+
+  const first = engine.run('queue');
+  const second = engine.run('queue');
+  assert.equal(second.result, 'queued');
+  assert.equal(second.sequence.status, 'queued');
+  await clock.advance(1000);
+  assert.equal(await first.done, 'done');
+  await clock.advance(1000);
+  assert.equal(await second.done, 'done');
+});
+
+test('nested cues, parallel steps and loops', async (t) =>
+{
+  const cues = cuesFile(t, {
+    inner: { steps: [send(1)] },
+    outer: { steps: [{ type: 'cue', name: 'inner' }, { type: 'parallel', steps: [send(0), { type: 'wait', ms: 200 }] }, send(1)] },
+  });
+  const { clock, engine, lines } = setup(t, cues);
+
+  const { done } = engine.run('outer');
+  await clock.advance(200);
+  assert.equal(await done, 'done');
+  assert.deepEqual(lines(), ['snail /eye/idle 1', 'snail /eye/idle 0', 'snail /eye/idle 1']);
+
+  // timelines come already normalized, the way choreographies hand them over
+  const step = { type: 'send', device: 'snail', address: '/eye/idle', args: [{ type: 'i', value: 1 }] };
+  assert.throws(() => engine.runTimeline('spin', [step], { loop: true }), /cannot loop without a wait/);
+
+  const loop = engine.runTimeline('spin', [step, { type: 'wait', ms: 100 }], { loop: true });
+  await clock.advance(1000);
+  assert.ok(lines().length >= 13, 'went round about ten times');
+  engine.cancel(loop.sequence.id);
+  assert.equal(await loop.done, 'cancelled');
+});
+
+test('loadCues refuses bad cues', (t) =>
+{
+  assert.throws(() => cuesFile(t, { a: { steps: [{ type: 'send', device: 'nope', address: '/x', value: 1 }] } }), /nope/);
+  assert.throws(() => cuesFile(t, { a: { steps: [{ type: 'send', device: 'snail', address: '/nope', value: 1 }] } }), /not allowed/);
+  assert.throws(() => cuesFile(t, { a: { steps: [{ type: 'cue', name: 'a' }] } }), /cycle|itself/i);
+  assert.throws(() => cuesFile(t, { a: { retrigger: 'sometimes', steps: [] } }), /retrigger/);
+});
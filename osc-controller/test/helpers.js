@@ -0,0 +1,196 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: fake clock, temp config, UDP capture, HTTP === */
+
+const fs    = require('fs');
+const os    = require('os');
+const path  = require('path');
+const dgram = require('dgram');
+
+const { encodeMessage, decodePacket, packetMessages } = require('../lib/osc');
+
+const CONFIG_DIR = path.join(__dirname, '..', 'config');
+
+/*
+ * Stands in for { setTimeout, clearTimeout, setInterval, clearInterval }
+ * and now. Nothing fires until advance(ms), which runs every timer that
+ * falls due in order and lets promise chains (cue steps) settle between
+ * them.
+ */
+function createFakeClock(start = Date.UTC(2026, 5, 1, 12, 0, 0))
+{
+  let current = start;
+  let nextId  = 1;
+  const pending = new Map();   // id -> { at, fn, every }
+
+  function add(fn, ms, every)
+  {
+    const id = nextId++;
+    pending.set(id, { at: current + Math.max(0, ms), fn, every });
+    return id;
+  }
+
+  async function settle()
+  {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+
+  async function advance(ms)
+  {
+    const until = current + ms;
+    await settle();
+    for (;;)
+    {
+      const due = [...pending.entries()]
+        .filter(([, timer]) => timer.at <= until)
+        .sort((a, b) => a[1].at - b[1].at || a[0] - b[0])[0];
+      if (!due) break;
+
+      const [id, timer] = due;
+      current = timer.at;
+      if (timer.every) { timer.at += timer.every; }
+      else { pending.delete(id); }
+      timer.fn();
+      await settle();
+    }
+    current = until;
+  }
+
+  return {
+    now:           () => current,
+    setTimeout:    (fn, ms) => add(fn, ms, 0),
+    clearTimeout:  (id) => pending.delete(id),
+    setInterval:   (fn, ms) => add(fn, ms, Math.max(1, ms)),
+    clearInterval: (id) => pending.delete(id),
+    advance,
+    pending:       () => pending.size,
+  };
+}
+
+// a fresh directory under the OS temp dir, removed when the test ends
+function tempDir(t)
+{
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'osc-controller-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/*
+ * The shipped config/devices.json with every device pointed at one local
+ * UDP port (and no heartbeat), written into dir. changes(raw) may edit
+ * the parsed file first, e.g. to give a device its "health" block back.
+ * Returns the path.
+ */
+function writeDevices(dir, port, changes = () => {})
+{
+  const raw = JSON.parse(fs.readFileSync(path.join(CONFIG_DIR, 'devices.json'), 'utf8'));
+  for (const device of Object.values(raw.devices))
+  {
+    device.ip   = '127.0.0.1';
+    device.port = port;
+    delete device.health;
+  }
+  changes(raw);
+  const file = path.join(dir, 'devices.json');
+  fs.writeFileSync(file, JSON.stringify(raw, null, 2));
+  return file;
+}
+
+function writeJson(dir, name, data)
+{
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  return file;
+}
+
+/*
+ * A UDP socket on a free local port that decodes everything it receives.
+ * messages holds { address, args } in arrival order, packets the raw
+ * buffers; waitFor(n) resolves once n messages have arrived.
+ */
+async function captureUdp(t)
+{
+  const socket   = dgram.createSocket('udp4');
+  const messages = [];
+  const packets  = [];
+  let waiters    = [];
+
+  socket.on('message', (buf) =>
+  {
+    packets.push(buf);
+    messages.push(...packetMessages(decodePacket(buf)));
+    waiters = waiters.filter((w) => (messages.length >= w.count ? (w.resolve(), false) : true));
+  });
+
+  await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+  t.after(() => socket.close());
+
+  return {
+    port: socket.address().port,
+    messages,
+    packets,
+    waitFor(count, ms = 2000)
+    {
+      if (messages.length >= count) return Promise.resolve();
+      return new Promise((resolve, reject) =>
+      {
+        const timer = setTimeout(() => reject(new Error(`Expected ${count} OSC messages, got ${messages.length}`)), ms);
+        waiters.push({ count, resolve: () => { clearTimeout(timer); resolve(); } });
+      });
+    },
+  };
+}
+
+/*
+ * A stand-in device on a free local port: answer(message) is called for
+ * every message it receives and may return { address, args } to send back
+ * to the sender (a heartbeat reply), or nothing to stay silent.
+ */
+async function udpResponder(t, answer)
+{
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (buf, rinfo) =>
+  {
+    for (const message of packetMessages(decodePacket(buf)))
+    {
+      const reply = answer(message);
+      if (reply) { socket.send(encodeMessage(reply.address, reply.args || []), rinfo.port, rinfo.address); }
+    }
+  });
+
+  await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+  t.after(() => socket.close());
+  return { port: socket.address().port };
+}
+
+/*
+ * One HTTP request to the bridge. body is sent as JSON; cookie is a
+ * session cookie from a previous login. Resolves to
+ * { status, headers, body } with body parsed when it is JSON.
+ */
+async function request(port, method, url, { body, cookie, headers = {} } = {})
+{
+  const res = await fetch(`http://127.0.0.1:${port}${url}`, {
+    method,
+    redirect: 'manual',
+    headers: {
+      ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+      ...(cookie ? { Cookie: cookie } : {}),
+      ...headers,
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  const text = await res.text();
+  const isJson = (res.headers.get('content-type') || '').startsWith('application/json');
+  return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(text) : text };
+}
+
+// keep the bridge's console chatter out of the test report
+function quiet(t)
+{
+  for (const method of ['log', 'warn', 'error'])
+  {
+    t.mock.method(console, method, () => {});
+  }
+}
+
+module.exports = { createFakeClock, tempDir, writeDevices, writeJson, captureUdp, udpResponder, request, quiet };
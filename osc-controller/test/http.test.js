@@ -0,0 +1,78 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: JSON bodies and cookies === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const http   = require('http');
+
+const { sendJson, readJson, decodeSegment } = require('../lib/http');
+const { parseCookies, createAuth } = require('../lib/auth');
+const { request, quiet } = require('./helpers');
+
+// a server whose only route hands the body to onBody, with a 100-byte limit
+async function serveBody(t, onBody)
+{
+  quiet(t);
+  const server = http.createServer((req, res) => readJson(req, res, (body) => onBody(body, res), { maxBytes: 100 }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return server.address().port;
+}
+
+test('readJson hands over objects and refuses everything else', async (t) =>
+{
+  const port = await serveBody(t, (body, res) => sendJson(res, 200, { ok: true, body }));
+
+  assert.deepEqual((await request(port, 'POST', '/', { body: { a: 1 } })).body, { ok: true, body: { a: 1 } });
+  assert.deepEqual((await request(port, 'POST', '/')).body, { ok: true, body: {} }, 'no body is {}');
+  for (const body of [null, [1], 'x', 3])
+  {
+    const res = await request(port, 'POST', '/', { body });
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.error, 'JSON body must be an object');
+  }
+});
+
+test('readJson with optional: true takes null as no body', async (t) =>
+{
+  quiet(t);
+  const server = http.createServer((req, res) => readJson(req, res, (body) => sendJson(res, 200, { body }), { optional: true }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const port = server.address().port;
+
+  assert.deepEqual((await request(port, 'POST', '/', { body: null })).body, { body: {} });
+  assert.equal((await request(port, 'POST', '/', { body: [] })).status, 400);
+});
+
+test('readJson answers 413 past the size limit', async (t) =>
+{
+  const port = await serveBody(t, (body, res) => sendJson(res, 200, { ok: true }));
+  const res = await request(port, 'POST', '/', { body: { text: 'x'.repeat(200) } });
+  assert.equal(res.status, 413);
+  assert.equal((await request(port, 'POST', '/', { body: { text: 'x'.repeat(50) } })).status, 200, 'server still up');
+});
+
+test('readJson turns a throwing handler into a 500', async (t) =>
+{
+  const port = await serveBody(t, ({ user }) => sendJson(user.name.length, 200, {}));
+  const res = await request(port, 'POST', '/', { body: {} });
+  assert.equal(res.status, 500);
+  assert.deepEqual(res.body, { ok: false, error: 'Server error' });
+});
+
+test('decodeSegment gives null for broken %-escapes', () =>
+{
+  assert.equal(decodeSegment('storm%20night'), 'storm night');
+  assert.equal(decodeSegment('%E0'), null);
+});
+
+test('cookies: values decoded, broken ones skipped', () =>
+{
+  assert.deepEqual(parseCookies('osc_session=abc; theme=dark%20blue;flag'), { osc_session: 'abc', theme: 'dark blue' });
+  assert.deepEqual(parseCookies('x=%E0; osc_session=abc'), { osc_session: 'abc' });
+  assert.deepEqual(parseCookies(undefined), {});
+
+  const auth = createAuth();
+  assert.equal(auth.sessionFor({ headers: { cookie: 'x=%E0' } }), null);
+});
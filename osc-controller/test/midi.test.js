@@ -0,0 +1,123 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: MIDI parsing, mappings and learn mode === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+
+const { loadDeviceRegistry } = require('../lib/devices');
+const { decodeMidiMessage, createMidiParser, loadMidiMappings, saveMidiMappings, createMidiMapper, describeMessage } = require('../lib/midi');
+const { createFakeClock, tempDir, writeJson } = require('./helpers');
+
+const registry = loadDeviceRegistry(path.join(__dirname, '..', 'config', 'devices.json'));
+const context  = { registry, cues: { storm: { name: 'storm' } } };
+
+const MAPPINGS = [
+  { id: 'storm-pad', match: { type: 'note', channel: 10, number: 36 }, action: { type: 'cue', cue: 'storm' } },
+  { id: 'home', match: { type: 'note', number: 38 }, action: { type: 'osc', device: 'snail', address: '/eye/reset' } },
+  { id: 'storm-cc', match: { type: 'cc', channel: 1, number: 20 }, action: { type: 'cue', cue: 'storm' } },
+  { id: 'master', match: { type: 'cc', channel: 1, number: 7 }, action: { type: 'osc', device: 'resolume', address: '/composition/master', scale: { min: 0, max: 1 } } },
+];
+
+function mappingsFile(t, mappings)
+{
+  return writeJson(tempDir(t), 'midi.json', { mappings });
+}
+
+const note = (channel, number, value = 100) => ({ type: 'noteon', channel, number, value });
+const cc   = (channel, number, value) => ({ type: 'cc', channel, number, value });
+
+test('decodes channel messages', () =>
+{
+  assert.deepEqual(decodeMidiMessage([0x99, 36, 100]), note(10, 36));
+  assert.deepEqual(decodeMidiMessage([0x99, 36, 0]), { type: 'noteoff', channel: 10, number: 36, value: 0 });
+  assert.deepEqual(decodeMidiMessage([0xb0, 7, 64]), cc(1, 7, 64));
+  assert.equal(decodeMidiMessage([0xe0, 0, 64]), null, 'pitch bend maps to nothing');
+  assert.equal(describeMessage(cc(1, 7, 64)), 'cc ch1 #7 = 64');
+});
+
+test('parses a raw byte stream with running status, sysex and clock', () =>
+{
+  const messages = [];
+  const parser = createMidiParser((message) => messages.push(message));
+
+  parser.write(Buffer.from([0x99, 36, 100, 38]));                 // running status: the next note is split
+  parser.write(Buffer.from([0xf8, 90]));                          // a clock byte in the middle of it
+  parser.write(Buffer.from([0xf0, 0x7e, 0x01, 0xf7]));            // sysex is skipped
+  parser.write(Buffer.from([0xb0, 7, 0x7f, 0xf2, 1, 2, 0x90]));   // song position cancels running status
+
+  assert.deepEqual(messages, [note(10, 36), note(10, 38, 90), cc(1, 7, 127)]);
+});
+
+test('notes and CC buttons trigger; scaled CCs follow the knob', (t) =>
+{
+  const mapper = createMidiMapper({ mappings: loadMidiMappings(mappingsFile(t, MAPPINGS), context), context });
+  const ids = (message) => mapper.resolve(message).actions.map((a) => a.mapping.id);
+
+  assert.deepEqual(ids(note(10, 36)), ['storm-pad']);
+  assert.deepEqual(ids(note(9, 36)), [], 'wrong channel');
+  assert.deepEqual(ids(note(3, 38)), ['home'], 'no channel matches any');
+  assert.deepEqual(mapper.resolve(note(3, 38)).actions[0].args, [{ type: 'i', value: 1 }]);
+  assert.deepEqual(ids({ type: 'noteoff', channel: 10, number: 36, value: 0 }), []);
+
+  assert.deepEqual(ids(cc(1, 20, 30)), []);
+  assert.deepEqual(ids(cc(1, 20, 100)), ['storm-cc'], 'crossed 64');
+  assert.deepEqual(ids(cc(1, 20, 127)), [], 'still held');
+  assert.deepEqual(ids(cc(1, 20, 0)), []);
+  assert.deepEqual(ids(cc(1, 20, 64)), ['storm-cc']);
+
+  assert.deepEqual(mapper.resolve(cc(1, 7, 0)).actions[0].args, [{ type: 'f', value: 0 }]);
+  assert.deepEqual(mapper.resolve(cc(1, 7, 127)).actions[0].args, [{ type: 'f', value: 1 }]);
+  assert.equal(mapper.status().lastMessage.text, 'cc ch1 #7 = 127');
+});
+
+test('learn mode maps the next pad, replacing what was on it', async (t) =>
+{
+  const clock   = createFakeClock();
+  const learned = [];
+  const mapper  = createMidiMapper({
+    mappings: loadMidiMappings(mappingsFile(t, MAPPINGS), context),
+    onLearned: (mapping, by) => learned.push({ mapping, by }),
+    context,
+    now: clock.now,
+  });
+
+  assert.throws(() => mapper.learn({ type: 'cue', cue: 'rain' }), /unknown cue rain/);
+
+  mapper.learn({ type: 'stop', cue: 'storm' }, { label: 'Stop storm', by: 'ted' });
+  assert.equal(mapper.status().learning.by, 'ted');
+
+  const result = mapper.resolve(note(10, 36));
+  assert.deepEqual(result.actions, [], 'the learning press does not fire');
+  assert.equal(result.learned.id, 'note-10-36');
+  assert.deepEqual(learned.map((l) => [l.mapping.label, l.by]), [['Stop storm', 'ted']]);
+  assert.ok(!mapper.mappings.some((m) => m.id === 'storm-pad'), 'the old pad mapping is gone');
+  assert.deepEqual(mapper.resolve(note(10, 36)).actions.map((a) => a.mapping.action.type), ['stop']);
+
+  mapper.learn({ type: 'cue', cue: 'storm' });
+  await clock.advance(30000);
+  assert.equal(mapper.status().learning, null, 'learn mode times out');
+  assert.equal(mapper.resolve(note(10, 40)).learned, null);
+
+  assert.equal(mapper.remove('home'), true);
+  assert.equal(mapper.remove('home'), false);
+});
+
+test('loads, saves and refuses mappings', (t) =>
+{
+  const file = mappingsFile(t, MAPPINGS);
+  const mappings = loadMidiMappings(file, context);
+  saveMidiMappings(file, mappings);
+  assert.deepEqual(loadMidiMappings(file, context), mappings, 'round trip');
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).mappings[1].match.channel, undefined, 'any channel stays unset');
+
+  assert.deepEqual(loadMidiMappings(path.join(tempDir(t), 'missing.json'), context), []);
+
+  const bad = (change) => () => loadMidiMappings(mappingsFile(t, [{ ...MAPPINGS[0], ...change }]), context);
+  assert.throws(bad({ id: 'has space' }), /id must be/);
+  assert.throws(bad({ match: { type: 'note', number: 128 } }), /0-127/);
+  assert.throws(bad({ match: { type: 'note', number: 1, channel: 0 } }), /1-16/);
+  assert.throws(bad({ action: { type: 'osc', device: 'snail', address: '/nope' } }), /not allowed/);
+  assert.throws(() => loadMidiMappings(mappingsFile(t, [MAPPINGS[0], MAPPINGS[0]]), context), /used twice/);
+});
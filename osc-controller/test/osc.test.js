@@ -0,0 +1,105 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: OSC encoding and decoding === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeArgs, encodeMessage, encodeBundle, encodeTimetag, decodePacket, packetMessages, formatArgs } = require('../lib/osc');
+
+// hex with spaces for readability
+function hex(str)
+{
+  return Buffer.from(str.replace(/\s+/g, ''), 'hex');
+}
+
+test('encodes the eye button message byte for byte', () =>
+{
+  const buf = encodeMessage('/eye/left/left', [{ type: 'i', value: 1 }]);
+  assert.deepEqual(buf, hex(`
+    2f657965 2f6c6566 742f6c65 66740000
+    2c690000
+    00000001`));
+});
+
+test('pads strings, floats and blobs to four bytes', () =>
+{
+  const buf = encodeMessage('/x', [{ type: 'f', value: 0.5 }, { type: 's', value: 'clip' }, { type: 'b', value: Buffer.from([1, 2, 3]) }]);
+  assert.deepEqual(buf, hex(`
+    2f780000
+    2c667362 00000000
+    3f000000
+    636c6970 00000000
+    00000003 01020300`));
+});
+
+test('T, F and N go in the type tags with no data', () =>
+{
+  assert.deepEqual(encodeMessage('/a', [true, false, null]), hex('2f610000 2c54464e 00000000'));
+});
+
+test('encodes negative ints as two\'s complement', () =>
+{
+  assert.deepEqual(encodeMessage('/a', [{ type: 'i', value: -2 }]).subarray(-4), hex('fffffffe'));
+});
+
+test('types bare values', () =>
+{
+  assert.deepEqual(normalizeArgs([1, 0.25, 'x', true, null]).map((a) => a.type), ['i', 'f', 's', 'T', 'N']);
+  assert.deepEqual(normalizeArgs(2 ** 31).map((a) => a.type), ['f'], 'too big for int32');
+  assert.deepEqual(normalizeArgs(undefined), []);
+});
+
+test('rejects what cannot be encoded', () =>
+{
+  assert.throws(() => encodeMessage('eye', []), /Invalid OSC address/);
+  assert.throws(() => normalizeArgs([{ type: 'i', value: 1.5 }]), /int32/);
+  assert.throws(() => normalizeArgs([{ type: 'f', value: Infinity }]), /finite/);
+  assert.throws(() => normalizeArgs([{ type: 'x', value: 1 }]), /Unsupported OSC type tag/);
+  assert.throws(() => encodeMessage('/a', ['bad\0string']), /NUL/);
+});
+
+test('timetags are NTP seconds and fraction; 1 means immediately', () =>
+{
+  assert.deepEqual(encodeTimetag('immediate'), hex('00000000 00000001'));
+  // 2026-01-01T00:00:00.500Z
+  assert.deepEqual(encodeTimetag(Date.UTC(2026, 0, 1, 0, 0, 0, 500)), hex('ed003780 80000000'));
+  assert.throws(() => encodeTimetag(-1), /Invalid timetag/);
+});
+
+test('encodes a bundle with size-prefixed elements', () =>
+{
+  const message = encodeMessage('/a', [1]);
+  const buf = encodeBundle(null, [{ address: '/a', args: [1] }]);
+  assert.deepEqual(buf, Buffer.concat([
+    Buffer.from('#bundle\0'),
+    hex('00000000 00000001'),
+    hex('0000000c'),
+    message,
+  ]));
+});
+
+test('decodes what it encodes, bundles and nested bundles included', () =>
+{
+  const args = [{ type: 'i', value: 7 }, { type: 'f', value: 0.25 }, { type: 's', value: 'hello' }, { type: 'T', value: true }];
+  assert.deepEqual(decodePacket(encodeMessage('/eye/mode', args)), { address: '/eye/mode', args });
+
+  const at = Date.UTC(2026, 0, 1, 20, 0, 0);
+  const packet = decodePacket(encodeBundle(at, [
+    { address: '/a', args: [{ type: 'i', value: 1 }] },
+    { timetag: null, elements: [{ address: '/b', args: [] }] },
+  ]));
+  assert.equal(packet.timetag, at);
+  assert.deepEqual(packetMessages(packet).map((m) => m.address), ['/a', '/b']);
+});
+
+test('refuses malformed packets', () =>
+{
+  assert.throws(() => decodePacket(Buffer.from('/a\0')), /multiple of 4/);
+  assert.throws(() => decodePacket(hex('61000000 2c000000')), /Invalid OSC address/);
+  assert.throws(() => decodePacket(hex('2f616263')), /Unterminated/);
+});
+
+test('formats args for the console', () =>
+{
+  assert.equal(formatArgs(normalizeArgs([1, 0.5, 'clip', true, Buffer.alloc(3)])), 'i 1 f 0.5 s clip T b <3 bytes>');
+});
@@ -0,0 +1,103 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: smoothed position streams === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+const { loadDeviceRegistry } = require('../lib/devices');
+const { loadPositionStreams, createPositionEngine } = require('../lib/positions');
+const { createFakeClock } = require('./helpers');
+
+const registry = loadDeviceRegistry(path.join(__dirname, '..', 'config', 'devices.json'));
+
+// the shipped gator with its "positions" block swapped for positions
+function withPositions(positions)
+{
+  return { devices: { gator: { ...registry.devices.gator, positions } } };
+}
+
+// an engine on a fake clock whose sends are collected as arrays of arg values
+function setup(streams = loadPositionStreams(registry))
+{
+  const clock   = createFakeClock();
+  const sent    = [];
+  const settled = [];
+  const engine  = createPositionEngine({
+    streams,
+    send: (device, address, args, context) => sent.push({ device, address, values: args.map((a) => a.value), context }),
+    onSettle: (stream, summary) => settled.push(summary),
+    timers: clock,
+    now: clock.now,
+  });
+  return { clock, engine, sent, settled };
+}
+
+test('loads the shipped streams and refuses bad ones', () =>
+{
+  const streams = loadPositionStreams(registry);
+  assert.deepEqual(streams['gator/look'], {
+    device: 'gator', name: 'look', address: '/gator/eye/look', axes: ['x', 'y'], min: [-1, -1], max: [1, 1], smoothingMs: 120, rateHz: 30,
+  });
+
+  const look = { address: '/gator/eye/look', axes: ['x', 'y'] };
+  assert.deepEqual(loadPositionStreams(withPositions({ look: { ...look, min: [-1, -0.5] } }))['gator/look'].min, [-1, -0.5]);
+  assert.throws(() => loadPositionStreams(withPositions({ look: { axes: ['x'] } })), /needs an OSC address/);
+  assert.throws(() => loadPositionStreams(withPositions({ look: { ...look, axes: [] } })), /axes must be/);
+  assert.throws(() => loadPositionStreams(withPositions({ look: { ...look, rateHz: 0 } })), /rateHz/);
+  assert.throws(() => loadPositionStreams(withPositions({ look: { ...look, smoothingMs: -1 } })), /smoothingMs/);
+  assert.throws(() => loadPositionStreams(withPositions({ look: { ...look, min: [0, 0, 0] } })), /one number per axis/);
+  assert.throws(() => loadPositionStreams(withPositions({ look: { ...look, address: '/resolume/x' } })), /not allowed/);
+});
+
+test('the first set jumps; later ones ease there at rateHz and settle once', async () =>
+{
+  const { clock, engine, sent, settled } = setup();
+
+  engine.set('gator', 'look', [1, 0.5], 'ana');
+  assert.deepEqual(sent.map((s) => s.values), [[1, 0]], '0-1 is mapped onto -1..1');
+  assert.equal(sent[0].context.by, 'ana');
+  assert.equal(settled.length, 1);
+  assert.equal(clock.pending(), 0, 'a settled stream stops its timer');
+
+  engine.set('gator', 'look', [0, 0.5], 'ana');
+  assert.equal(engine.list()[0].moving, true);
+  const first = sent[sent.length - 1].values[0];
+  assert.ok(first < 1 && first > -1, 'one frame of easing, not a jump');
+
+  // a flood of touches only moves the target
+  for (let i = 0; i < 100; i++) { engine.set('gator', 'look', [0, 0.5], 'ana'); }
+  await clock.advance(1000);
+  const moves = sent.length - 1;
+  assert.ok(moves <= 31, `at most rateHz sends a second, got ${moves}`);
+  assert.ok(moves > 20, 'it kept moving on the timer');
+
+  assert.deepEqual(sent[sent.length - 1].values, [-1, 0], 'lands exactly on the target');
+  assert.equal(settled.length, 2);
+  assert.deepEqual(settled[1], { device: 'gator', stream: 'look', address: '/gator/eye/look', args: [{ type: 'f', value: -1 }, { type: 'f', value: 0 }], by: 'ana' });
+  assert.equal(engine.list()[0].moving, false);
+  assert.equal(clock.pending(), 0);
+});
+
+test('values are clamped and checked; smoothingMs 0 jumps; stop clears timers', async () =>
+{
+  const { clock, engine, sent } = setup(loadPositionStreams(withPositions({ look: { address: '/gator/eye/look', axes: ['x', 'y'], min: -1, max: 1, smoothingMs: 0 } })));
+
+  assert.throws(() => engine.set('gator', 'nope', [0, 0]), /No position stream nope on gator/);
+  assert.throws(() => engine.set('gator', 'look', [0]), /takes 2 number\(s\): x, y/);
+  assert.throws(() => engine.set('gator', 'look', [0, Number.NaN]), /takes 2/);
+
+  engine.set('gator', 'look', [2, -3]);
+  engine.set('gator', 'look', [0.5, 0.5]);
+  assert.deepEqual(sent.map((s) => s.values), [[1, -1], [0, 0]]);
+  assert.equal(clock.pending(), 0);
+
+  const eased = setup();
+  eased.engine.set('gator', 'look', [0, 0]);
+  eased.engine.set('gator', 'look', [1, 1]);
+  assert.equal(eased.clock.pending(), 1);
+  eased.engine.stop();
+  assert.equal(eased.clock.pending(), 0);
+  await eased.clock.advance(1000);
+  assert.equal(eased.sent.length, 2, 'nothing after stop');
+});
@@ -0,0 +1,144 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: cron rules and the show scheduler === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const path   = require('path');
+
+const { parseCron, cronMatches, loadSchedule, saveSchedulePaused, createScheduler } = require('../lib/schedule');
+const { createFakeClock, tempDir, writeJson, quiet } = require('./helpers');
+
+const CUES = { storm: { name: 'storm', label: 'Storm' } };
+const MINUTE = 60 * 1000;
+
+// local time, like the scheduler; 2026-06-05 is a Friday
+const at = (day, hour, minute = 0) => new Date(2026, 5, day, hour, minute).getTime();
+
+function scheduleFile(t, data)
+{
+  return writeJson(tempDir(t), 'schedule.json', data);
+}
+
+test('parses cron fields', () =>
+{
+  const cron = parseCron('0-59/20 10-16 * * 1,5');
+  assert.deepEqual([...cron.minutes.values], [0, 20, 40]);
+  assert.deepEqual([...cron.hours.values], [10, 11, 12, 13, 14, 15, 16]);
+  assert.equal(cron.days.any, true);
+  assert.deepEqual([...cron.weekdays.values], [1, 5]);
+
+  assert.deepEqual([...parseCron('*/15 * * * *').minutes.values], [0, 15, 30, 45]);
+  assert.ok(parseCron('0 0 * * 7').weekdays.values.has(0), '7 is Sunday too');
+
+  assert.throws(() => parseCron('0 10 * *'), /needs 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /outside 0-59/);
+  assert.throws(() => parseCron('5-1 * * * *'), /outside/);
+  assert.throws(() => parseCron('a * * * *'), /bad minute/);
+});
+
+test('matches dates, either day field when both are set', () =>
+{
+  const friday = parseCron('0 19 * * 5');
+  assert.ok(cronMatches(friday, new Date(at(5, 19))));
+  assert.ok(!cronMatches(friday, new Date(at(5, 19, 1))));
+  assert.ok(!cronMatches(friday, new Date(at(6, 19))));
+
+  const firstOrMonday = parseCron('0 9 1 * 1');
+  assert.ok(cronMatches(firstOrMonday, new Date(2026, 5, 1, 9)), 'the 1st (a Monday)');
+  assert.ok(cronMatches(firstOrMonday, new Date(2026, 5, 8, 9)), 'a Monday');
+  assert.ok(cronMatches(firstOrMonday, new Date(2026, 6, 1, 9)), 'the 1st (a Wednesday)');
+  assert.ok(!cronMatches(firstOrMonday, new Date(2026, 5, 9, 9)));
+});
+
+test('loads rules and blackouts, and refuses bad ones', (t) =>
+{
+  const schedule = loadSchedule(scheduleFile(t, {
+    blackoutDates: ['2026-12-25', { from: '2026-12-31', to: '2027-01-02', label: 'closed' }],
+    rules: [{ cue: 'storm', cron: '0 19 * * 5' }, { id: 'off', cue: 'storm', cron: '0 * * * *', enabled: false }],
+  }), CUES);
+
+  assert.deepEqual(schedule.blackouts, [
+    { from: '2026-12-25', to: '2026-12-25', label: null },
+    { from: '2026-12-31', to: '2027-01-02', label: 'closed' },
+  ]);
+  assert.equal(schedule.rules[0].id, 'rule-1');
+  assert.equal(schedule.rules[0].label, 'Storm (0 19 * * 5)');
+  assert.equal(schedule.rules[1].enabled, false);
+
+  assert.deepEqual(loadSchedule(`${tempDir(t)}/missing.json`, CUES), { paused: false, blackouts: [], rules: [] });
+  assert.throws(() => loadSchedule(scheduleFile(t, { rules: [{ cue: 'rain', cron: '* * * * *' }] }), CUES), /needs a cue/);
+  assert.throws(() => loadSchedule(scheduleFile(t, { blackoutDates: ['25/12'] }), CUES), /YYYY-MM-DD/);
+  assert.throws(() => loadSchedule(scheduleFile(t, { rules: [{ id: 'a', cue: 'storm', cron: '* * * * *' }, { id: 'a', cue: 'storm', cron: '* * * * *' }] }), CUES), /used twice/);
+});
+
+test('the shipped schedule fires nothing until a rule is turned on', () =>
+{
+  const shipped = loadSchedule(path.join(__dirname, '..', 'config', 'schedule.json'), CUES);
+  assert.ok(shipped.rules.length > 0);
+  assert.deepEqual(shipped.rules.filter((rule) => rule.enabled), []);
+});
+
+test('next runs skip blackout days', (t) =>
+{
+  const clock = createFakeClock(at(5, 12, 30));
+  const schedule = loadSchedule(scheduleFile(t, {
+    blackoutDates: ['2026-06-12'],
+    rules: [{ id: 'friday', cue: 'storm', cron: '0 19 * * 5' }, { id: 'daytime', cue: 'storm', cron: '*/20 10-16 * * *' }],
+  }), CUES);
+  const scheduler = createScheduler({ schedule, runCue: () => 'started', timers: clock, now: clock.now });
+
+  const [friday, daytime] = schedule.rules;
+  assert.equal(scheduler.nextRun(friday), at(5, 19));
+  assert.equal(scheduler.nextRun(friday, at(5, 19, 1)), at(19, 19), 'the 12th is blacked out');
+  assert.equal(scheduler.nextRun(daytime), at(5, 12, 40));
+  assert.equal(scheduler.nextRun(daytime, at(5, 16, 41)), at(6, 10));
+
+  assert.deepEqual(scheduler.upcoming(3).map((run) => run.at), [at(5, 12, 40), at(5, 13), at(5, 13, 20)]);
+});
+
+test('fires on the minute, except when paused or blacked out', async (t) =>
+{
+  quiet(t);
+  const clock = createFakeClock(at(5, 9, 59) + 30 * 1000);
+  const file  = scheduleFile(t, { blackoutDates: ['2026-06-06'], rules: [{ id: 'daytime', cue: 'storm', cron: '*/20 10-16 * * *' }] });
+  const fired = [];
+  const scheduler = createScheduler({
+    schedule: loadSchedule(file, CUES),
+    runCue: () => { fired.push(clock.now()); return 'started'; },
+    timers: clock,
+    now: clock.now,
+  });
+
+  scheduler.start();
+  await clock.advance(30 * 1000);
+  assert.deepEqual(fired, [at(5, 10)]);
+  assert.equal(scheduler.snapshot().rules[0].lastRun.result, 'started');
+
+  await clock.advance(19 * MINUTE);
+  assert.equal(fired.length, 1, 'nothing between runs');
+  await clock.advance(MINUTE);
+  assert.deepEqual(fired, [at(5, 10), at(5, 10, 20)]);
+
+  scheduler.setPaused(true);
+  await clock.advance(20 * MINUTE);
+  assert.equal(fired.length, 2);
+  assert.equal(scheduler.snapshot().rules[0].lastRun.result, 'paused');
+
+  scheduler.setPaused(false);
+  await clock.advance(at(6, 12) - clock.now());
+  assert.equal(fired.filter((time) => time >= at(6, 0)).length, 0, 'the 6th is blacked out');
+  assert.equal(scheduler.snapshot().rules[0].lastRun.result, 'blackout');
+  assert.deepEqual(scheduler.snapshot().blackoutToday, { from: '2026-06-06', to: '2026-06-06', label: null });
+
+  scheduler.stop();
+  assert.equal(clock.pending(), 0);
+
+  const before = fs.readFileSync(file, 'utf8');
+  const state = `${tempDir(t)}/data/schedule-state.json`;
+  assert.equal(loadSchedule(file, CUES, state).paused, false);
+  saveSchedulePaused(state, true);
+  assert.deepEqual(JSON.parse(fs.readFileSync(state, 'utf8')), { paused: true });
+  assert.equal(loadSchedule(file, CUES, state).paused, true);
+  assert.equal(fs.readFileSync(file, 'utf8'), before, 'the config file is left alone');
+});
@@ -0,0 +1,160 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: the static file handler === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const http   = require('http');
+const path   = require('path');
+const zlib   = require('zlib');
+
+const { createStaticHandler, resolveRequestPath, parseRange, pickEncoding, mimeTypeFor, isVersioned } = require('../lib/static');
+const { tempDir, quiet } = require('./helpers');
+
+const BIG = 'hello '.repeat(400);   // over the 1 KB compression floor
+
+// a public/ in a temp dir, served on a free port
+async function serveDir(t)
+{
+  quiet(t);
+  const dir = tempDir(t);
+  const root = path.join(dir, 'public');
+  fs.mkdirSync(path.join(root, 'sub'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'index.html'), '<h1>hub</h1>');
+  fs.writeFileSync(path.join(root, 'app.js'), BIG);
+  fs.writeFileSync(path.join(root, 'digits.txt'), '0123456789');
+  fs.writeFileSync(path.join(root, '.secret'), 'no');
+  fs.writeFileSync(path.join(dir, 'outside.txt'), 'no');
+
+  const server = http.createServer(createStaticHandler({ root }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return server.address().port;
+}
+
+// raw http so the path goes out exactly as written and bodies stay encoded
+function get(port, url, { method = 'GET', headers = {} } = {})
+{
+  return new Promise((resolve, reject) =>
+  {
+    const req = http.request({ host: '127.0.0.1', port, path: url, method, headers }, (res) =>
+    {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+test('serves files with a type, length and validators', async (t) =>
+{
+  const port = await serveDir(t);
+
+  const index = await get(port, '/');
+  assert.equal(index.status, 200);
+  assert.equal(index.headers['content-type'], 'text/html; charset=utf-8');
+  assert.equal(index.body.toString(), '<h1>hub</h1>');
+
+  const res = await get(port, '/digits.txt');
+  assert.equal(res.headers['content-length'], '10');
+  assert.equal(res.headers['cache-control'], 'no-cache');
+  assert.equal(res.headers['accept-ranges'], 'bytes');
+  assert.match(res.headers.etag, /^W\/"a-[0-9a-f]+"$/);
+
+  const again = await get(port, '/digits.txt', { headers: { 'If-None-Match': res.headers.etag } });
+  assert.equal(again.status, 304);
+  assert.equal(again.body.length, 0);
+
+  const versioned = await get(port, '/digits.txt?v=3');
+  assert.equal(versioned.headers['cache-control'], 'public, max-age=31536000, immutable');
+  assert.equal((await get(port, '/digits.txt?lang=en')).headers['cache-control'], 'no-cache', 'any other query is not a version');
+  assert.equal((await get(port, '/index.html?v=3')).headers['cache-control'], 'no-cache', 'pages are always revalidated');
+
+  const head = await get(port, '/digits.txt', { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  assert.equal(head.headers['content-length'], '10');
+  assert.equal(head.body.length, 0);
+});
+
+test('byte ranges', async (t) =>
+{
+  const port = await serveDir(t);
+
+  const part = await get(port, '/digits.txt', { headers: { Range: 'bytes=2-4' } });
+  assert.equal(part.status, 206);
+  assert.equal(part.headers['content-range'], 'bytes 2-4/10');
+  assert.equal(part.body.toString(), '234');
+
+  const tail = await get(port, '/digits.txt', { headers: { Range: 'bytes=-3' } });
+  assert.equal(tail.body.toString(), '789');
+
+  const past = await get(port, '/digits.txt', { headers: { Range: 'bytes=20-' } });
+  assert.equal(past.status, 416);
+  assert.equal(past.headers['content-range'], 'bytes */10');
+
+  const stale = await get(port, '/digits.txt', { headers: { Range: 'bytes=2-4', 'If-Range': '"stale"' } });
+  assert.equal(stale.status, 200, 'a changed file is sent whole');
+});
+
+test('compresses text for clients that accept it', async (t) =>
+{
+  const port = await serveDir(t);
+
+  const br = await get(port, '/app.js', { headers: { 'Accept-Encoding': 'gzip, br' } });
+  assert.equal(br.headers['content-encoding'], 'br');
+  assert.equal(br.headers.vary, 'Accept-Encoding');
+  assert.equal(zlib.brotliDecompressSync(br.body).toString(), BIG);
+
+  const gzip = await get(port, '/app.js', { headers: { 'Accept-Encoding': 'gzip, br;q=0' } });
+  assert.equal(gzip.headers['content-encoding'], 'gzip');
+  assert.equal(zlib.gunzipSync(gzip.body).toString(), BIG);
+  assert.notEqual(gzip.headers.etag, br.headers.etag);
+
+  const small = await get(port, '/digits.txt', { headers: { 'Accept-Encoding': 'br' } });
+  assert.equal(small.headers['content-encoding'], undefined, 'not worth it under 1 KB');
+});
+
+test('refuses paths outside public/, dotfiles, bad URLs and other methods', async (t) =>
+{
+  const port = await serveDir(t);
+
+  assert.equal((await get(port, '/../outside.txt')).status, 403);
+  assert.equal((await get(port, '/%2e%2e/outside.txt')).status, 403);
+  assert.equal((await get(port, '/.secret')).status, 404);
+  assert.equal((await get(port, '/nope.html')).status, 404);
+  assert.equal((await get(port, '/sub')).status, 404);
+  assert.equal((await get(port, '/%E0%A4%A')).status, 400);
+  assert.equal((await get(port, '/a%00.txt')).status, 400);
+
+  const post = await get(port, '/index.html', { method: 'POST' });
+  assert.equal(post.status, 405);
+  assert.equal(post.headers.allow, 'GET, HEAD');
+});
+
+test('helpers: paths, ranges, encodings and types', () =>
+{
+  assert.deepEqual(resolveRequestPath('/srv/public', '/', 'index.html'), { absPath: path.join('/srv/public', 'index.html') });
+  assert.deepEqual(resolveRequestPath('/srv/public', '/../etc/passwd', 'index.html'), { status: 403 });
+
+  assert.deepEqual(parseRange('bytes=0-', 5), { start: 0, end: 4 });
+  assert.deepEqual(parseRange('bytes=1-99', 5), { start: 1, end: 4 });
+  assert.equal(parseRange('bytes=0-1,3-4', 5), null);
+  assert.equal(parseRange('bytes=-0', 5), false);
+
+  assert.equal(pickEncoding('gzip, deflate, br'), 'br');
+  assert.equal(pickEncoding('gzip'), 'gzip');
+  assert.equal(pickEncoding('*;q=0'), null);
+  assert.equal(pickEncoding(undefined), null);
+
+  assert.equal(isVersioned('/app.js?v=2', 'text/javascript; charset=utf-8'), true);
+  assert.equal(isVersioned('/app.js?x=1&v=2', 'text/javascript; charset=utf-8'), true);
+  assert.equal(isVersioned('/app.js?v=', 'text/javascript; charset=utf-8'), false);
+  assert.equal(isVersioned('/app.js?', 'text/javascript; charset=utf-8'), false);
+  assert.equal(isVersioned('/app.js#?v=2', 'text/javascript; charset=utf-8'), false);
+  assert.equal(isVersioned('/?v=2', 'text/html; charset=utf-8'), false);
+
+  assert.equal(mimeTypeFor('a/b.svg'), 'image/svg+xml');
+  assert.equal(mimeTypeFor('a/b.unknown'), 'application/octet-stream');
+});
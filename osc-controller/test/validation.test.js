@@ -0,0 +1,66 @@
+/* === Nova Kukla === */
+/* === osc-controller tests: /osc checks, cooldowns and the rate limiter === */
+
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const path   = require('path');
+
+const { loadDeviceRegistry } = require('../lib/devices');
+const { normalizeArgs } = require('../lib/osc');
+const { checkMessage, createCooldowns, createRateLimiter } = require('../lib/validation');
+const { createFakeClock } = require('./helpers');
+
+const registry = loadDeviceRegistry(path.join(__dirname, '..', 'config', 'devices.json'));
+const { snail, resolume } = registry.devices;
+
+test('checks the allowlist, type tags and range', () =>
+{
+  assert.equal(checkMessage(snail, '/eye/left/left', normalizeArgs([1])), null);
+  assert.equal(checkMessage(snail, '/eye/blink', normalizeArgs([1])).status, 403);
+  assert.match(checkMessage(snail, '/eye/left/left', normalizeArgs([0.5])).error, /takes ",i" arguments, got ",f"/);
+  assert.match(checkMessage(snail, '/eye/left/left', normalizeArgs([2])).error, /above the maximum 1/);
+  assert.match(checkMessage(snail, '/eye/left/left', normalizeArgs([-1])).error, /below the minimum 0/);
+  // prefix-only devices take anything under their prefixes
+  assert.equal(checkMessage(resolume, '/composition/layers/1/video/opacity', normalizeArgs([0.5, 'x'])), null);
+  assert.equal(checkMessage(resolume, '/eye/reset', normalizeArgs([1])).status, 403);
+});
+
+test('cooldowns are per device and address', async () =>
+{
+  const clock = createFakeClock();
+  const cooldowns = createCooldowns({ now: clock.now });
+
+  assert.equal(cooldowns.check(snail, '/eye/reset'), null);
+  cooldowns.note(snail, '/eye/reset');
+  const early = cooldowns.check(snail, '/eye/reset');
+  assert.equal(early.status, 429);
+  assert.equal(early.retryAfterMs, 500);
+  assert.equal(cooldowns.check(registry.devices.gator, '/eye/reset'), null, 'other device');
+  assert.equal(cooldowns.check(snail, '/eye/idle'), null, 'other address');
+
+  await clock.advance(499);
+  assert.equal(cooldowns.check(snail, '/eye/reset').retryAfterMs, 1);
+  await clock.advance(1);
+  assert.equal(cooldowns.check(snail, '/eye/reset'), null);
+});
+
+test('token bucket: a burst of capacity, then refillPerSec', async () =>
+{
+  const clock = createFakeClock();
+  const limiter = createRateLimiter({ capacity: 5, refillPerSec: 2, now: clock.now });
+
+  for (let i = 0; i < 5; i++) { assert.equal(limiter.take('tablet-1'), null, `send ${i + 1}`); }
+  const limited = limiter.take('tablet-1');
+  assert.equal(limited.status, 429);
+  assert.equal(limited.retryAfterMs, 500);
+  assert.equal(limiter.take('tablet-2'), null, 'buckets are per client');
+
+  await clock.advance(500);
+  assert.equal(limiter.take('tablet-1'), null, 'one token back after 500ms');
+  assert.notEqual(limiter.take('tablet-1'), null);
+
+  // a bundle costs one token per message, and never more than is there
+  await clock.advance(60000);
+  assert.equal(limiter.take('tablet-1', 6).retryAfterMs, 500, 'refills only up to capacity');
+  assert.equal(limiter.take('tablet-1', 5), null);
+});